@@ -0,0 +1,145 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+const { createClient } = require('./backends');
+
+// ============================================================================
+// AGENTS
+// ============================================================================
+//
+// Every OpenClaw agent keeps its sessions in AGENTS_ROOT/<id>/sessions and
+// its auth profiles in AGENTS_ROOT/<id>/agent. The "main" agent uses
+// SESSIONS_DIR, SESSIONS_META and AUTH_PATH instead, so single-agent setups
+// that override those keep working. Each agent syncs into the container tag
+// AGENT_TAGS maps it to, or the shared CONTAINER_TAG, and its conversation
+// documents carry `agent_id`.
+
+const MAIN_AGENT = 'main';
+const AGENT_ID = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * @typedef {Object} Agent
+ * @property {string} id - directory name under AGENTS_ROOT
+ * @property {string} sessionsDir
+ * @property {string} sessionsMeta - sessions.json
+ * @property {string} authPath - auth-profiles.json
+ * @property {string} containerTag
+ */
+
+/**
+ * Check an agent id (a directory name, never a path)
+ * @param {string} id
+ * @returns {string} the id
+ * @throws {Error} for anything but letters, digits, ".", "-" and "_"
+ */
+function validateAgentId(id) {
+  if (typeof id !== 'string' || !AGENT_ID.test(id) || id === '.' || id === '..') {
+    throw new Error(`Invalid agent id "${id}" (letters, digits, ".", "-" and "_" only)`);
+  }
+  return id;
+}
+
+/**
+ * Parse AGENT_TAGS ("main=nn02-andrew,ops=nn02-ops,*=nn02-{agent}")
+ * @param {string} [raw]
+ * @returns {Object<string, string>} agent id (or "*") -> tag template
+ * @throws {Error} naming the malformed entry
+ */
+function parseAgentTags(raw = CONFIG.AGENT_TAGS) {
+  const tags = {};
+  for (const entry of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [id, tag, ...rest] = entry.split('=').map(s => s.trim());
+    if (rest.length || !id || !tag || (id !== '*' && !AGENT_ID.test(id))) {
+      throw new Error(`SM_AGENT_TAGS: "${entry}" must look like agent=tag`);
+    }
+    if (tag.replace(/\{agent\}/g, 'x').length < 2) throw new Error(`SM_AGENT_TAGS: tag of "${id}" must be at least 2 characters`);
+    tags[id] = tag;
+  }
+  return tags;
+}
+
+/**
+ * Container tag an agent syncs into
+ * @param {string} id - agent id
+ * @returns {string}
+ */
+function agentContainerTag(id) {
+  const tags = parseAgentTags();
+  const tag = tags[id] ?? tags['*'];
+  return tag ? tag.replace(/\{agent\}/g, id) : CONFIG.CONTAINER_TAG;
+}
+
+/**
+ * Paths and container tag of one agent
+ * @param {string} id
+ * @returns {Agent}
+ */
+function getAgent(id) {
+  validateAgentId(id);
+  const root = path.join(CONFIG.AGENTS_ROOT, id);
+  const main = id === MAIN_AGENT;
+  return {
+    id,
+    sessionsDir: main ? CONFIG.SESSIONS_DIR : path.join(root, 'sessions'),
+    sessionsMeta: main ? CONFIG.SESSIONS_META : path.join(root, 'sessions', 'sessions.json'),
+    authPath: main ? CONFIG.AUTH_PATH : path.join(root, 'agent', 'auth-profiles.json'),
+    containerTag: agentContainerTag(id),
+  };
+}
+
+/**
+ * Agent directories under AGENTS_ROOT that have a sessions dir. "main" is
+ * included whenever its (possibly overridden) sessions.json exists, and
+ * when nothing else is found, so a broken setup still reports itself.
+ * @returns {string[]} main first, then by name
+ */
+function discoverAgentIds() {
+  const ids = new Set();
+  let entries = [];
+  try {
+    entries = fs.readdirSync(CONFIG.AGENTS_ROOT, { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== 'ENOENT') log(`⚠️ Cannot read ${CONFIG.AGENTS_ROOT}: ${scrubSensitiveData(err.message)}`);
+  }
+  for (const entry of entries) {
+    if (entry.name === MAIN_AGENT || !entry.isDirectory() || !AGENT_ID.test(entry.name)) continue;
+    if (fs.existsSync(path.join(CONFIG.AGENTS_ROOT, entry.name, 'sessions'))) ids.add(entry.name);
+  }
+  const others = [...ids].sort();
+  return fs.existsSync(CONFIG.SESSIONS_META) || !others.length ? [MAIN_AGENT, ...others] : others;
+}
+
+/**
+ * Agents to sync: AGENTS if set, otherwise every agent found under AGENTS_ROOT
+ * @returns {Agent[]}
+ * @throws {Error} on an invalid agent id or AGENT_TAGS entry
+ */
+function listAgents() {
+  return (CONFIG.AGENTS.length ? CONFIG.AGENTS : discoverAgentIds()).map(getAgent);
+}
+
+/**
+ * Backend for an agent: its own Supermemory key when its auth-profiles.json
+ * has one, the shared client otherwise
+ * @param {Agent} agent
+ * @param {Object} shared - client created with the default AUTH_PATH
+ * @returns {Object} storage backend
+ */
+function createAgentClient(agent, shared) {
+  if (shared.name !== 'supermemory' || agent.authPath === CONFIG.AUTH_PATH || !fs.existsSync(agent.authPath)) return shared;
+  try {
+    const client = createClient({ authPath: agent.authPath });
+    log(`🔑 ${agent.id}: using its own Supermemory key`);
+    return client;
+  } catch (err) {
+    log(`⚠️ ${agent.id}: ${scrubSensitiveData(err.message)} in ${agent.authPath}, using the shared key`);
+    return shared;
+  }
+}
+
+module.exports = {
+  MAIN_AGENT, validateAgentId, parseAgentTags, agentContainerTag, getAgent, listAgents, createAgentClient,
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+const fs = require('fs');
+const { CONFIG } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+
+// ============================================================================
+// BACKOFF
+// ============================================================================
+
+/**
+ * Sleep helper for exponential backoff
+ * @param {number} ms - milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Longer Retry-After values are capped: the outbox takes over after the last attempt
+const RETRY_AFTER_MAX_MS = 300000;
+
+/**
+ * Delay the server asked for in a Retry-After header (seconds or HTTP date)
+ * @param {Error} err - API error; the SDK exposes response headers as `headers`
+ * @param {number} [now]
+ * @returns {number|null} milliseconds, null without a usable header
+ */
+function retryAfterMs(err, now = Date.now()) {
+  const headers = err?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (value == null || String(value).trim() === '') return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - now;
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), RETRY_AFTER_MAX_MS) : null;
+}
+
+/**
+ * Calculate exponential backoff delay with jitter, or the server's Retry-After
+ * @param {number} attempt - current attempt (0-based)
+ * @param {Error} [err] - the error being retried
+ * @returns {number} delay in milliseconds
+ */
+function getRetryDelay(attempt, err) {
+  const retryAfter = retryAfterMs(err);
+  if (retryAfter !== null) return retryAfter;
+  // Exponential backoff: 1s, 2s, 4s + up to 1s random jitter
+  const baseDelay = CONFIG.API_RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+  const jitter = Math.random() * 1000;
+  return Math.min(baseDelay + jitter, 30000); // Cap at 30s
+}
+
+// ============================================================================
+// RATE LIMIT
+// ============================================================================
+//
+// Every API call of the process takes a token from one bucket, refilled at
+// API_RATE_LIMIT calls per second up to API_RATE_BURST. A 429 pauses the
+// bucket for the Retry-After (or backoff) delay, so concurrent uploads wait
+// together instead of each hammering the API, and halves the refill rate;
+// every success gives a tenth of the configured rate back. API_RATE_LIMIT 0
+// means no limit, but a 429 still pauses all calls.
+
+// The rate never drops below this share of API_RATE_LIMIT
+const MIN_RATE_SHARE = 1 / 16;
+
+/**
+ * Create a token bucket with adaptive slowdown
+ * @param {Object} options
+ * @param {number} options.rate - calls per second, 0 for unlimited
+ * @param {number} [options.burst] - bucket size
+ * @param {() => number} [options.now] - clock (tests)
+ * @param {(ms: number) => Promise<void>} [options.wait] - timer (tests)
+ * @returns {{acquire: () => Promise<void>, throttle: (ms: number) => void, recover: () => void, rate: number}}
+ *   rate: the current refill rate
+ */
+function createRateLimiter({ rate, burst = Math.max(1, Math.ceil(rate)), now = Date.now, wait = sleep }) {
+  let current = rate;
+  let tokens = burst;
+  let last = now();
+  let pausedUntil = 0;
+
+  function refill() {
+    const t = now();
+    // Nothing accumulates during a pause: calls resume at the new rate, not in a burst
+    const since = Math.max(last, Math.min(pausedUntil, t));
+    if (current > 0) tokens = Math.min(burst, tokens + ((t - since) / 1000) * current);
+    last = t;
+    return t;
+  }
+
+  return {
+    get rate() { return current; },
+    async acquire() {
+      for (;;) {
+        const t = refill();
+        if (pausedUntil > t) {
+          await wait(pausedUntil - t);
+          continue;
+        }
+        if (!rate) return;
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await wait(((1 - tokens) / current) * 1000);
+      }
+    },
+    throttle(ms) {
+      pausedUntil = Math.max(pausedUntil, refill() + ms);
+      if (rate) {
+        current = Math.max(rate * MIN_RATE_SHARE, current / 2);
+        tokens = 0;
+      }
+    },
+    recover() {
+      if (rate && current < rate) current = Math.min(rate, current + rate / 10);
+    },
+  };
+}
+
+let limiter = null;
+
+/**
+ * The process-wide rate limiter for the current CONFIG
+ * @returns {ReturnType<typeof createRateLimiter>}
+ */
+function getRateLimiter() {
+  const key = `${CONFIG.API_RATE_LIMIT}/${CONFIG.API_RATE_BURST}`;
+  if (!limiter || limiter.key !== key) {
+    limiter = { key, bucket: createRateLimiter({ rate: CONFIG.API_RATE_LIMIT, burst: CONFIG.API_RATE_BURST }) };
+  }
+  return limiter.bucket;
+}
+
+// ============================================================================
+// API CALLS WITH TIMEOUT AND RETRY
+// ============================================================================
+
+/**
+ * Run one attempt, aborting its request after API_TIMEOUT_MS. The call
+ * fails with a TimeoutError even when the backend ignores the signal.
+ * @param {Function} apiCall - receives {signal}
+ * @param {string} operationName
+ * @returns {Promise<any>}
+ */
+function callWithTimeout(apiCall, operationName) {
+  const controller = new AbortController();
+  let timeoutId;
+  const timeout = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => {
+      const err = Object.assign(new Error(`${operationName} timed out after ${CONFIG.API_TIMEOUT_MS}ms`), {
+        name: 'TimeoutError', code: 'ETIMEDOUT',
+      });
+      controller.abort(err);
+      reject(err);
+    }, CONFIG.API_TIMEOUT_MS);
+  });
+  return Promise.race([apiCall({ signal: controller.signal }), timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Execute API call with rate limit, timeout and retry logic
+ * @param {Function} apiCall - async function that makes the API call; pass
+ *   the `signal` it receives on to the backend so a timeout cancels the request
+ * @param {string} operationName - name of operation for logging
+ * @returns {Promise<any>} API call result
+ */
+async function apiCallWithRetry(apiCall, operationName) {
+  const bucket = getRateLimiter();
+  let lastError;
+  
+  for (let attempt = 0; attempt < CONFIG.API_RETRY_ATTEMPTS; attempt++) {
+    await bucket.acquire();
+    try {
+      const result = await callWithTimeout(apiCall, operationName);
+      bucket.recover();
+      return result;
+    } catch (err) {
+      lastError = err;
+      const status = errorStatus(err);
+      
+      // Don't retry on client errors (4xx except 429 rate limit)
+      if (status >= 400 && status < 500 && status !== 429) {
+        throw err;
+      }
+      
+      // Don't retry on abort if it was user-initiated (timeouts are TimeoutError)
+      if (err.name === 'AbortError') {
+        throw err;
+      }
+      
+      const delay = getRetryDelay(attempt, err);
+      // Rate limited: every call waits, not just this one
+      if (status === 429) bucket.throttle(delay);
+      
+      // Log retry attempt
+      if (attempt < CONFIG.API_RETRY_ATTEMPTS - 1) {
+        const slowdown = status === 429 && CONFIG.API_RATE_LIMIT ? `, slowing down to ${bucket.rate.toFixed(2)} calls/s` : '';
+        log(`⚠️ ${operationName} failed (attempt ${attempt + 1}/${CONFIG.API_RETRY_ATTEMPTS}): ${scrubSensitiveData(err.message)}. Retrying in ${Math.round(delay)}ms${slowdown}...`);
+        // After a 429 the bucket itself holds the next attempt back
+        if (status !== 429) await sleep(delay);
+      }
+    }
+  }
+  
+  // All retries exhausted
+  throw lastError;
+}
+
+// ============================================================================
+// ERROR CLASSIFICATION
+// ============================================================================
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * HTTP status of an API error (the SDK uses `status`, older code `statusCode`)
+ * @param {Error} err
+ * @returns {number|undefined}
+ */
+function errorStatus(err) {
+  return err?.status ?? err?.statusCode;
+}
+
+/**
+ * Classify an error for exit codes and structured output
+ * @param {Error} err
+ * @returns {'auth'|'network'|'error'}
+ */
+function classifyError(err) {
+  const status = errorStatus(err);
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429 || status >= 500) return 'network';
+  if (status) return 'error';
+  const code = err?.code || err?.cause?.code;
+  if (err?.name === 'AbortError' || /Connection/.test(err?.name || '') || NETWORK_CODES.includes(code)) return 'network';
+  if (err instanceof TypeError && /fetch failed/i.test(err.message)) return 'network';
+  return 'error';
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+/**
+ * Read the Supermemory API key from OpenClaw's auth-profiles.json
+ * @param {string} [authPath] - path to auth profiles (defaults to CONFIG.AUTH_PATH)
+ * @returns {string} API key
+ * @throws {Error} if the file is unreadable or has no supermemory:default profile
+ */
+function loadApiKey(authPath = CONFIG.AUTH_PATH) {
+  const auth = JSON.parse(fs.readFileSync(authPath, 'utf8'));
+  const apiKey = auth.profiles?.['supermemory:default']?.apiKey;
+  if (!apiKey) throw new Error('No supermemory:default profile found');
+  return apiKey;
+}
+
+module.exports = {
+  sleep, retryAfterMs, getRetryDelay, createRateLimiter, getRateLimiter, apiCallWithRetry, errorStatus, classifyError, loadApiKey,
+};
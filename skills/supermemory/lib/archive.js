@@ -0,0 +1,184 @@
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+const { CONFIG } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+const { apiCallWithRetry } = require('./api');
+const { listDocuments } = require('./backends');
+
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+//
+// A container as a portable JSONL archive: a header line, one line per
+// document (content, metadata, customId, timestamps) and a footer with the
+// document count, so a truncated archive is rejected before anything is
+// imported.
+
+const ARCHIVE_FORMAT = 'supermemory-archive';
+const ARCHIVE_VERSION = 1;
+const CONFLICT_MODES = ['skip', 'overwrite', 'newer'];
+const PROGRESS_EVERY = 100;
+
+async function writeLine(out, record) {
+  if (!out.write(JSON.stringify(record) + '\n')) await once(out, 'drain');
+}
+
+/**
+ * Write every document of a container to an archive stream
+ * @param {Object} client - storage backend (see createClient)
+ * @param {import('stream').Writable} out
+ * @param {Object} [options]
+ * @param {string} [options.containerTag] - container to export (CONFIG.CONTAINER_TAG)
+ * @returns {Promise<{documents: number, withoutContent: number}>}
+ */
+async function exportArchive(client, out, { containerTag = CONFIG.CONTAINER_TAG } = {}) {
+  await writeLine(out, {
+    type: 'header', format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION,
+    containerTag, backend: client.name, exportedAt: new Date().toISOString(),
+  });
+
+  let documents = 0;
+  let withoutContent = 0;
+  for await (const listed of listDocuments(client, containerTag)) {
+    // Listings may leave the content out; fetch it document by document then
+    const doc = typeof listed.content === 'string' ? listed : {
+      ...listed,
+      ...await apiCallWithRetry(async ({ signal }) => client.get({ id: listed.id }, { signal }), `${listed.customId || listed.id} fetch`),
+    };
+    if (typeof doc.content !== 'string' || !doc.content.trim()) withoutContent++;
+    await writeLine(out, {
+      type: 'document',
+      id: doc.id ?? null,
+      customId: doc.customId ?? null,
+      content: doc.content ?? null,
+      metadata: doc.metadata || {},
+      ...(doc.title ? { title: doc.title } : {}),
+      createdAt: doc.createdAt ?? null,
+      updatedAt: doc.updatedAt ?? null,
+    });
+    if (++documents % PROGRESS_EVERY === 0) log(`📦 Exported ${documents} documents...`);
+  }
+
+  await writeLine(out, { type: 'footer', documents });
+  return { documents, withoutContent };
+}
+
+/**
+ * Records of an archive, line by line
+ * @param {string} file
+ * @returns {AsyncGenerator<{record: Object, line: number}>}
+ * @throws {Error} naming the file and line of invalid JSON
+ */
+async function* archiveRecords(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if (!text.trim()) continue;
+    try {
+      yield { record: JSON.parse(text), line };
+    } catch (err) {
+      throw new Error(`Archive ${file}:${line}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Validate an archive without importing anything
+ * @param {string} file
+ * @returns {Promise<{header: Object, documents: number}>}
+ * @throws {Error} on a foreign or newer format, a bad document line or a missing footer
+ */
+async function inspectArchive(file) {
+  const fail = message => { throw new Error(`Archive ${file}: ${message}`); };
+  let header = null;
+  let footer = null;
+  let documents = 0;
+
+  for await (const { record, line } of archiveRecords(file)) {
+    if (!header) {
+      if (record.type !== 'header' || record.format !== ARCHIVE_FORMAT) fail('not a supermemory archive (no header line)');
+      if (record.version > ARCHIVE_VERSION) fail(`format version ${record.version} is newer than this tool (${ARCHIVE_VERSION})`);
+      header = record;
+    } else if (footer) {
+      fail(`line ${line}: data after the footer`);
+    } else if (record.type === 'footer') {
+      footer = record;
+    } else if (record.type === 'document') {
+      if (!record.customId && !record.id) fail(`line ${line}: document without id or customId`);
+      if (record.metadata != null && (typeof record.metadata !== 'object' || Array.isArray(record.metadata))) {
+        fail(`line ${line}: metadata must be an object`);
+      }
+      documents++;
+    } else {
+      fail(`line ${line}: unknown record type "${record.type}"`);
+    }
+  }
+  if (!header) fail('empty file');
+  if (!footer) fail('no footer, the archive is truncated');
+  if (footer.documents !== documents) fail(`footer promises ${footer.documents} documents, found ${documents}`);
+  return { header, documents };
+}
+
+/**
+ * Restore an archive into a container. Conflicts are documents whose
+ * customId already exists there: `skip` keeps them, `overwrite` replaces
+ * them, `newer` replaces them only with a more recently updated version.
+ * Documents without a customId are imported as `import-{id}`, so importing
+ * the same archive twice never duplicates them.
+ * @param {Object} client - storage backend (see createClient)
+ * @param {string} file - archive path
+ * @param {Object} [options]
+ * @param {string} [options.containerTag] - target container (CONFIG.CONTAINER_TAG)
+ * @param {'skip'|'overwrite'|'newer'} [options.onConflict]
+ * @param {boolean} [options.dryRun] - count only, change nothing
+ * @returns {Promise<{header: Object, added: number, overwritten: number, skipped: number, empty: number, failed: number}>}
+ */
+async function importArchive(client, file, { containerTag = CONFIG.CONTAINER_TAG, onConflict = 'skip', dryRun = false } = {}) {
+  if (!CONFLICT_MODES.includes(onConflict)) throw new Error(`Unknown conflict mode "${onConflict}" (expected: ${CONFLICT_MODES.join(', ')})`);
+  // Validate the whole file first: a broken archive must not be half-imported
+  const { header } = await inspectArchive(file);
+
+  const existing = new Map();
+  for await (const doc of listDocuments(client, containerTag)) {
+    if (doc.customId) existing.set(doc.customId, doc.updatedAt || '');
+  }
+
+  const counts = { added: 0, overwritten: 0, skipped: 0, empty: 0, failed: 0 };
+  for await (const { record } of archiveRecords(file)) {
+    if (record.type !== 'document') continue;
+    const customId = record.customId || `import-${record.id}`;
+    if (typeof record.content !== 'string' || !record.content.trim()) {
+      log(`⚠️ ${customId}: no content in the archive, skipping`);
+      counts.empty++;
+      continue;
+    }
+    const conflict = existing.has(customId);
+    if (conflict && (onConflict === 'skip' || (onConflict === 'newer' && !((record.updatedAt || '') > existing.get(customId))))) {
+      counts.skipped++;
+      continue;
+    }
+    if (!dryRun) {
+      try {
+        await apiCallWithRetry(
+          async ({ signal }) => client.add({ content: record.content, containerTag, customId, metadata: record.metadata || {} }, { signal }),
+          `${customId} import`
+        );
+      } catch (err) {
+        log(`❌ Failed to import ${customId}: ${scrubSensitiveData(err.message)}`);
+        counts.failed++;
+        continue;
+      }
+    }
+    counts[conflict ? 'overwritten' : 'added']++;
+    existing.set(customId, record.updatedAt || '');
+    const done = counts.added + counts.overwritten;
+    if (!dryRun && done % PROGRESS_EVERY === 0) log(`📦 Imported ${done} documents...`);
+  }
+  return { header, ...counts };
+}
+
+module.exports = { ARCHIVE_FORMAT, CONFLICT_MODES, exportArchive, inspectArchive, importArchive };
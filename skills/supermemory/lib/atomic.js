@@ -0,0 +1,35 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// ATOMIC JSON FILES
+// ============================================================================
+//
+// State, manifest, outbox, dead letters, recall cache and the local store are
+// read by one process while another writes them (daemon, recall, forget...).
+// Writing to a temp file next to the target and renaming it over the target
+// means a reader sees either the old file or the new one, never half of it.
+
+/**
+ * Write JSON to a file atomically, creating its directory if needed
+ * @param {string} file
+ * @param {*} data
+ * @param {Object} [options]
+ * @param {number} [options.indent] - JSON.stringify indentation (compact without)
+ * @throws {Error} when the file cannot be written; no temp file is left behind
+ */
+function writeJsonAtomic(file, data, { indent } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(data, null, indent));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+module.exports = { writeJsonAtomic };
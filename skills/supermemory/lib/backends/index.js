@@ -0,0 +1,69 @@
+'use strict';
+
+const { CONFIG } = require('../config');
+const { apiCallWithRetry } = require('../api');
+const { createSupermemoryBackend } = require('./supermemory');
+const { createLocalBackend } = require('./local');
+
+/**
+ * Storage backend interface. Every backend returns Supermemory-shaped
+ * responses so callers don't care which one they talk to. Every method also
+ * takes request options ({signal?: AbortSignal}) as its second argument;
+ * backends that cannot cancel a request ignore them.
+ *
+ * @typedef {Object} Backend
+ * @property {string} name - backend identifier ('supermemory' | 'local')
+ * @property {(params: {content: string, containerTag: string, customId?: string, metadata?: Object}) => Promise<{id: string, status: string}>} add
+ *   Add a document; an existing document with the same customId is replaced
+ * @property {(params: {q: string, containerTag: string, limit?: number, threshold?: number, searchMode?: string, rerank?: boolean, filters?: Object}) => Promise<{results: Array, timing: number, total: number}>} search
+ *   Search memories/chunks
+ * @property {(params: {containerTag: string, q?: string, threshold?: number}) => Promise<{profile: {static: string[], dynamic: string[]}}>} profile
+ *   Static/dynamic profile facts for the container
+ * @property {(params: {containerTag: string, page?: number, limit?: number}) => Promise<{documents: Array, pagination: {currentPage: number, totalPages: number}}>} list
+ *   One page of the container's documents ({id, customId, metadata, createdAt, updatedAt, ...})
+ * @property {(params: {id: string}) => Promise<Object>} get
+ *   One document with its content
+ * @property {(params: {customId?: string, id?: string, containerTag: string}) => Promise<{deleted: boolean}>} delete
+ *   Delete a document by id or customId; deleted is false when it did not exist
+ */
+
+const BACKENDS = {
+  supermemory: createSupermemoryBackend,
+  local: createLocalBackend,
+};
+
+/**
+ * Create the storage backend selected by SM_BACKEND (or options.backend)
+ * @param {Object} [options] - backend options, passed through to the factory
+ * @param {string} [options.backend] - 'supermemory' (default) or 'local'
+ * @returns {Backend}
+ */
+function createClient(options = {}) {
+  const name = options.backend || CONFIG.BACKEND;
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown backend "${name}" (expected: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+const LIST_PAGE_SIZE = 100;
+
+/**
+ * Every document of a container, page by page
+ * @param {Backend} client
+ * @param {string} [containerTag]
+ * @returns {AsyncGenerator<Object>} documents as returned by list()
+ */
+async function* listDocuments(client, containerTag = CONFIG.CONTAINER_TAG) {
+  for (let page = 1; ; page++) {
+    const { documents, pagination } = await apiCallWithRetry(
+      async ({ signal }) => client.list({ containerTag, page, limit: LIST_PAGE_SIZE }, { signal }),
+      `List documents (page ${page})`
+    );
+    yield* documents;
+    if (!documents.length || page >= (pagination?.totalPages ?? page)) return;
+  }
+}
+
+module.exports = { BACKENDS, createClient, listDocuments };
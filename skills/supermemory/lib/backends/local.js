@@ -0,0 +1,193 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { CONFIG } = require('../config');
+const { tokenize } = require('../text');
+const { writeJsonAtomic } = require('../atomic');
+
+// ============================================================================
+// LOCAL OFFLINE BACKEND
+// ============================================================================
+//
+// File-backed stand-in for the Supermemory API. Documents live in a single
+// JSON file keyed by `${containerTag}:${customId}`, so re-adding a customId
+// upserts exactly like the cloud does. Search is plain keyword matching with
+// metadata filters; the profile is derived from MEMORY.md bullets and the
+// most recent documents. Good enough for offline use, CI and air-gapped boxes.
+
+/**
+ * Evaluate a Supermemory-style filter ({AND: [...]} / {OR: [...]} / {key, value})
+ * @param {Object} filter
+ * @param {Object} metadata - document metadata
+ * @returns {boolean}
+ */
+function matchesFilter(filter, metadata) {
+  if (!filter) return true;
+  if (Array.isArray(filter.AND)) return filter.AND.every(f => matchesFilter(f, metadata));
+  if (Array.isArray(filter.OR)) return filter.OR.some(f => matchesFilter(f, metadata));
+
+  const actual = metadata?.[filter.key];
+  const ignoreCase = filter.ignoreCase === true || filter.ignoreCase === 'true';
+  const norm = v => (ignoreCase ? String(v).toLowerCase() : String(v));
+  let result;
+  switch (filter.filterType) {
+    case 'numeric': {
+      const a = Number(actual);
+      const b = Number(filter.value);
+      const op = filter.numericOperator || '=';
+      result = op === '>' ? a > b : op === '<' ? a < b : op === '>=' ? a >= b : op === '<=' ? a <= b : a === b;
+      break;
+    }
+    case 'array_contains':
+      result = Array.isArray(actual) && actual.map(norm).includes(norm(filter.value));
+      break;
+    case 'string_contains':
+      result = actual != null && norm(actual).includes(norm(filter.value));
+      break;
+    default:
+      result = actual != null && norm(actual) === norm(filter.value);
+  }
+  return (filter.negate === true || filter.negate === 'true') ? !result : result;
+}
+
+/**
+ * Score a document against query terms and pick the best matching paragraph
+ * @param {Object} doc - stored document
+ * @param {string[]} terms - query terms
+ * @returns {{similarity: number, chunk: string}}
+ */
+function scoreDocument(doc, terms) {
+  const paragraphs = doc.content.split(/\n\s*\n/).filter(p => p.trim());
+  let best = { hits: 0, chunk: paragraphs[0] || doc.content };
+  const docTerms = new Set();
+
+  for (const paragraph of paragraphs) {
+    const paraTerms = new Set(tokenize(paragraph));
+    paraTerms.forEach(t => docTerms.add(t));
+    const hits = terms.filter(t => paraTerms.has(t)).length;
+    if (hits > best.hits) best = { hits, chunk: paragraph };
+  }
+
+  const docHits = terms.filter(t => docTerms.has(t)).length;
+  // Coverage across the whole document, nudged up when one paragraph holds the match
+  const similarity = terms.length
+    ? Math.min(1, (docHits / terms.length) * 0.8 + (best.hits / terms.length) * 0.2)
+    : 0;
+  return { similarity, chunk: best.chunk.trim() };
+}
+
+/**
+ * Create the local file-backed backend
+ * @param {Object} [options]
+ * @param {string} [options.storePath] - JSON store location (defaults to CONFIG.LOCAL_STORE_PATH)
+ * @returns {import('./index').Backend}
+ */
+function createLocalBackend({ storePath = CONFIG.LOCAL_STORE_PATH } = {}) {
+  // Re-read on every call: the daemon writes while recall reads from another process
+  function load() {
+    if (!fs.existsSync(storePath)) return { documents: {} };
+    return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  }
+
+  function save(store) {
+    writeJsonAtomic(storePath, store);
+  }
+
+  function documentsIn(store, containerTag) {
+    return Object.values(store.documents).filter(d => !containerTag || d.containerTag === containerTag);
+  }
+
+  async function add({ content, containerTag, customId, metadata = {} }) {
+    if (typeof content !== 'string' || !content.trim()) throw new Error('content is required');
+    const store = load();
+    const key = `${containerTag || ''}:${customId || crypto.randomUUID()}`;
+    const now = new Date().toISOString();
+    const existing = store.documents[key];
+
+    store.documents[key] = {
+      id: existing?.id || crypto.randomUUID(),
+      customId: customId || null,
+      containerTag: containerTag || null,
+      content,
+      metadata,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+    save(store);
+    return { id: store.documents[key].id, status: 'done' };
+  }
+
+  async function remove({ customId, containerTag, id }) {
+    const store = load();
+    const key = id
+      ? Object.keys(store.documents).find(k => store.documents[k].id === id)
+      : `${containerTag || ''}:${customId}`;
+    if (!key || !store.documents[key]) return { deleted: false };
+    delete store.documents[key];
+    save(store);
+    return { deleted: true };
+  }
+
+  async function list({ containerTag, page = 1, limit = 100 }) {
+    // Insertion order: oldest first, stable while pages are fetched
+    const docs = documentsIn(load(), containerTag);
+    return {
+      documents: docs.slice((page - 1) * limit, page * limit),
+      pagination: { currentPage: page, limit, totalItems: docs.length, totalPages: Math.ceil(docs.length / limit) },
+    };
+  }
+
+  async function get({ id }) {
+    const doc = Object.values(load().documents).find(d => d.id === id);
+    if (!doc) throw Object.assign(new Error(`Document ${id} not found`), { statusCode: 404 });
+    return doc;
+  }
+
+  async function search({ q, containerTag, limit = 10, threshold = 0, filters }) {
+    const started = Date.now();
+    const terms = [...new Set(tokenize(q))];
+    const results = documentsIn(load(), containerTag)
+      .filter(doc => matchesFilter(filters, doc.metadata))
+      .map(doc => ({ doc, ...scoreDocument(doc, terms) }))
+      .filter(r => r.similarity > 0 && r.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity || b.doc.updatedAt.localeCompare(a.doc.updatedAt))
+      .slice(0, limit)
+      .map(({ doc, similarity, chunk }) => ({
+        id: doc.id,
+        chunk,
+        metadata: { ...doc.metadata, customId: doc.customId },
+        similarity,
+        updatedAt: doc.updatedAt,
+      }));
+    return { results, timing: Date.now() - started, total: results.length };
+  }
+
+  async function profile({ containerTag, q, threshold }) {
+    const docs = documentsIn(load(), containerTag);
+
+    // Static: bullet points from long-term memory (MEMORY.md)
+    const staticFacts = docs
+      .filter(d => d.metadata?.type === 'long_term_memory')
+      .flatMap(d => d.content.split('\n'))
+      .map(line => line.match(/^\s*[-*]\s+(.+)/)?.[1]?.trim())
+      .filter(Boolean)
+      .slice(0, 20);
+
+    // Dynamic: first line of the most recently updated daily notes / conversations
+    const dynamicFacts = docs
+      .filter(d => d.metadata?.type !== 'long_term_memory')
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, 5)
+      .map(d => d.content.split('\n').find(line => line.trim())?.trim().substring(0, 200))
+      .filter(Boolean);
+
+    const response = { profile: { static: staticFacts, dynamic: dynamicFacts } };
+    if (q) response.searchResults = await search({ q, containerTag, threshold });
+    return response;
+  }
+
+  return { name: 'local', add, list, get, search, profile, delete: remove };
+}
+
+module.exports = { createLocalBackend, tokenize, matchesFilter };
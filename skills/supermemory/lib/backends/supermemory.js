@@ -0,0 +1,43 @@
+'use strict';
+
+const { loadApiKey, errorStatus } = require('../api');
+
+/**
+ * Supermemory cloud backend (thin adapter over the `supermemory` SDK)
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - explicit API key (skips auth-profiles.json)
+ * @param {string} [options.authPath] - alternative auth-profiles.json location
+ * @returns {import('./index').Backend}
+ */
+function createSupermemoryBackend({ apiKey, authPath } = {}) {
+  // CommonJS: try .default first (standard for ESM default export), fallback to direct
+  const _sm = require('supermemory');
+  const Supermemory = _sm.default || _sm;
+  // Retries are ours (apiCallWithRetry): SDK retries would hide 429s from the rate limiter
+  const sdk = new Supermemory({ apiKey: apiKey || loadApiKey(authPath), maxRetries: 0 });
+
+  // Request options ({signal}) go to the SDK, so a timeout cancels the HTTP request
+  return {
+    name: 'supermemory',
+    add: (params, options) => sdk.add(params, options),
+    search: (params, options) => sdk.search.memories(params, options),
+    profile: (params, options) => sdk.profile(params, options),
+    list: async ({ containerTag, page = 1, limit = 100 }, options) => {
+      const response = await sdk.documents.list({ containerTags: [containerTag], page, limit }, options);
+      return { documents: response.memories || [], pagination: response.pagination };
+    },
+    get: ({ id }, options) => sdk.documents.get(id, options),
+    // The documents endpoint accepts a customId in place of the document id
+    delete: async ({ customId, id }, options) => {
+      try {
+        await sdk.documents.delete(id || customId, options);
+        return { deleted: true };
+      } catch (err) {
+        if (errorStatus(err) === 404) return { deleted: false };
+        throw err;
+      }
+    },
+  };
+}
+
+module.exports = { createSupermemoryBackend };
@@ -0,0 +1,77 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { scrubSensitiveData, log } = require('./log');
+const { writeJsonAtomic } = require('./atomic');
+
+// ============================================================================
+// RECALL CACHE
+// ============================================================================
+//
+// Small JSON file of recent recall responses keyed by a hash of the query
+// and its options. Entries expire after a TTL; the file is pruned and
+// capped on every write, and written atomically (tmp file + rename).
+
+const MAX_ENTRIES = 200;
+
+/**
+ * Stable cache key for a value (object keys are sorted)
+ * @param {*} value
+ * @returns {string} hex sha256
+ */
+function cacheKey(value) {
+  const stable = JSON.stringify(value, (_, v) => (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v));
+  return crypto.createHash('sha256').update(stable).digest('hex');
+}
+
+/**
+ * File-backed TTL cache
+ * @param {Object} options
+ * @param {string} options.file - cache file path
+ * @param {number} options.ttlMs - entry lifetime
+ * @param {() => number} [options.now] - clock (tests)
+ * @returns {{get: (key: string) => ({value: *, storedAt: number}|null), set: (key: string, value: *) => void, clear: () => void}}
+ */
+function createCache({ file, ttlMs, now = Date.now }) {
+  function load() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).entries || {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') log(`⚠️ Recall cache unreadable, ignoring: ${scrubSensitiveData(err.message)}`);
+      return {};
+    }
+  }
+
+  function get(key) {
+    const entry = load()[key];
+    if (!entry || now() - entry.storedAt > ttlMs) return null;
+    return entry;
+  }
+
+  function set(key, value) {
+    const entries = load();
+    entries[key] = { storedAt: now(), value };
+    const fresh = Object.entries(entries)
+      .filter(([, e]) => now() - e.storedAt <= ttlMs)
+      .sort((a, b) => b[1].storedAt - a[1].storedAt)
+      .slice(0, MAX_ENTRIES);
+    try {
+      writeJsonAtomic(file, { entries: Object.fromEntries(fresh) });
+    } catch (err) {
+      // A cache that cannot be written only costs a network round trip
+      log(`⚠️ Recall cache write failed: ${scrubSensitiveData(err.message)}`);
+    }
+  }
+
+  // After deletions: cached answers may still quote the deleted documents
+  function clear() {
+    fs.rmSync(file, { force: true });
+  }
+
+  return { get, set, clear };
+}
+
+module.exports = { cacheKey, createCache };
@@ -0,0 +1,189 @@
+'use strict';
+
+const { CONFIG } = require('./config');
+const { tokenize } = require('./text');
+
+// ============================================================================
+// CONVERSATION CHUNKING
+// ============================================================================
+//
+// Turns pending session messages into upload documents. A document stays
+// within CHUNK_MAX_CHARS and BATCH_SIZE * 2 messages. Once it holds at least
+// CHUNK_MIN_CHARS it is closed at the next natural boundary: a pause of
+// CHUNK_TIME_GAP_MS or a user turn that shares almost no vocabulary with the
+// exchange before it. A message that alone exceeds the budget becomes its own
+// run of continuation documents; joining the parts gives back the full text.
+
+// Room left in the budget for the "[timestamp] [role] (part i/n): " header
+const HEADER_RESERVE = 64;
+// Topic comparison ignores short words, which are mostly stopwords
+const TOPIC_MIN_TERM_LENGTH = 4;
+const SPLIT_SEPARATORS = ['\n\n', '\n', '. ', '! ', '? ', ' '];
+
+/**
+ * Split text into pieces of at most maxLen chars, preferring paragraph,
+ * line, sentence and word boundaries. Lossless: pieces.join('') === text.
+ * @param {string} text
+ * @param {number} maxLen
+ * @returns {string[]}
+ */
+function splitText(text, maxLen) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxLen) {
+    const window = rest.slice(0, maxLen);
+    let cut = 0;
+    for (const sep of SPLIT_SEPARATORS) {
+      const at = window.lastIndexOf(sep);
+      // Only accept a boundary in the second half, otherwise pieces get tiny
+      if (at >= maxLen / 2) { cut = at + sep.length; break; }
+    }
+    if (!cut) {
+      cut = maxLen;
+      // Never cut a surrogate pair in half
+      const code = rest.charCodeAt(cut - 1);
+      if (code >= 0xd800 && code <= 0xdbff && cut > 1) cut--;
+    }
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Render one chunk unit the way it appears in the uploaded document
+ * @param {Object} unit - {message, text, part, parts}
+ * @returns {string}
+ */
+function formatUnit(unit) {
+  const m = unit.message;
+  const ts = m.timestamp ? new Date(m.timestamp).toISOString() : 'unknown';
+  const part = unit.parts > 1 ? ` (part ${unit.part}/${unit.parts})` : '';
+  return `[${ts}] [${m.role}]${part}: ${unit.text}`;
+}
+
+/**
+ * Turn messages into chunk units; oversized messages become several parts
+ * @param {Array} messages
+ * @param {number} maxChars - document budget
+ * @returns {Array<{message: Object, text: string, part: number, parts: number, size: number}>}
+ */
+function expandMessages(messages, maxChars) {
+  const units = [];
+  for (const message of messages) {
+    const whole = { message, text: message.text, part: 1, parts: 1 };
+    if (formatUnit(whole).length <= maxChars) {
+      units.push(whole);
+      continue;
+    }
+    const pieces = splitText(message.text, Math.max(1, maxChars - HEADER_RESERVE));
+    pieces.forEach((text, i) => units.push({ message, text, part: i + 1, parts: pieces.length }));
+  }
+  // +2 for the blank line between messages
+  for (const unit of units) unit.size = formatUnit(unit).length + 2;
+  return units;
+}
+
+/**
+ * Share of terms the smaller side has in common with the other (1 = same topic)
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} 1 when either side has no usable terms
+ */
+function termOverlap(a, b) {
+  if (!a.size || !b.size) return 1;
+  let shared = 0;
+  for (const term of a) if (b.has(term)) shared++;
+  return shared / Math.min(a.size, b.size);
+}
+
+function topicTerms(units) {
+  return new Set(units.flatMap(u => tokenize(u.text)).filter(t => t.length >= TOPIC_MIN_TERM_LENGTH));
+}
+
+/**
+ * Natural boundary right before units[i], if any
+ * @param {Array} units
+ * @param {number} i
+ * @returns {'time_gap'|'topic_shift'|null}
+ */
+function boundaryBefore(units, i) {
+  const prev = units[i - 1].message;
+  const next = units[i].message;
+  if (prev.timestamp && next.timestamp
+    && new Date(next.timestamp) - new Date(prev.timestamp) >= CONFIG.CHUNK_TIME_GAP_MS) return 'time_gap';
+
+  // A new topic starts with the user: compare the last exchange with the next one
+  if (next.role !== 'user') return null;
+  const before = topicTerms(units.slice(Math.max(0, i - 2), i));
+  const after = topicTerms(units.slice(i, i + 2));
+  return termOverlap(before, after) < CONFIG.CHUNK_TOPIC_SIMILARITY ? 'topic_shift' : null;
+}
+
+/**
+ * Describe a finished chunk: line range, position and how far the cursor may move
+ * @param {Array} units
+ * @param {string} boundary - why the chunk ended
+ * @returns {Object}
+ */
+function finishChunk(units, boundary) {
+  const first = units[0];
+  const last = units[units.length - 1];
+  // The cursor may only pass a message once its last part is uploaded
+  const complete = units.filter(u => u.part === u.parts);
+  const done = complete[complete.length - 1];
+  return {
+    units, boundary,
+    startLine: first.message.lineNum,
+    endLine: last.message.lineNum,
+    part: first.parts > 1 ? first.part : null,
+    parts: first.parts > 1 ? first.parts : null,
+    messageCount: complete.length,
+    commit: done ? { line: done.message.lineNum, offset: done.message.endOffset } : null,
+  };
+}
+
+/**
+ * Split pending messages into upload documents.
+ * Finished chunks always go out. A short trailing chunk (fewer than
+ * MIN_NEW_MESSAGES) is held back so it can grow with the next messages,
+ * unless the session has gone idle - then everything is flushed.
+ * @param {Array} messages - pending messages in file order
+ * @param {boolean} idle - session inactive for at least IDLE_FLUSH_MS
+ * @returns {Array<Object>} chunks to upload now (see finishChunk)
+ */
+function planChunks(messages, idle) {
+  if (!messages.length) return [];
+  if (messages.length < CONFIG.MIN_NEW_MESSAGES && !idle) return [];
+
+  const maxChars = CONFIG.CHUNK_MAX_CHARS;
+  const maxMessages = CONFIG.BATCH_SIZE * 2;
+  const units = expandMessages(messages, maxChars);
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  units.forEach((unit, i) => {
+    if (current.length) {
+      let boundary = null;
+      if (unit.parts > 1 || current[0].parts > 1) boundary = 'split';
+      else if (size + unit.size > maxChars || current.length >= maxMessages) boundary = 'size';
+      else if (size >= CONFIG.CHUNK_MIN_CHARS) boundary = boundaryBefore(units, i);
+      if (boundary) {
+        chunks.push(finishChunk(current, boundary));
+        current = [];
+        size = 0;
+      }
+    }
+    current.push(unit);
+    size += unit.size;
+  });
+  chunks.push(finishChunk(current, 'end'));
+
+  const last = chunks[chunks.length - 1];
+  if (!idle && chunks.length > 1 && !last.parts && last.units.length < CONFIG.MIN_NEW_MESSAGES) chunks.pop();
+  return chunks;
+}
+
+module.exports = { splitText, formatUnit, planChunks };
@@ -0,0 +1,226 @@
+'use strict';
+
+const { parseArgs } = require('util');
+const { SEARCH_MODES, MEMORY_TYPES, RECALL_DEFAULTS } = require('./recall');
+const { CONTEXT_DEFAULTS } = require('./context');
+const { parseLineRange } = require('./expand');
+const { OUTPUT_FORMATS } = require('./output');
+const { sourceTypes } = require('./sources');
+const { validateAgentId } = require('./agents');
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+/** Flags of `sm-recall.js recall` (util.parseArgs spec) */
+const RECALL_FLAGS = {
+  limit: { type: 'string' },
+  threshold: { type: 'string' },
+  mode: { type: 'string' },
+  'no-rerank': { type: 'boolean' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  type: { type: 'string' },
+  session: { type: 'string' },
+  agent: { type: 'string' },
+  'no-profile': { type: 'boolean' },
+  tools: { type: 'boolean' },
+  'no-tools': { type: 'boolean' },
+  'no-cache': { type: 'boolean' },
+  'no-fallback': { type: 'boolean' },
+  format: { type: 'string' },
+};
+
+/** Flags of `sm-recall.js context`: recall flags plus the token budget */
+const CONTEXT_FLAGS = {
+  ...RECALL_FLAGS,
+  'max-tokens': { type: 'string' },
+};
+
+/** Flags of `sm-recall.js show` / `expand` */
+const SHOW_FLAGS = {
+  session: { type: 'string' },
+  batch: { type: 'string' },
+  lines: { type: 'string' },
+  context: { type: 'string' },
+  format: { type: 'string' },
+};
+
+/** Flags of sm-forget.js */
+const FORGET_FLAGS = {
+  id: { type: 'string', multiple: true },
+  session: { type: 'string' },
+  lines: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  type: { type: 'string' },
+  match: { type: 'string' },
+  limit: { type: 'string' },
+  threshold: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Split argv into positionals and flag values; unknown flags are an error
+ * @param {string[]} argv - arguments without node and the script path
+ * @param {Object} flags - util.parseArgs options spec
+ * @returns {{positionals: string[], values: Object}}
+ */
+function parseCommandLine(argv, flags) {
+  return parseArgs({ args: argv, options: flags, allowPositionals: true, strict: true });
+}
+
+function parseNumber(flag, raw, { min, max, integer }) {
+  const value = Number(raw);
+  if (raw.trim() === '' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    throw new Error(`--${flag} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max} (got "${raw}")`);
+  }
+  return value;
+}
+
+function parseDate(flag, raw) {
+  const date = new Date(`${raw}T00:00:00Z`);
+  // Rejects both garbage and overflowing days like 2026-02-30
+  const valid = /^\d{4}-\d{2}-\d{2}$/.test(raw) && !isNaN(date) && date.toISOString().startsWith(raw);
+  if (!valid) throw new Error(`--${flag} must be a date as YYYY-MM-DD (got "${raw}")`);
+  return raw;
+}
+
+function parseChoice(flag, raw, choices) {
+  if (!choices.includes(raw)) throw new Error(`--${flag} must be one of ${choices.join(', ')} (got "${raw}")`);
+  return raw;
+}
+
+/**
+ * Turn parsed recall flags into recall() options
+ * @param {Object} values - `values` from parseCommandLine(argv, RECALL_FLAGS)
+ * @param {Object} [defaults] - values for flags that were not given
+ * @returns {Object} options for recall()
+ * @throws {Error} with a message naming the offending flag
+ */
+function parseRecallOptions(values, defaults = RECALL_DEFAULTS) {
+  const options = { ...defaults };
+  if (values.limit !== undefined) options.limit = parseNumber('limit', values.limit, { min: 1, max: 100, integer: true });
+  if (values.threshold !== undefined) options.threshold = parseNumber('threshold', values.threshold, { min: 0, max: 1 });
+  if (values.mode !== undefined) options.mode = parseChoice('mode', values.mode, SEARCH_MODES);
+  if (values['no-rerank']) options.rerank = false;
+  if (values['no-profile']) options.profile = false;
+  if (values.since !== undefined) options.since = parseDate('since', values.since);
+  if (values.until !== undefined) options.until = parseDate('until', values.until);
+  if (options.since && options.until && options.since > options.until) {
+    throw new Error(`--since ${options.since} is after --until ${options.until}`);
+  }
+  if (values.type !== undefined) options.type = parseChoice('type', values.type, [...MEMORY_TYPES, ...sourceTypes()]);
+  if (values.session !== undefined) {
+    if (!values.session.trim()) throw new Error('--session needs a session key');
+    options.session = values.session;
+  }
+  if (values.agent !== undefined) {
+    try {
+      options.agent = validateAgentId(values.agent.trim());
+    } catch (err) {
+      throw new Error(`--agent: ${err.message}`);
+    }
+  }
+  if (values.tools && values['no-tools']) throw new Error('--tools and --no-tools are mutually exclusive');
+  if (values.tools) options.tools = 'only';
+  if (values['no-tools']) options.tools = 'exclude';
+  if (values['no-cache']) options.cache = false;
+  if (values['no-fallback']) options.fallback = false;
+  return options;
+}
+
+/**
+ * Turn parsed context flags into buildContext() options
+ * @param {Object} values - `values` from parseCommandLine(argv, CONTEXT_FLAGS)
+ * @returns {Object} recall options plus maxTokens
+ * @throws {Error} with a message naming the offending flag
+ */
+function parseContextOptions(values) {
+  const options = parseRecallOptions(values, CONTEXT_DEFAULTS);
+  if (values['max-tokens'] !== undefined) {
+    options.maxTokens = parseNumber('max-tokens', values['max-tokens'], { min: 50, max: 100000, integer: true });
+  }
+  return options;
+}
+
+/**
+ * Turn parsed show flags into expandHit() options
+ * @param {Object} values - `values` from parseCommandLine(argv, SHOW_FLAGS)
+ * @returns {{session: string, batch?: number, lines?: Object, context: number}}
+ * @throws {Error} with a message naming the offending flag
+ */
+function parseShowOptions(values) {
+  if (!values.session?.trim()) throw new Error('--session is required (session_key or session_id of the hit)');
+  if (!values.batch === !values.lines) throw new Error('pass exactly one of --batch or --lines');
+  const options = { session: values.session.trim(), context: 1 };
+  if (values.batch !== undefined) options.batch = parseNumber('batch', values.batch, { min: 1, max: Number.MAX_SAFE_INTEGER, integer: true });
+  if (values.lines !== undefined) options.lines = parseLineRange(values.lines);
+  if (values.context !== undefined) options.context = parseNumber('context', values.context, { min: 0, max: 20, integer: true });
+  return options;
+}
+
+/**
+ * Turn parsed forget flags into a findForgetTargets() selector
+ * @param {Object} values - `values` from parseCommandLine(argv, FORGET_FLAGS)
+ * @returns {Object} selector plus yes and dryRun
+ * @throws {Error} with a message naming the offending flag
+ */
+function parseForgetOptions(values) {
+  const options = { ids: values.id || [], yes: Boolean(values.yes), dryRun: Boolean(values['dry-run']) };
+  if (options.ids.some(id => !id.trim())) throw new Error('--id needs a customId');
+  if (values.session !== undefined) {
+    if (!values.session.trim()) throw new Error('--session needs a session key');
+    options.session = values.session.trim();
+  }
+  if (values.lines !== undefined) {
+    if (!options.session) throw new Error('--lines needs --session');
+    options.lines = parseLineRange(values.lines);
+  }
+  if (values.since !== undefined) options.since = parseDate('since', values.since);
+  if (values.until !== undefined) options.until = parseDate('until', values.until);
+  if (options.since && options.until && options.since > options.until) {
+    throw new Error(`--since ${options.since} is after --until ${options.until}`);
+  }
+  if (values.type !== undefined) options.type = parseChoice('type', values.type, [...MEMORY_TYPES, ...sourceTypes()]);
+  if (values.match !== undefined) {
+    if (!values.match.trim()) throw new Error('--match needs a query');
+    options.match = values.match;
+    options.limit = values.limit === undefined ? RECALL_DEFAULTS.limit : parseNumber('limit', values.limit, { min: 1, max: 100, integer: true });
+    options.threshold = values.threshold === undefined ? RECALL_DEFAULTS.threshold : parseNumber('threshold', values.threshold, { min: 0, max: 1 });
+  } else if (values.limit !== undefined || values.threshold !== undefined) {
+    throw new Error('--limit and --threshold only apply to --match');
+  }
+  if (!options.ids.length && !options.session && !options.since && !options.until && !options.type && !options.match) {
+    throw new Error('select something to forget: --id, --session, --since/--until, --type or --match');
+  }
+  return options;
+}
+
+/**
+ * Output format requested with --format
+ * @param {Object} values - `values` from parseCommandLine
+ * @returns {string} one of OUTPUT_FORMATS, 'text' by default
+ */
+function parseOutputFormat(values) {
+  return values.format === undefined ? 'text' : parseChoice('format', values.format, OUTPUT_FORMATS);
+}
+
+/**
+ * Best-effort --format lookup on raw argv, for reporting errors found while
+ * parsing the rest of the command line in the requested format
+ * @param {string[]} argv
+ * @returns {string} one of OUTPUT_FORMATS, 'text' when absent or invalid
+ */
+function sniffOutputFormat(argv) {
+  const i = argv.indexOf('--format');
+  const raw = i !== -1 ? argv[i + 1] : argv.find(a => a.startsWith('--format='))?.slice('--format='.length);
+  return OUTPUT_FORMATS.includes(raw) ? raw : 'text';
+}
+
+module.exports = {
+  RECALL_FLAGS, CONTEXT_FLAGS, SHOW_FLAGS, FORGET_FLAGS, parseCommandLine, parseRecallOptions, parseContextOptions,
+  parseShowOptions, parseForgetOptions, parseOutputFormat, sniffOutputFormat,
+};
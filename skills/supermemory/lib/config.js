@@ -0,0 +1,334 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./markdown');
+const { log } = require('./log');
+
+// ============================================================================
+// CONFIGURATION - environment, .env file, config file, validation
+// ============================================================================
+//
+// Every setting is an SM_* variable. Values are looked up in the process
+// environment first, then in a .env file (SM_ENV_FILE, by default .env next
+// to this skill's lib/), then in a JSON or YAML config file (SM_CONFIG, by
+// default sm-config.json/.yaml in the workspace), then the built-in
+// default. Each value is checked against SCHEMA; problems are collected in
+// CONFIG_ERRORS with the place they came from instead of silently falling
+// back to the default, and the scripts refuse to start while there are any
+// (see assertValidConfig; sm-doctor.js prints them all). Nothing is printed
+// while loading: warnings wait for assertValidConfig too, so requiring the
+// library stays silent for embedders.
+
+const DATA = '/data/.openclaw';
+const PLACEHOLDER_TAGS = ['your-name', 'your_name', 'yourname', 'your-unique-identifier', 'test', 'example'];
+// Read before everything else, not settings themselves
+const LOCATION_VARS = ['SM_ENV_FILE', 'SM_CONFIG'];
+const DEFAULT_ENV_FILE = path.join(__dirname, '..', '.env');
+const CONFIG_FILE_NAMES = ['sm-config.json', 'sm-config.yaml', 'sm-config.yml'];
+const DEFAULT_CONFIG_FILES = CONFIG_FILE_NAMES.map(name => `${DATA}/workspace/${name}`);
+
+/**
+ * Setting definitions: environment variable, type, default and limits.
+ * Types: string, tag (container tag), list (comma-separated), enum (one of
+ * `values`), bool, int (whole number ≥ `min`, 1 by default), number.
+ */
+const SCHEMA = {
+  AUTH_PATH: { env: 'SM_AUTH_PATH', type: 'string', default: `${DATA}/agents/main/agent/auth-profiles.json` },
+  SESSIONS_DIR: { env: 'SM_SESSIONS_DIR', type: 'string', default: `${DATA}/agents/main/sessions` },
+  SESSIONS_META: { env: 'SM_SESSIONS_META', type: 'string', default: `${DATA}/agents/main/sessions/sessions.json` },
+  STATE_FILE: { env: 'SM_STATE_FILE', type: 'string', default: `${DATA}/workspace/memory/sm-sync-state.json` },
+  WORKSPACE: { env: 'SM_WORKSPACE', type: 'string', default: `${DATA}/workspace` },
+  CONTAINER_TAG: { env: 'SM_CONTAINER_TAG', type: 'tag', default: 'default' },
+  // Agents under AGENTS_ROOT; the three paths above are those of the "main" agent
+  AGENTS_ROOT: { env: 'SM_AGENTS_ROOT', type: 'string', default: `${DATA}/agents` },
+  // Agent ids to sync; empty = every agent found under AGENTS_ROOT
+  AGENTS: { env: 'SM_AGENTS', type: 'list', default: [] },
+  // Container tag per agent ("ops=nn02-ops,*=nn02-{agent}"); unmapped agents share CONTAINER_TAG
+  AGENT_TAGS: { env: 'SM_AGENT_TAGS', type: 'string', default: '' },
+  // Storage backend: 'supermemory' (cloud API) or 'local' (offline JSON store)
+  BACKEND: { env: 'SM_BACKEND', type: 'enum', values: ['supermemory', 'local'], default: 'supermemory' },
+  LOCAL_STORE_PATH: { env: 'SM_LOCAL_STORE', type: 'string', default: `${DATA}/workspace/memory/sm-local-store.json` },
+  BATCH_SIZE: { env: 'SM_BATCH_SIZE', type: 'int', default: 20 },
+  // Conversation documents: char budget (~4 chars per token) and where to prefer breaks
+  CHUNK_MAX_CHARS: { env: 'SM_CHUNK_MAX_CHARS', type: 'int', default: 12000 },
+  CHUNK_MIN_CHARS: { env: 'SM_CHUNK_MIN_CHARS', type: 'int', default: 3000 },
+  CHUNK_TIME_GAP_MS: { env: 'SM_CHUNK_TIME_GAP_MS', type: 'int', default: 1800000 },
+  CHUNK_TOPIC_SIMILARITY: { env: 'SM_CHUNK_TOPIC_SIMILARITY', type: 'number', min: 0, max: 1, default: 0.1 },
+  CHECK_INTERVAL_MS: { env: 'SM_CHECK_INTERVAL_MS', type: 'int', default: 120000 },
+  // Wake up on session file changes (fs.watch); CHECK_INTERVAL_MS remains the polling fallback
+  WATCH: { env: 'SM_WATCH', type: 'bool', default: true },
+  WATCH_DEBOUNCE_MS: { env: 'SM_WATCH_DEBOUNCE_MS', type: 'int', default: 2000 },
+  MIN_NEW_MESSAGES: { env: 'SM_MIN_NEW_MESSAGES', type: 'int', default: 5 },
+  // Upload leftovers below MIN_NEW_MESSAGES once a session is inactive this long
+  IDLE_FLUSH_MS: { env: 'SM_IDLE_FLUSH_MS', type: 'int', default: 1800000 },
+  // Tool calls/results in synced conversations (opt-in), with allow/deny lists and size caps
+  INCLUDE_TOOLS: { env: 'SM_INCLUDE_TOOLS', type: 'bool', default: false },
+  TOOLS_ALLOW: { env: 'SM_TOOLS_ALLOW', type: 'list', default: [] },
+  TOOLS_DENY: { env: 'SM_TOOLS_DENY', type: 'list', default: [] },
+  TOOL_INPUT_MAX_CHARS: { env: 'SM_TOOL_INPUT_MAX_CHARS', type: 'int', default: 500 },
+  TOOL_RESULT_MAX_CHARS: { env: 'SM_TOOL_RESULT_MAX_CHARS', type: 'int', default: 1000 },
+  // Content redaction before upload (secrets, cards, emails, phones...)
+  REDACT: { env: 'SM_REDACT', type: 'bool', default: true },
+  REDACT_CONFIG: { env: 'SM_REDACT_CONFIG', type: 'string', default: `${DATA}/workspace/sm-redact.json` },
+  // Memory file sync: hash manifest, daily notes synced without backfill, daemon opt-in
+  FILES_MANIFEST: { env: 'SM_FILES_MANIFEST', type: 'string', default: `${DATA}/workspace/memory/sm-files-manifest.json` },
+  DAILY_NOTES_RECENT: { env: 'SM_DAILY_NOTES_RECENT', type: 'int', default: 14 },
+  SYNC_FILES: { env: 'SM_SYNC_FILES', type: 'bool', default: false },
+  // Extra files to sync: JSON list of sources (globs, type, customId template)
+  FILES_CONFIG: { env: 'SM_FILES_CONFIG', type: 'string', default: `${DATA}/workspace/sm-files.json` },
+  // Session rules: exclude sessions or messages, route sessions to other container tags
+  RULES_CONFIG: { env: 'SM_RULES_CONFIG', type: 'string', default: `${DATA}/workspace/sm-rules.json` },
+  // Recall: cache of recent answers, and keyword search over local files when the API is down
+  RECALL_CACHE: { env: 'SM_RECALL_CACHE', type: 'bool', default: true },
+  RECALL_CACHE_PATH: { env: 'SM_RECALL_CACHE_PATH', type: 'string', default: `${DATA}/workspace/memory/sm-recall-cache.json` },
+  RECALL_CACHE_TTL_MS: { env: 'SM_RECALL_CACHE_TTL_MS', type: 'int', default: 600000 },
+  OFFLINE_FALLBACK: { env: 'SM_OFFLINE_FALLBACK', type: 'bool', default: true },
+  // Outbox: uploads that failed, replayed in order; rejected ones go to dead letters
+  OUTBOX_PATH: { env: 'SM_OUTBOX', type: 'string', default: `${DATA}/workspace/memory/sm-outbox.json` },
+  DEAD_LETTERS_PATH: { env: 'SM_DEAD_LETTERS', type: 'string', default: `${DATA}/workspace/memory/sm-dead-letters.json` },
+  // Circuit breaker: this many failed uploads in a row pause uploads for the cooldown
+  BREAKER_THRESHOLD: { env: 'SM_BREAKER_THRESHOLD', type: 'int', default: 3 },
+  BREAKER_COOLDOWN_MS: { env: 'SM_BREAKER_COOLDOWN_MS', type: 'int', default: 300000 },
+  // API timeout and retry configuration
+  API_TIMEOUT_MS: { env: 'SM_API_TIMEOUT_MS', type: 'int', default: 30000 },
+  API_RETRY_ATTEMPTS: { env: 'SM_API_RETRY_ATTEMPTS', type: 'int', default: 3 },
+  API_RETRY_BASE_DELAY_MS: { env: 'SM_API_RETRY_BASE_DELAY_MS', type: 'int', default: 1000 },
+  // Uploads in flight at once, and API calls per second (token bucket; 0 = unlimited)
+  UPLOAD_CONCURRENCY: { env: 'SM_UPLOAD_CONCURRENCY', type: 'int', default: 4 },
+  API_RATE_LIMIT: { env: 'SM_API_RATE_LIMIT', type: 'number', min: 0, default: 5 },
+  API_RATE_BURST: { env: 'SM_API_RATE_BURST', type: 'int', default: 5 },
+};
+
+const ENV_NAMES = new Map(Object.entries(SCHEMA).map(([key, spec]) => [spec.env, key]));
+
+/**
+ * Parse a .env file: KEY=value lines, optionally prefixed with `export`;
+ * values may be quoted, # starts a comment outside quotes
+ * @param {string} text
+ * @returns {{values: Object<string, string>, errors: string[]}} errors name the line
+ */
+function parseEnvFile(text) {
+  const values = {};
+  const errors = [];
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const match = trimmed.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) {
+      errors.push(`line ${i + 1}: expected KEY=value`);
+      return;
+    }
+    const [, key, raw] = match;
+    const quoted = raw.match(/^(["'])(.*)\1\s*(?:#.*)?$/);
+    if (quoted) values[key] = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1') : quoted[2];
+    else if (/^["']/.test(raw)) errors.push(`line ${i + 1}: unterminated quote in ${key}`);
+    else values[key] = raw.replace(/\s+#.*$/, '').trim();
+  });
+  return { values, errors };
+}
+
+/**
+ * Read a config file (JSON, or YAML for .yaml/.yml) of SM_* keys
+ * @param {string} file
+ * @returns {{values: Object<string, string|string[]>, errors: string[]}}
+ * @throws {Error} when the file cannot be read or parsed
+ */
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const data = /\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('must be an object of SM_* settings');
+
+  const values = {};
+  const errors = [];
+  for (const [name, value] of Object.entries(data)) {
+    if (!ENV_NAMES.has(name)) {
+      errors.push(`unknown setting ${name}`);
+    } else if (Array.isArray(value)) {
+      if (SCHEMA[ENV_NAMES.get(name)].type !== 'list') errors.push(`${name} must be a single value, not a list`);
+      else values[name] = value.map(String);
+    } else if (value !== null && typeof value === 'object') {
+      errors.push(`${name} must be a single value, not an object`);
+    } else if (value !== null) {
+      values[name] = String(value);
+    }
+  }
+  return { values, errors };
+}
+
+/**
+ * Convert one raw setting to its typed value
+ * @param {Object} spec - SCHEMA entry
+ * @param {string|string[]} raw - never empty
+ * @returns {*}
+ * @throws {Error} describing what was expected
+ */
+function coerce(spec, raw) {
+  const value = Array.isArray(raw) ? raw : raw.trim();
+  switch (spec.type) {
+    case 'list':
+      return (Array.isArray(value) ? value : value.split(',')).map(s => s.trim()).filter(Boolean);
+    case 'bool':
+      if (/^(1|true|yes|on)$/i.test(value)) return true;
+      if (/^(0|false|no|off)$/i.test(value)) return false;
+      throw new Error('must be true or false');
+    case 'enum':
+      if (!spec.values.includes(value)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+      return value;
+    case 'int': {
+      const min = spec.min ?? 1;
+      if (!/^\d+$/.test(value) || Number(value) < min) throw new Error(`must be a whole number ≥ ${min}`);
+      return Number(value);
+    }
+    case 'number': {
+      const number = Number(value);
+      if (!/^\d*\.?\d+$/.test(value) || number < spec.min || (spec.max !== undefined && number > spec.max)) {
+        throw new Error(`must be a number ${spec.max !== undefined ? `from ${spec.min} to ${spec.max}` : `≥ ${spec.min}`}`);
+      }
+      return number;
+    }
+    case 'tag':
+      if (PLACEHOLDER_TAGS.includes(value.toLowerCase())) throw new Error('is a placeholder value, set a unique identifier');
+      if (value.length < 2) throw new Error('must be at least 2 characters');
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check whether a setting has a validation error
+ * @param {string[]} errors - from loadConfig (or CONFIG_ERRORS)
+ * @param {string} name - SM_* variable
+ * @returns {boolean}
+ */
+function hasConfigError(errors, name) {
+  return errors.some(error => error.includes(`: ${name}=`));
+}
+
+/**
+ * Resolve the configuration from the environment, a .env file and a config
+ * file (in that order of precedence), validating every value
+ * @param {Object} [env] - environment variables (process.env by default)
+ * @returns {{config: Object, errors: string[], warnings: string[], sources: {envFile: string|null, configFile: string|null}}}
+ *   invalid settings keep their default and are listed in errors
+ */
+function loadConfig(env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const sources = { envFile: null, configFile: null };
+
+  // Empty SM_ENV_FILE / SM_CONFIG turn the file off; a path set explicitly must exist
+  function missing(file, required, label) {
+    if (fs.existsSync(file)) return false;
+    if (required) errors.push(`${label} ${file}: not found`);
+    return true;
+  }
+  function locate(name, defaults) {
+    if (env[name] !== undefined) return env[name] ? [env[name], true] : [null, false];
+    return [defaults.find(file => fs.existsSync(file)) || null, false];
+  }
+
+  let dotenv = {};
+  const [envFile, envFileRequired] = locate('SM_ENV_FILE', [DEFAULT_ENV_FILE]);
+  if (envFile && !missing(envFile, envFileRequired, 'Env file')) {
+    try {
+      const parsed = parseEnvFile(fs.readFileSync(envFile, 'utf8'));
+      dotenv = parsed.values;
+      sources.envFile = envFile;
+      errors.push(...parsed.errors.map(e => `Env file ${envFile}: ${e}`));
+      for (const name of Object.keys(dotenv)) {
+        if (name.startsWith('SM_') && !ENV_NAMES.has(name) && !LOCATION_VARS.includes(name)) {
+          errors.push(`Env file ${envFile}: unknown setting ${name}`);
+        }
+      }
+    } catch (err) {
+      errors.push(`Env file ${envFile}: ${err.message}`);
+    }
+  }
+
+  let file = {};
+  const located = locate('SM_CONFIG', DEFAULT_CONFIG_FILES);
+  // The .env file may say where the config file is
+  const [configFile, configRequired] = env.SM_CONFIG === undefined && dotenv.SM_CONFIG !== undefined
+    ? [dotenv.SM_CONFIG || null, Boolean(dotenv.SM_CONFIG)]
+    : located;
+  if (configFile && !missing(configFile, configRequired, 'Config')) {
+    try {
+      const parsed = readConfigFile(configFile);
+      file = parsed.values;
+      sources.configFile = configFile;
+      errors.push(...parsed.errors.map(e => `Config ${configFile}: ${e}`));
+    } catch (err) {
+      errors.push(`Config ${configFile}: ${err.message}`);
+    }
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const layers = [[env, 'Environment'], [dotenv, `Env file ${sources.envFile}`], [file, `Config ${sources.configFile}`]];
+    const [raw, source] = layers
+      .map(([values, where]) => [values[spec.env], where])
+      .find(([value]) => value !== undefined && value !== '' && !(Array.isArray(value) && !value.length)) || [];
+    config[key] = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+    if (raw === undefined) continue;
+    try {
+      config[key] = coerce(spec, raw);
+    } catch (err) {
+      errors.push(`${source}: ${spec.env}="${raw}" ${err.message}`);
+    }
+  }
+  if (config.CONTAINER_TAG === 'default' && !hasConfigError(errors, 'SM_CONTAINER_TAG')) {
+    warnings.push('SM_CONTAINER_TAG not set, using fallback "default". Set it to avoid data mixing.');
+  }
+  return { config, errors, warnings, sources };
+}
+
+const loaded = loadConfig();
+
+/**
+ * Shared configuration for daemon, recall and file sync.
+ * Mutable on purpose: embedders may override fields via configure().
+ */
+const CONFIG = loaded.config;
+
+/** Problems found while loading CONFIG, each prefixed with where the value came from */
+const CONFIG_ERRORS = loaded.errors;
+
+/** Problems that do not stop a script (logged by assertValidConfig) */
+const CONFIG_WARNINGS = loaded.warnings;
+
+/** The .env and config files CONFIG was read from (null when not used) */
+const CONFIG_SOURCES = loaded.sources;
+
+let warned = false;
+
+/**
+ * Stop a script from running on a broken configuration. CONFIG_WARNINGS
+ * are logged (once) through log(), so setLogger() decides where they go.
+ * @throws {Error} listing every problem in CONFIG_ERRORS
+ */
+function assertValidConfig() {
+  if (!warned) CONFIG_WARNINGS.forEach(warning => log(`⚠️ ${warning}`));
+  warned = true;
+  if (!CONFIG_ERRORS.length) return;
+  throw new Error(`Invalid configuration (run sm-doctor.js for a full report):\n${CONFIG_ERRORS.map(e => `  - ${e}`).join('\n')}`);
+}
+
+/**
+ * Override configuration values at runtime (programmatic use)
+ * @param {Object} overrides - keys of CONFIG to replace
+ * @returns {Object} the updated CONFIG
+ */
+function configure(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in CONFIG)) throw new Error(`Unknown config key: ${key}`);
+    CONFIG[key] = value;
+  }
+  return CONFIG;
+}
+
+module.exports = {
+  CONFIG, CONFIG_ERRORS, CONFIG_WARNINGS, CONFIG_SOURCES, CONFIG_FILE_NAMES, SCHEMA, parseEnvFile, hasConfigError, loadConfig,
+  assertValidConfig, configure,
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+const { tokenize } = require('./text');
+const { RECALL_DEFAULTS, documentDate, recall } = require('./recall');
+
+// ============================================================================
+// CONTEXT PACK
+// ============================================================================
+//
+// A compact, citation-tagged memory block for prompt injection. Candidates
+// come from recall(); the pack drops weak hits, merges duplicates and
+// overlapping batches, ranks by relevance with a small recency bonus and
+// stops (or trims the last entry) when the token budget is spent.
+
+const CONTEXT_DEFAULTS = {
+  ...RECALL_DEFAULTS,
+  limit: 20,
+  threshold: 0.5,
+  maxTokens: 1500,
+};
+
+// Conservative: Cyrillic text runs close to 3 chars per token
+const CHARS_PER_TOKEN = 3;
+// Share of the ranking score that comes from recency; relevance dominates
+const RECENCY_WEIGHT = 0.1;
+const RECENCY_HALF_LIFE_DAYS = 30;
+// Near-duplicate results: share of common terms
+const DUPLICATE_OVERLAP = 0.8;
+// Don't bother trimming an entry below this many tokens
+const MIN_ENTRY_TOKENS = 30;
+
+/**
+ * Rough token count of a string
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function compact(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Citation for a hit: date plus batch for conversations, date for daily
+ * notes, file name and section for MEMORY.md
+ * @param {Object} item - normalized hit ({metadata, date})
+ * @returns {string}
+ */
+function citation(item) {
+  const m = item.metadata;
+  if (m.type === 'conversation') {
+    return [item.date, m.batch_id && `batch ${m.batch_id}`, m.session_key].filter(Boolean).join(', ');
+  }
+  if (m.type === 'daily_memory') return `daily ${item.date || m.file || ''}`.trim();
+  if (m.type === 'long_term_memory') return [m.file || 'MEMORY.md', m.heading_path].filter(Boolean).join(' > ');
+  return item.date || item.customId || 'memory';
+}
+
+/**
+ * Whether two hits cover the same material: same document, overlapping
+ * line ranges of one session, or nearly the same words
+ * @param {Object} a - normalized hit
+ * @param {Object} b - normalized hit
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+  if (a.customId && a.customId === b.customId) return true;
+  const ma = a.metadata;
+  const mb = b.metadata;
+  if (ma.session_id && ma.session_id === mb.session_id && ma.line_start && mb.line_start
+    && Number(ma.line_start) <= Number(mb.line_end) && Number(mb.line_start) <= Number(ma.line_end)) return true;
+  if (!a.terms.size || !b.terms.size) return a.text === b.text;
+  let shared = 0;
+  for (const term of a.terms) if (b.terms.has(term)) shared++;
+  return shared / Math.min(a.terms.size, b.terms.size) >= DUPLICATE_OVERLAP;
+}
+
+/**
+ * Relevance with a recency bonus that halves every RECENCY_HALF_LIFE_DAYS
+ * @param {Object} item - normalized hit
+ * @param {number} now - epoch ms
+ * @returns {number}
+ */
+function rankScore(item, now) {
+  const when = Date.parse(item.date || item.updatedAt || '');
+  const ageDays = Number.isNaN(when) ? Infinity : Math.max(0, (now - when) / 86400000);
+  const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  return item.similarity * (1 - RECENCY_WEIGHT) + recency * RECENCY_WEIGHT;
+}
+
+/**
+ * Select and order hits for the pack
+ * @param {Array} results - raw search results
+ * @param {number} floor - minimum similarity
+ * @param {number} now - epoch ms
+ * @returns {Array} normalized hits, best first, without overlaps
+ */
+function selectHits(results, floor, now) {
+  const hits = results
+    .map(r => {
+      const metadata = r.metadata || {};
+      const text = compact(r.memory || r.chunk || r.content);
+      return {
+        text, metadata, similarity: r.similarity ?? 0, updatedAt: r.updatedAt,
+        customId: r.customId ?? metadata.customId ?? null,
+        date: documentDate(metadata),
+        terms: new Set(tokenize(text)),
+      };
+    })
+    .filter(h => h.text && h.similarity >= floor)
+    // Highest similarity first, so the better copy of a duplicate wins
+    .sort((a, b) => b.similarity - a.similarity);
+
+  const kept = [];
+  for (const hit of hits) {
+    if (!kept.some(k => overlaps(k, hit))) kept.push(hit);
+  }
+  for (const hit of kept) hit.score = rankScore(hit, now);
+  return kept.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pack recall results into a prompt block that fits the token budget
+ * @param {string} query
+ * @param {{profile: Object|null, search: Object}} response - from recall()
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens]
+ * @param {number} [options.threshold] - relevance floor
+ * @param {number} [options.now] - epoch ms for recency (tests)
+ * @returns {{block: string, tokens: number, items: Array, facts: string[], source: string}}
+ */
+function packContext(query, response, options = {}) {
+  const { maxTokens, threshold, now } = { ...CONTEXT_DEFAULTS, now: Date.now(), ...options };
+  const source = response.source || 'live';
+  // Keyword matches from local files must not pass for semantic recall
+  const attrs = source === 'fallback' ? ' source="offline-fallback"' : '';
+  const header = `<memory query="${compact(query).replace(/"/g, "'")}"${attrs}>`;
+  const footer = '</memory>';
+  let used = estimateTokens(header) + estimateTokens(footer) + 2;
+  const lines = [];
+  const items = [];
+
+  for (const hit of selectHits(response.search?.results || [], threshold, now)) {
+    const prefix = `[${items.length + 1}] (${citation(hit)}) `;
+    let line = prefix + hit.text;
+    let cost = estimateTokens(line) + 1;
+    if (used + cost > maxTokens) {
+      const room = maxTokens - used - 1;
+      if (room < MIN_ENTRY_TOKENS) break;
+      line = `${line.substring(0, room * CHARS_PER_TOKEN - 1)}…`;
+      cost = estimateTokens(line) + 1;
+    }
+    lines.push(line);
+    used += cost;
+    items.push({
+      citation: citation(hit), similarity: hit.similarity, score: Number(hit.score.toFixed(4)),
+      customId: hit.customId, date: hit.date, metadata: hit.metadata, text: line.substring(prefix.length),
+    });
+  }
+
+  // Profile facts fill whatever budget the results left; without a single
+  // relevant result the pack stays empty rather than padding with generic facts
+  const facts = [];
+  if (!items.length) return { block: '', tokens: 0, items, facts, source };
+  const known = new Set(tokenize(lines.join(' ')));
+  const profile = response.profile?.profile;
+  for (const fact of [...(profile?.static || []), ...(profile?.dynamic || [])].map(compact).filter(Boolean)) {
+    // Already said by a result, word for word
+    if (tokenize(fact).every(t => known.has(t))) continue;
+    // The first fact also pays for the "Facts:" line
+    const cost = estimateTokens(`- ${fact}`) + 1 + (facts.length ? 0 : estimateTokens('Facts:') + 1);
+    if (used + cost > maxTokens) continue;
+    facts.push(fact);
+    used += cost;
+  }
+
+  const body = [...lines];
+  if (facts.length) body.push('Facts:', ...facts.map(f => `- ${f}`));
+  const block = [header, ...body, footer].join('\n');
+  return { block, tokens: estimateTokens(block), items, facts, source };
+}
+
+/**
+ * Recall and pack in one go
+ * @param {Object} client - storage backend (see createClient)
+ * @param {string} query
+ * @param {Object} [options] - recall options plus maxTokens (see CONTEXT_DEFAULTS)
+ * @returns {Promise<{block: string, tokens: number, items: Array, facts: string[], source: string}>}
+ */
+async function buildContext(client, query, options = {}) {
+  const opts = { ...CONTEXT_DEFAULTS, ...options };
+  const { maxTokens, ...recallOptions } = opts;
+  return packContext(query, await recall(client, query, recallOptions), opts);
+}
+
+module.exports = { CONTEXT_DEFAULTS, estimateTokens, packContext, buildContext };
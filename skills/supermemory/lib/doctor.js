@@ -0,0 +1,233 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, CONFIG_ERRORS, CONFIG_SOURCES, hasConfigError } = require('./config');
+const { scrubSensitiveData } = require('./log');
+const { apiCallWithRetry, loadApiKey } = require('./api');
+const { createClient } = require('./backends');
+const { MAIN_AGENT, parseAgentTags, listAgents } = require('./agents');
+const { loadRedactionConfig } = require('./redact');
+const { loadRules } = require('./rules');
+const { loadSources } = require('./sources');
+const { loadOutbox, loadDeadLetters, breakerOpen } = require('./outbox');
+
+// ============================================================================
+// DOCTOR
+// ============================================================================
+//
+// One pass over everything a sync depends on, reported as pass/warn/fail
+// lines instead of the first error a script happens to hit: configuration,
+// container tags, auth profiles, paths, sessions.json, the state, outbox and
+// rule files, and finally one real API call (or the local store). Files are
+// parsed strictly here; the sync code tolerates some of them being broken
+// and would only log a warning.
+
+/**
+ * @typedef {Object} DoctorCheck
+ * @property {string} name
+ * @property {'pass'|'warn'|'fail'|'skip'} status
+ * @property {string} detail
+ */
+
+const check = (name, status, detail) => ({ name, status, detail });
+// First line only: a missing module appends its whole require stack
+const problem = err => scrubSensitiveData(err.message.split('\n')[0]);
+
+function readJsonStrict(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function configChecks() {
+  const sources = ['environment', CONFIG_SOURCES.envFile, CONFIG_SOURCES.configFile].filter(Boolean).join(', ');
+  if (!CONFIG_ERRORS.length) return [check('Configuration', 'pass', `read from ${sources}`)];
+  return CONFIG_ERRORS.map(error => check('Configuration', 'fail', error));
+}
+
+function tagChecks() {
+  const checks = [];
+  // An invalid tag falls back to "default" too; its configuration error already says so
+  if (!hasConfigError(CONFIG_ERRORS, 'SM_CONTAINER_TAG')) {
+    checks.push(CONFIG.CONTAINER_TAG === 'default'
+      ? check('Container tag', 'warn', 'SM_CONTAINER_TAG not set, every install without it shares "default"')
+      : check('Container tag', 'pass', CONFIG.CONTAINER_TAG));
+  }
+  try {
+    const tags = parseAgentTags();
+    if (Object.keys(tags).length) checks.push(check('Agent tags', 'pass', CONFIG.AGENT_TAGS));
+  } catch (err) {
+    checks.push(check('Agent tags', 'fail', problem(err)));
+  }
+  return checks;
+}
+
+function authChecks(agents) {
+  if (CONFIG.BACKEND === 'local') return [check('Auth profile', 'skip', 'not needed with the local backend')];
+  const checks = [];
+  try {
+    loadApiKey(CONFIG.AUTH_PATH);
+    checks.push(check('Auth profile', 'pass', CONFIG.AUTH_PATH));
+  } catch (err) {
+    checks.push(check('Auth profile', 'fail', `${CONFIG.AUTH_PATH}: ${problem(err)}`));
+  }
+  // Other agents fall back to the shared key when they have no profile of their own
+  for (const agent of agents) {
+    if (agent.authPath === CONFIG.AUTH_PATH || !fs.existsSync(agent.authPath)) continue;
+    try {
+      loadApiKey(agent.authPath);
+      checks.push(check(`Auth profile (${agent.id})`, 'pass', agent.authPath));
+    } catch (err) {
+      checks.push(check(`Auth profile (${agent.id})`, 'warn', `${agent.authPath}: ${problem(err)}, the shared key is used`));
+    }
+  }
+  return checks;
+}
+
+function pathChecks(agents) {
+  const checks = [];
+  const dirs = [['Workspace', CONFIG.WORKSPACE], ...agents.map(agent => [`Sessions dir (${agent.id})`, agent.sessionsDir])];
+  for (const [name, dir] of dirs) {
+    checks.push(fs.existsSync(dir) && fs.statSync(dir).isDirectory()
+      ? check(name, 'pass', dir)
+      : check(name, 'fail', `${dir} is not a directory`));
+  }
+  // Written on the first sync; their directory is created then if it can be
+  const files = [CONFIG.STATE_FILE, CONFIG.FILES_MANIFEST, CONFIG.OUTBOX_PATH, CONFIG.DEAD_LETTERS_PATH];
+  if (CONFIG.BACKEND === 'local') files.push(CONFIG.LOCAL_STORE_PATH);
+  for (const dir of new Set(files.map(file => path.dirname(file)))) {
+    let existing = dir;
+    while (!fs.existsSync(existing) && path.dirname(existing) !== existing) existing = path.dirname(existing);
+    try {
+      fs.accessSync(existing, fs.constants.W_OK);
+      checks.push(check('Data dir', 'pass', existing === dir ? dir : `${dir} (created on first write)`));
+    } catch {
+      checks.push(check('Data dir', 'fail', `${dir}: ${existing} is not writable`));
+    }
+  }
+  return checks;
+}
+
+function sessionChecks(agents) {
+  return agents.map(agent => {
+    const name = `sessions.json (${agent.id})`;
+    if (!fs.existsSync(agent.sessionsMeta)) return check(name, 'warn', `${agent.sessionsMeta} not found, nothing to sync`);
+    let meta;
+    try {
+      meta = readJsonStrict(agent.sessionsMeta);
+    } catch (err) {
+      return check(name, 'fail', `${agent.sessionsMeta}: ${problem(err)}`);
+    }
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) return check(name, 'fail', `${agent.sessionsMeta}: not an object`);
+    const sessions = Object.values(meta);
+    const missing = sessions.filter(s => s && s.sessionFile && !fs.existsSync(s.sessionFile)).length;
+    const detail = `${sessions.length} session(s)`;
+    return missing
+      ? check(name, 'warn', `${detail}, ${missing} session file(s) missing`)
+      : check(name, 'pass', detail);
+  });
+}
+
+function stateChecks() {
+  const checks = [];
+  if (!fs.existsSync(CONFIG.STATE_FILE)) {
+    checks.push(check('State file', 'pass', `${CONFIG.STATE_FILE} not created yet`));
+  } else {
+    try {
+      const state = readJsonStrict(CONFIG.STATE_FILE);
+      if (!state || typeof state !== 'object') throw new Error('not an object');
+      const agents = Object.entries(state.agents || {});
+      // totalSynced counts messages, not batches
+      const synced = agents.reduce((sum, [, s]) => sum + (s.totalSynced || 0), 0);
+      checks.push(state.agents
+        ? check('State file', 'pass', `version ${state.version}, ${agents.length} agent(s), ${synced} message(s) synced`)
+        : check('State file', 'pass', 'old format, migrated on the next sync'));
+    } catch (err) {
+      // The daemon would start over and upload everything again
+      checks.push(check('State file', 'fail', `${CONFIG.STATE_FILE}: ${problem(err)}`));
+    }
+  }
+
+  try {
+    const outbox = loadOutbox();
+    const pending = `${outbox.pending.length} upload(s) queued`;
+    checks.push(breakerOpen(outbox)
+      ? check('Outbox', 'warn', `${pending}, circuit open until ${new Date(outbox.breaker.openUntil).toISOString()}`)
+      : check('Outbox', 'pass', pending));
+  } catch (err) {
+    checks.push(check('Outbox', 'fail', problem(err)));
+  }
+  try {
+    const { letters } = loadDeadLetters();
+    checks.push(letters.length
+      ? check('Dead letters', 'warn', `${letters.length} rejected upload(s), see sm-outbox.js list`)
+      : check('Dead letters', 'pass', 'none'));
+  } catch (err) {
+    checks.push(check('Dead letters', 'fail', problem(err)));
+  }
+  return checks;
+}
+
+function fileConfigChecks() {
+  const files = [
+    ['Rules', CONFIG.RULES_CONFIG, () => {
+      const rules = loadRules();
+      return `${rules.session.length} session, ${rules.message.length} message rule(s)`;
+    }],
+    ['Sources', CONFIG.FILES_CONFIG, () => `${loadSources().length} source(s)`],
+    ['Redaction', CONFIG.REDACT_CONFIG, () => `${loadRedactionConfig(CONFIG.REDACT_CONFIG).rules.length} extra rule(s)`],
+  ];
+  return files.map(([name, file, load]) => {
+    if (!file || !fs.existsSync(file)) return check(`${name} config`, 'pass', 'none, defaults apply');
+    try {
+      return check(`${name} config`, 'pass', `${file}: ${load()}`);
+    } catch (err) {
+      return check(`${name} config`, 'fail', problem(err));
+    }
+  });
+}
+
+async function backendCheck(name, client) {
+  try {
+    // Without an API key or the SDK this fails too, which is the point
+    client = client || createClient();
+    const { pagination } = await apiCallWithRetry(
+      async ({ signal }) => client.list({ containerTag: CONFIG.CONTAINER_TAG, page: 1, limit: 1 }, { signal }),
+      'Doctor check'
+    );
+    const where = CONFIG.BACKEND === 'local' ? CONFIG.LOCAL_STORE_PATH : 'reachable';
+    const count = pagination?.totalItems;
+    return check(name, 'pass', `${where}${count !== undefined ? `, ${count} document(s) in ${CONFIG.CONTAINER_TAG}` : ''}`);
+  } catch (err) {
+    return check(name, 'fail', problem(err));
+  }
+}
+
+/**
+ * Check the whole setup
+ * @param {Object} [options]
+ * @param {boolean} [options.offline] - skip the API call
+ * @param {Object} [options.client] - backend to call (see createClient; one is created by default)
+ * @returns {Promise<{ok: boolean, checks: DoctorCheck[]}>} ok: nothing failed (warnings are fine)
+ */
+async function runDoctor({ offline = false, client } = {}) {
+  const checks = [...configChecks(), ...tagChecks()];
+  let agents = [];
+  try {
+    agents = listAgents();
+    checks.push(check('Agents', 'pass', agents.map(a => `${a.id} → ${a.containerTag}`).join(', ') || 'none found'));
+  } catch (err) {
+    checks.push(check('Agents', 'fail', problem(err)));
+    // Still check the files of the main agent (getAgent needs valid tags)
+    agents = [{
+      id: MAIN_AGENT, sessionsDir: CONFIG.SESSIONS_DIR, sessionsMeta: CONFIG.SESSIONS_META, authPath: CONFIG.AUTH_PATH,
+    }];
+  }
+
+  checks.push(...authChecks(agents), ...pathChecks(agents), ...sessionChecks(agents), ...stateChecks(), ...fileConfigChecks());
+  const name = CONFIG.BACKEND === 'local' ? 'Local store' : 'Supermemory API';
+  checks.push(offline ? check(name, 'skip', '--offline') : await backendCheck(name, client));
+
+  return { ok: !checks.some(c => c.status === 'fail'), checks };
+}
+
+module.exports = { runDoctor };
@@ -0,0 +1,138 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./config');
+const { redactContent } = require('./redact');
+const { loadState, readSessionsMeta, readMessages } = require('./sessions');
+const { getAgent, listAgents } = require('./agents');
+
+// ============================================================================
+// EXPAND A HIT
+// ============================================================================
+//
+// Recall returns a chunk of a batch; the full exchange is still in the local
+// session JSONL. The sync state records the line range of every uploaded
+// batch, so a hit's session_key + batch_id (or its line_start/line_end) can
+// be turned back into the original messages plus neighbouring batches.
+
+/**
+ * Find a session of any agent by key or session id
+ * @param {string} ref - session key (agent:main:main) or session id
+ * @param {Object} [state] - sync state
+ * @returns {{key: string|null, id: string, file: string, agent: string}}
+ * @throws {Error} if neither sessions.json nor the sessions dir of an agent has it
+ */
+function findSession(ref, state = loadState()) {
+  const agents = listAgents();
+  for (const agent of agents) {
+    for (const [key, entry] of Object.entries(readSessionsMeta(agent) || {})) {
+      if ((key === ref || entry.sessionId === ref) && entry.sessionFile && fs.existsSync(entry.sessionFile)) {
+        return { key, id: entry.sessionId, file: entry.sessionFile, agent: agent.id };
+      }
+    }
+  }
+  // Sessions dropped from sessions.json may still be on disk under their id
+  for (const [agentId, own] of Object.entries(state.agents || {})) {
+    const known = Object.entries(own.sessions || {}).find(([key, ss]) => key === ref || ss.sessionId === ref);
+    const file = known && path.join(getAgent(agentId).sessionsDir, `${known[1].sessionId}.jsonl`);
+    if (file && fs.existsSync(file)) return { key: known[0], id: known[1].sessionId, file, agent: agentId };
+  }
+  for (const agent of agents) {
+    const file = path.join(agent.sessionsDir, `${ref}.jsonl`);
+    if (ref && fs.existsSync(file)) return { key: null, id: ref, file, agent: agent.id };
+  }
+  throw new Error(`Session "${ref}" not found in sessions.json or the sessions dir of agents ${agents.map(a => a.id).join(', ')}`);
+}
+
+/**
+ * Line ranges of uploaded batches in file order (continuation parts of one
+ * message share a range and collapse into one entry)
+ * @param {Object} [ss] - session state
+ * @returns {Array<{start: number, end: number, batches: number[]}>}
+ */
+function batchRanges(ss) {
+  const ranges = new Map();
+  for (const b of ss?.batches || []) {
+    const key = `${b.start}-${b.end}`;
+    if (!ranges.has(key)) ranges.set(key, { start: b.start, end: b.end, batches: [] });
+    ranges.get(key).batches.push(b.batch);
+  }
+  return [...ranges.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a "start-end" line range (a single number means one line)
+ * @param {string} raw
+ * @returns {{start: number, end: number}}
+ */
+function parseLineRange(raw) {
+  const m = String(raw).match(/^(\d+)(?:-(\d+))?$/);
+  const start = m && Number(m[1]);
+  const end = m && Number(m[2] || m[1]);
+  if (!m || start < 1 || end < start) throw new Error(`--lines must look like 41-80 (got "${raw}")`);
+  return { start, end };
+}
+
+/**
+ * Messages of a session around a batch or line range
+ * @param {Object} options
+ * @param {string} options.session - session key or id
+ * @param {number} [options.batch] - batch_id from a hit
+ * @param {{start: number, end: number}} [options.lines] - line range (instead of batch)
+ * @param {number} [options.context] - batches to add before and after
+ * @param {Object} [state] - sync state
+ * @returns {Promise<Object>} {session, target, range, messages: [{lineNum, role, timestamp, text, position}]}
+ */
+async function expandHit({ session, batch, lines, context = 1 }, state = loadState()) {
+  if (!batch && !lines) throw new Error('Pass a batch number or a line range');
+  const found = findSession(session, state);
+  const ss = (found.key && state.agents?.[found.agent]?.sessions?.[found.key]) || {};
+  const ranges = batchRanges(ss.sessionId === found.id ? ss : null);
+
+  let target = lines;
+  if (batch) {
+    const range = ranges.find(r => r.batches.includes(batch));
+    if (!range) {
+      throw new Error(`Batch ${batch} of ${found.key || found.id} is not in the sync state; use --lines from the hit metadata`);
+    }
+    target = { start: range.start, end: range.end };
+  }
+
+  // Widen by whole batches when their ranges are known, otherwise by a nominal batch of messages
+  const first = ranges.findIndex(r => r.end >= target.start);
+  const last = ranges.findLastIndex(r => r.start <= target.end);
+  const useRanges = first !== -1 && last !== -1 && first <= last;
+  let from = target.start;
+  let to = target.end;
+  if (useRanges && context) {
+    from = Math.min(from, ranges[Math.max(0, first - context)].start);
+    to = Math.max(to, ranges[Math.min(ranges.length - 1, last + context)].end);
+  }
+
+  const { messages } = await readMessages(found.file, 0, 0, found.key);
+  let window = messages.filter(m => m.lineNum >= from && m.lineNum <= to);
+  if (!useRanges && context) {
+    const span = context * CONFIG.BATCH_SIZE * 2;
+    const hit = messages.filter(m => m.lineNum >= target.start && m.lineNum <= target.end);
+    const before = messages.filter(m => m.lineNum < target.start).slice(-span);
+    const after = messages.filter(m => m.lineNum > target.end).slice(0, span);
+    window = [...before, ...hit, ...after];
+    if (window.length) { from = window[0].lineNum; to = window[window.length - 1].lineNum; }
+  }
+
+  return {
+    session: found,
+    target: { ...target, ...(batch ? { batch } : {}) },
+    range: { start: from, end: to },
+    messages: window.map(m => ({
+      lineNum: m.lineNum,
+      role: m.role,
+      timestamp: m.timestamp ?? null,
+      text: redactContent(m.text).text,
+      position: m.lineNum < target.start ? 'before' : m.lineNum > target.end ? 'after' : 'hit',
+    })),
+  };
+}
+
+module.exports = { findSession, batchRanges, parseLineRange, expandHit };
@@ -0,0 +1,417 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG, CONFIG_SOURCES, CONFIG_FILE_NAMES } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+const { writeJsonAtomic } = require('./atomic');
+const { apiCallWithRetry } = require('./api');
+const { redactContent, summarizeFindings } = require('./redact');
+const { slugify } = require('./text');
+const { splitSections, parseFrontMatter } = require('./markdown');
+const { loadSources, sourceFiles } = require('./sources');
+const { deliver, createUploadOrder, discardQueued } = require('./outbox');
+const { runInOrder } = require('./pool');
+
+// ============================================================================
+// FILE SYNC LOGIC
+// ============================================================================
+//
+// MEMORY.md is uploaded as one document per heading section, daily notes
+// (memory/YYYY-MM-DD.md) as one document each. A manifest (FILES_MANIFEST)
+// records the hash of every uploaded (or queued) document, so unchanged files and
+// sections are skipped, and documents whose file or section is gone are
+// deleted from the backend. Daily notes are limited to the
+// DAILY_NOTES_RECENT newest plus those already tracked, unless a backfill
+// is requested. Further files come from the sources in FILES_CONFIG (see
+// sources.js), with YAML front-matter mapped into metadata.
+
+const DAILY_NOTE = /^\d{4}-\d{2}-\d{2}\.md$/;
+// Supermemory customIds: alphanumerics, hyphens and underscores, at most 100 chars
+const CUSTOM_ID_MAX = 100;
+// Before sections, MEMORY.md was a single document under this id
+const LEGACY_MEMORY_ID = 'memory-md-main';
+const HEADING_SEPARATOR = ' > ';
+
+/**
+ * Load the file sync manifest
+ * @returns {{documents: Object<string, {file: string, hash: string, syncedAt: string, forgotten?: boolean}>}}
+ *   uploaded documents by customId (forgotten: deleted with sm-forget.js)
+ */
+function loadManifest() {
+  try {
+    if (fs.existsSync(CONFIG.FILES_MANIFEST)) {
+      const manifest = JSON.parse(fs.readFileSync(CONFIG.FILES_MANIFEST, 'utf8'));
+      return { ...manifest, documents: manifest.documents || {} };
+    }
+  } catch (err) {
+    log(`⚠️ Manifest load failed, re-uploading files: ${scrubSensitiveData(err.message)}`);
+  }
+  return { documents: {} };
+}
+
+function saveManifest(manifest) {
+  try {
+    // sm-forget.js may have marked documents while a sync held the manifest; a changed file is uploaded again anyway
+    const onDisk = fs.existsSync(CONFIG.FILES_MANIFEST) ? JSON.parse(fs.readFileSync(CONFIG.FILES_MANIFEST, 'utf8')) : {};
+    for (const [customId, entry] of Object.entries(onDisk.documents || {})) {
+      const mine = manifest.documents[customId];
+      if (entry.forgotten && mine && !mine.forgotten && mine.hash === entry.hash) mine.forgotten = true;
+    }
+  } catch {
+    // An unreadable file has nothing worth keeping
+  }
+  try {
+    writeJsonAtomic(CONFIG.FILES_MANIFEST, manifest, { indent: 2 });
+  } catch (err) {
+    log(`❌ Manifest save failed: ${scrubSensitiveData(err.message)}`);
+  }
+}
+
+/**
+ * Hash of what gets uploaded for a document (content and metadata)
+ * @param {{content: string, metadata: Object}} doc
+ * @returns {string} hex sha256
+ */
+function documentHash({ content, metadata }) {
+  return crypto.createHash('sha256').update(JSON.stringify([content, metadata])).digest('hex');
+}
+
+function shortHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').substring(0, 8);
+}
+
+/**
+ * Make an id a valid customId: invalid characters become hyphens, over-long
+ * ids are cut and end in a hash of `key`
+ * @param {string} id
+ * @param {string} key - what the id identifies (keeps cut ids distinct)
+ * @returns {string}
+ */
+function limitCustomId(id, key) {
+  const clean = id.replace(/[^A-Za-z0-9_-]+/g, '-');
+  if (clean.length <= CUSTOM_ID_MAX) return clean;
+  return `${clean.substring(0, CUSTOM_ID_MAX - 9).replace(/-+$/, '')}-${shortHash(key)}`;
+}
+
+/**
+ * Stable customId of a markdown section, derived from its heading path
+ * ("Финансы" > "Банки" in MEMORY.md → memory-md-finansy--banki)
+ * @param {string[]} headings
+ * @param {string} [base] - customId of the file
+ * @param {string} [preambleId] - id of the text before the first heading
+ * @returns {string}
+ */
+function sectionCustomId(headings, base = 'memory-md', preambleId = LEGACY_MEMORY_ID) {
+  if (!headings.length) return preambleId;
+  const id = `${base}-${headings.map(h => slugify(h) || shortHash(h)).join('--')}`;
+  return limitCustomId(id, [base, ...headings].join('\n'));
+}
+
+/**
+ * A markdown file as one document per section; sections without text of
+ * their own (a heading directly followed by a subheading) are skipped
+ * @param {string} raw - markdown content
+ * @param {Object} doc
+ * @param {string} doc.file - path relative to WORKSPACE
+ * @param {string} doc.base - customId prefix of the sections
+ * @param {string} doc.preambleId - customId of the text before the first heading
+ * @param {Object} doc.metadata - metadata shared by all sections
+ * @returns {Array<Object>} documents (see fileDocuments)
+ */
+function sectionDocuments(raw, { file, base, preambleId, metadata }) {
+  const docs = [];
+  const used = new Set();
+  for (const section of splitSections(raw)) {
+    if (!section.body) continue;
+    const { text, findings } = redactContent(section.body);
+    // Repeated heading paths get -2, -3... in document order
+    const id = sectionCustomId(section.headings, base, preambleId);
+    let customId = id;
+    for (let n = 2; used.has(customId); n++) customId = `${id.substring(0, CUSTOM_ID_MAX - String(n).length - 1)}-${n}`;
+    used.add(customId);
+
+    const headingPath = section.headings.join(HEADING_SEPARATOR);
+    docs.push({
+      customId,
+      file,
+      label: headingPath ? `${file}${HEADING_SEPARATOR}${headingPath}` : file,
+      content: [...section.headingLines, ...(section.headingLines.length ? [''] : []), text].join('\n'),
+      metadata: {
+        ...metadata,
+        ...(headingPath ? { heading_path: headingPath, heading: section.headings[section.headings.length - 1] } : {}),
+      },
+      findings,
+    });
+  }
+  return docs;
+}
+
+/**
+ * customId of a source file from the source's template
+ * @param {Object} source - from loadSources
+ * @param {string} file - path relative to WORKSPACE
+ * @param {string} [date] - YYYY-MM-DD from front-matter or the file name
+ * @returns {string}
+ */
+function sourceCustomId(source, file, date) {
+  const ext = path.extname(file);
+  const dir = path.dirname(file);
+  const values = {
+    source: source.name,
+    path: slugify(file.slice(0, file.length - ext.length)),
+    name: slugify(path.basename(file, ext)),
+    dir: dir === '.' ? '' : slugify(dir),
+    date: date || '',
+    hash: shortHash(file),
+  };
+  const id = source.customId.replace(/\{(\w+)\}/g, (_, key) => values[key]).replace(/^-+|-+$/g, '');
+  return limitCustomId(id || `${source.name}-${values.hash}`, `${source.name}\n${file}`);
+}
+
+/**
+ * Front-matter as Supermemory metadata (lists become comma-separated strings)
+ * @param {Object} data - from parseFrontMatter
+ * @returns {Object}
+ */
+function frontMatterMetadata(data) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : value]));
+}
+
+/**
+ * Documents a source file uploads as. Precedence of metadata: source type,
+ * source metadata, front-matter; `source` and `file` are always set.
+ * @param {Object} source - from loadSources
+ * @param {string} file - path relative to WORKSPACE
+ * @returns {Array<Object>} documents (see fileDocuments)
+ * @throws {Error} on unreadable files and invalid JSON
+ */
+function sourceDocuments(source, file) {
+  const ext = path.extname(file).toLowerCase();
+  const raw = fs.readFileSync(path.join(CONFIG.WORKSPACE, file), 'utf-8');
+  let body = raw;
+  let front = {};
+  if (ext === '.json') body = JSON.stringify(JSON.parse(raw), null, 2);
+  else if (source.frontMatter) ({ data: front, body } = parseFrontMatter(raw));
+
+  const date = String(front.date ?? '').match(/^\d{4}-\d{2}-\d{2}/)?.[0] || file.match(/\d{4}-\d{2}-\d{2}/)?.[0];
+  const metadata = {
+    type: source.type, ...source.metadata, ...frontMatterMetadata(front),
+    ...(date ? { date } : {}), source: source.name, file,
+  };
+  const customId = sourceCustomId(source, file, date);
+
+  if (source.split === 'sections' && ext === '.md') {
+    return sectionDocuments(body, { file, base: customId, preambleId: customId, metadata });
+  }
+  const { text, findings } = redactContent(body.trim());
+  if (!text) return [];
+  return [{ customId, file, label: file, content: text, metadata, findings }];
+}
+
+/**
+ * All daily notes, newest first
+ * @returns {string[]} paths relative to WORKSPACE
+ */
+function dailyNotes() {
+  const memoryDir = path.join(CONFIG.WORKSPACE, 'memory');
+  if (!fs.existsSync(memoryDir)) return [];
+  return fs.readdirSync(memoryDir).filter(f => DAILY_NOTE.test(f)).sort().reverse().map(f => `memory/${f}`);
+}
+
+/**
+ * Workspace files sources never pick up: the built-in memory files, and the
+ * skill's own state and config (a "**\/*.json" source would otherwise
+ * re-upload the manifest it just wrote, on every run)
+ * @returns {Set<string>} paths relative to WORKSPACE
+ */
+function reservedFiles() {
+  const own = [
+    CONFIG.STATE_FILE, CONFIG.FILES_MANIFEST, CONFIG.FILES_CONFIG, CONFIG.RULES_CONFIG, CONFIG.RECALL_CACHE_PATH,
+    CONFIG.LOCAL_STORE_PATH, CONFIG.REDACT_CONFIG, CONFIG.OUTBOX_PATH, CONFIG.DEAD_LETTERS_PATH,
+    // The config actually loaded, and the default names it is looked up by
+    CONFIG_SOURCES.envFile, CONFIG_SOURCES.configFile, ...CONFIG_FILE_NAMES.map(name => path.join(CONFIG.WORKSPACE, name)),
+  ].filter(Boolean).map(file => path.relative(CONFIG.WORKSPACE, file).split(path.sep).join('/'));
+  return new Set(['MEMORY.md', ...dailyNotes(), ...own]);
+}
+
+/**
+ * Memory files to look at: MEMORY.md, then daily notes newest first
+ * @param {Object} manifest - from loadManifest
+ * @param {boolean} backfill - all daily notes instead of the recent ones
+ * @returns {string[]} paths relative to WORKSPACE
+ */
+function memoryFiles(manifest, backfill) {
+  const files = [];
+  if (fs.existsSync(path.join(CONFIG.WORKSPACE, 'MEMORY.md'))) files.push('MEMORY.md');
+
+  const tracked = new Set(Object.values(manifest.documents).map(d => d.file));
+  dailyNotes()
+    // Edits to older notes that were synced before still propagate
+    .filter((f, i) => backfill || i < CONFIG.DAILY_NOTES_RECENT || tracked.has(f))
+    .forEach(f => files.push(f));
+  return files;
+}
+
+/**
+ * Documents a memory file uploads as (none when it is empty)
+ * @param {string} file - path relative to WORKSPACE
+ * @returns {Array<{customId: string, file: string, label: string, content: string, metadata: Object, findings: Array}>}
+ */
+function fileDocuments(file) {
+  const raw = fs.readFileSync(path.join(CONFIG.WORKSPACE, file), 'utf-8');
+  if (file === 'MEMORY.md') {
+    return sectionDocuments(raw, {
+      file, base: 'memory-md', preambleId: LEGACY_MEMORY_ID,
+      metadata: { type: 'long_term_memory', file: 'MEMORY.md' },
+    });
+  }
+  const { text, findings } = redactContent(raw.trim());
+  if (!text) return [];
+  const name = path.basename(file);
+  const date = name.replace('.md', '');
+  return [{ customId: `daily-${date}`, file, label: file, content: text, metadata: { type: 'daily_memory', date, file: name }, findings }];
+}
+
+/**
+ * Check whether a document was forgotten (sm-forget.js) and has not changed since
+ * @param {Object} manifest - from loadManifest
+ * @param {{customId: string, content: string, metadata: Object}} doc
+ * @returns {boolean}
+ */
+function isForgotten(manifest, doc) {
+  const entry = manifest.documents[doc.customId];
+  return Boolean(entry?.forgotten) && entry.hash === documentHash(doc);
+}
+
+/**
+ * Upload changed memory and source files and delete documents of removed ones
+ * @param {Object} client - storage backend (see createClient)
+ * @param {Object} [options]
+ * @param {boolean} [options.backfill] - include every daily note, not just the recent ones
+ * @param {boolean} [options.force] - upload even when the manifest hash matches
+ * @returns {Promise<{synced: number, unchanged: number, deleted: number, queued: number, failed: number}>}
+ *   queued uploads wait in the outbox; failed counts rejected uploads, unreadable files and failed deletes
+ */
+async function syncFiles(client, { backfill = false, force = false } = {}) {
+  // Before anything else: a broken sources config must not delete the documents of its files
+  const sources = loadSources();
+  const manifest = loadManifest();
+  const files = memoryFiles(manifest, backfill);
+  const wanted = new Map();
+  for (const file of files) {
+    for (const doc of fileDocuments(file)) wanted.set(doc.customId, doc);
+  }
+  let failed = 0;
+
+  // Files that could not be read keep their documents until they can
+  const unreadable = new Set();
+  for (const { source, file } of sourceFiles(sources, reservedFiles())) {
+    let docs;
+    try {
+      docs = sourceDocuments(source, file);
+    } catch (err) {
+      log(`⚠️ Cannot read ${file}: ${scrubSensitiveData(err.message)}`);
+      unreadable.add(file);
+      failed++;
+      continue;
+    }
+    for (const doc of docs) {
+      if (wanted.has(doc.customId)) {
+        log(`⚠️ ${doc.label}: customId ${doc.customId} is already used by ${wanted.get(doc.customId).label}, skipping`);
+        continue;
+      }
+      wanted.set(doc.customId, doc);
+    }
+  }
+
+  // MEMORY.md uploaded whole by an older version, before anything was tracked: delete it once
+  if (files.includes('MEMORY.md') && !Object.values(manifest.documents).some(d => d.file === 'MEMORY.md')) {
+    manifest.documents[LEGACY_MEMORY_ID] = { file: 'MEMORY.md', hash: null, syncedAt: null };
+  }
+  let synced = 0;
+  let unchanged = 0;
+  let deleted = 0;
+  let queued = 0;
+
+  const changed = [];
+  for (const doc of wanted.values()) {
+    const hash = documentHash(doc);
+    const entry = manifest.documents[doc.customId];
+    // Forgotten documents stay deleted until their content changes, even with --force
+    if (entry?.hash === hash && (!force || entry.forgotten)) {
+      unchanged++;
+      continue;
+    }
+    changed.push({ doc, hash });
+  }
+
+  const upload = async ({ doc }) => {
+    const icon = doc.metadata.source ? '📄' : doc.metadata.type === 'daily_memory' ? '📅' : '📝';
+    log(`${icon} Syncing ${doc.label}...`);
+    if (doc.findings.length) log(`🔒 Redacted ${summarizeFindings(doc.findings)} in ${doc.label}`);
+    const payload = {
+      content: doc.content, containerTag: CONFIG.CONTAINER_TAG,
+      customId: doc.customId,
+      metadata: doc.metadata
+    };
+    const options = { label: doc.label };
+    try {
+      return { status: await deliver(client, payload, options), payload, options };
+    } catch (err) {
+      log(`❌ Failed to sync ${doc.label}: ${scrubSensitiveData(err.message)}`);
+      return { status: 'error' };
+    }
+  };
+
+  const inOrder = createUploadOrder();
+  const record = (upload, { doc, hash }) => {
+    const status = inOrder(upload);
+    if (status === 'error') {
+      failed++;
+      return;
+    }
+    // Queued uploads are replayed by the outbox and rejected ones wait in dead letters: neither is retried from here
+    manifest.documents[doc.customId] = { file: doc.file, hash, syncedAt: new Date().toISOString() };
+    saveManifest(manifest);
+    if (status === 'sent') {
+      log(`✅ ${doc.label}`);
+      synced++;
+    } else if (status === 'queued') {
+      queued++;
+    } else {
+      failed++;
+    }
+  };
+
+  await runInOrder(changed, upload, record, { concurrency: CONFIG.UPLOAD_CONCURRENCY });
+
+  // Tracked files are always scanned, so anything not produced this run was removed or emptied
+  for (const [customId, entry] of Object.entries(manifest.documents)) {
+    if (wanted.has(customId) || unreadable.has(entry.file)) continue;
+    try {
+      // A replay must not bring the document back
+      discardQueued([customId]);
+      const result = await apiCallWithRetry(
+        async ({ signal }) => client.delete({ customId, containerTag: CONFIG.CONTAINER_TAG }, { signal }),
+        `${customId} delete`
+      );
+      delete manifest.documents[customId];
+      saveManifest(manifest);
+      if ((entry.hash && !entry.forgotten) || result?.deleted) {
+        log(`🗑️ Deleted ${customId} (gone from ${entry.file})`);
+        deleted++;
+      }
+    } catch (err) {
+      log(`❌ Failed to delete ${customId}: ${scrubSensitiveData(err.message)}`);
+      failed++;
+    }
+  }
+
+  return { synced, unchanged, deleted, queued, failed };
+}
+
+module.exports = {
+  loadManifest, saveManifest, sectionCustomId, dailyNotes, reservedFiles, fileDocuments, sourceDocuments, isForgotten, syncFiles,
+};
@@ -0,0 +1,273 @@
+'use strict';
+
+const { CONFIG } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+const { apiCallWithRetry } = require('./api');
+const { listDocuments } = require('./backends');
+const { agentContainerTag, listAgents } = require('./agents');
+const { getRules, sessionRule } = require('./rules');
+const { createCache } = require('./cache');
+const { loadState, saveState, readMessages, batchCustomId, messageFingerprint } = require('./sessions');
+const { documentDate, inDateRange, recall } = require('./recall');
+const { findSession } = require('./expand');
+const { loadManifest, saveManifest } = require('./files');
+const { discardQueued } = require('./outbox');
+
+// ============================================================================
+// FORGET
+// ============================================================================
+//
+// Removes synced documents from the backend and keeps sync from bringing
+// them back. Conversation batches are dropped from the sync state and their
+// messages remembered by fingerprint, so even a full re-sync after a rewrite
+// skips them. File documents are marked `forgotten` in the file manifest and
+// stay deleted until the file content changes. Documents are looked up in
+// every container sync writes to: the shared one, each agent's and each one
+// a route rule sends sessions to.
+
+const PREVIEW_CHARS = 100;
+
+/**
+ * Check a document's metadata against the forget selector
+ * @param {Object} metadata
+ * @param {Object} selector - see findForgetTargets
+ * @returns {boolean}
+ */
+function matchesSelector(metadata = {}, { session, lines, since, until, type }) {
+  if (session && metadata.session_key !== session && metadata.session_id !== session) return false;
+  if (lines && !(Number(metadata.line_start) <= lines.end && Number(metadata.line_end) >= lines.start)) return false;
+  if (type && metadata.type !== type) return false;
+  return inDateRange({ metadata }, since, until);
+}
+
+function toTarget({ customId, id, metadata, text, containerTag }) {
+  return {
+    customId: customId || null,
+    id: id || null,
+    containerTag: containerTag || null,
+    metadata: metadata || {},
+    preview: String(text || '').replace(/\s+/g, ' ').trim().substring(0, PREVIEW_CHARS),
+  };
+}
+
+/**
+ * Containers sync writes to: the shared one, each agent's and each one a
+ * route rule sends sessions to
+ * @returns {string[]}
+ * @throws {Error} on an invalid agent id or AGENT_TAGS entry
+ */
+function forgetContainers() {
+  const routed = getRules().session.filter(rule => rule.containerTag).map(rule => rule.containerTag);
+  return [...new Set([CONFIG.CONTAINER_TAG, ...listAgents().map(agent => agent.containerTag), ...routed])];
+}
+
+/**
+ * Container a customId was synced to, as far as the sync state and the file
+ * manifest know: conversation batches go to their session's route or their
+ * agent's container, files to the shared one
+ * @param {string} customId
+ * @param {Object} state - sync state
+ * @param {Object} manifest - file manifest
+ * @returns {string|null} null when neither knows the document
+ */
+function syncedContainerTag(customId, state, manifest) {
+  const owner = batchOwner(state, customId);
+  if (owner) return sessionRule(owner.key)?.containerTag || agentContainerTag(owner.agentId);
+  return manifest.documents[customId] ? CONFIG.CONTAINER_TAG : null;
+}
+
+/**
+ * Documents selected for forgetting. Explicit customIds are always taken;
+ * the other criteria narrow down either the search hits for `match` or,
+ * without a query, every document of every container (see forgetContainers).
+ * @param {Object} client - storage backend (see createClient)
+ * @param {Object} selector
+ * @param {string[]} [selector.ids] - customIds
+ * @param {string} [selector.session] - session key or session id
+ * @param {{start: number, end: number}} [selector.lines] - batches overlapping these lines (with session)
+ * @param {string} [selector.since] - YYYY-MM-DD, inclusive
+ * @param {string} [selector.until] - YYYY-MM-DD, inclusive
+ * @param {string} [selector.type] - document type
+ * @param {string} [selector.match] - search query
+ * @param {number} [selector.limit] - search hits to consider
+ * @param {number} [selector.threshold] - minimum similarity of search hits
+ * @returns {Promise<Array<{customId: string|null, id: string|null, containerTag: string|null, metadata: Object, preview: string}>>}
+ *   containerTag is null for ids neither found nor known to the sync state
+ */
+async function findForgetTargets(client, selector) {
+  const { ids = [], session, lines, since, until, type, match, limit, threshold } = selector;
+  const containers = forgetContainers();
+  const state = loadState();
+  const manifest = loadManifest();
+  const targets = new Map(ids.map(customId => [
+    customId, toTarget({ customId, containerTag: syncedContainerTag(customId, state, manifest) }),
+  ]));
+  const add = target => {
+    const key = target.customId || target.id;
+    if (!key) {
+      log(`⚠️ Skipping a hit without document id: ${target.preview}`);
+      return;
+    }
+    if (!targets.has(key) || !targets.get(key).metadata.type) targets.set(key, target);
+  };
+
+  if (match) {
+    const hits = [];
+    for (const containerTag of containers) {
+      const { search } = await recall(client, match, {
+        limit, threshold, since, until, type, containerTag, profile: false, cache: false, fallback: false,
+        ...(session ? { session } : {}),
+      });
+      hits.push(...(search.results || []).map(r => ({ ...r, containerTag })));
+    }
+    // The best `limit` hits over all containers
+    hits.sort((a, b) => (b.similarity || 0) - (a.similarity || 0));
+    for (const r of limit ? hits.slice(0, limit) : hits) {
+      if (!matchesSelector(r.metadata, { session, lines })) continue;
+      add(toTarget({
+        customId: r.customId ?? r.metadata?.customId ?? r.documents?.[0]?.customId,
+        id: r.documents?.[0]?.id,
+        containerTag: r.containerTag,
+        metadata: r.metadata,
+        text: r.memory || r.chunk || r.content,
+      }));
+    }
+  } else if (session || since || until || type) {
+    for (const containerTag of containers) {
+      for await (const doc of listDocuments(client, containerTag)) {
+        if (!matchesSelector(doc.metadata, selector)) continue;
+        add(toTarget({ ...doc, containerTag, text: doc.content || doc.summary || doc.title }));
+      }
+    }
+  }
+  return [...targets.values()];
+}
+
+/**
+ * One preview line for a target
+ * @param {Object} target - from findForgetTargets
+ * @returns {string}
+ */
+function describeTarget({ customId, id, containerTag, metadata, preview }) {
+  const where = metadata.session_key
+    ? `${metadata.session_key} lines ${metadata.line_start}-${metadata.line_end}`
+    : metadata.file;
+  const container = containerTag && containerTag !== CONFIG.CONTAINER_TAG ? `in ${containerTag}` : null;
+  const details = [metadata.type, documentDate(metadata), where, container].filter(Boolean).join(', ');
+  return `${customId || id}${details ? ` (${details})` : ''}${preview ? ` — ${preview}` : ''}`;
+}
+
+/**
+ * Session state entry a batch customId belongs to, in any agent
+ * @param {Object} state - sync state
+ * @param {string} customId
+ * @returns {{agentId: string, key: string, ss: Object, generation: number, start: number, end: number}|null}
+ */
+function batchOwner(state, customId) {
+  for (const [agentId, own] of Object.entries(state.agents || {})) {
+    for (const [key, ss] of Object.entries(own.sessions || {})) {
+      const prefix = `session-${ss.sessionId}-`;
+      if (!ss.sessionId || !customId.startsWith(prefix)) continue;
+      const m = customId.slice(prefix.length).match(/^(?:g(\d+)-)?lines-(\d+)-(\d+)(?:-part-\d+)?$/);
+      if (m) return { agentId, key, ss, generation: Number(m[1] || 0), start: Number(m[2]), end: Number(m[3]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Record forgotten documents so sync does not upload them again: drop their
+ * batches from the sync state, remember the fingerprints of their messages
+ * and mark file documents in the file manifest
+ * @param {string[]} customIds - deleted documents
+ * @returns {Promise<void>}
+ */
+async function rememberForgotten(customIds) {
+  // Reloaded right before writing: the daemon saves its progress in between
+  const state = loadState();
+  const ranges = new Map();
+  for (const customId of customIds) {
+    const owner = batchOwner(state, customId);
+    if (!owner) continue;
+    const { key, ss, generation } = owner;
+    ss.batches = (ss.batches || []).filter(b => batchCustomId(ss.sessionId, b.start, b.end, ss.generation, b.part) !== customId);
+    // Line numbers of an older generation point into content that no longer exists
+    if (generation !== (ss.generation || 0)) continue;
+    if (!ranges.has(key)) ranges.set(key, []);
+    ranges.get(key).push(owner);
+  }
+
+  for (const [key, owned] of ranges) {
+    const { ss } = owned[0];
+    let file;
+    try {
+      file = findSession(key, state).file;
+    } catch (err) {
+      log(`⚠️ ${key}: ${scrubSensitiveData(err.message)}; its forgotten lines are not remembered`);
+      continue;
+    }
+    const { messages } = await readMessages(file, 0, 0, key);
+    const forgotten = new Set(ss.forgotten || []);
+    for (const m of messages) {
+      if (owned.some(o => m.lineNum >= o.start && m.lineNum <= o.end)) forgotten.add(messageFingerprint(m));
+    }
+    ss.forgotten = [...forgotten];
+  }
+  saveState(state);
+
+  const manifest = loadManifest();
+  const tracked = customIds.filter(customId => manifest.documents[customId]);
+  for (const customId of tracked) manifest.documents[customId].forgotten = true;
+  if (tracked.length) saveManifest(manifest);
+}
+
+/**
+ * Delete the targets from the backend and record them as forgotten. Only
+ * deleted documents and ones no container has are recorded; a failed delete
+ * leaves the sync state and manifest alone.
+ * @param {Object} client - storage backend (see createClient)
+ * @param {Array<Object>} targets - from findForgetTargets
+ * @returns {Promise<{deleted: number, missing: number, failed: number}>}
+ *   missing counts documents none of the containers had
+ */
+async function forgetDocuments(client, targets) {
+  const containers = targets.length ? forgetContainers() : [];
+  const done = [];
+  let deleted = 0;
+  let missing = 0;
+  let failed = 0;
+
+  for (const target of targets) {
+    const label = target.customId || target.id;
+    try {
+      // Queued or dead uploads of the document would bring it back
+      if (target.customId && discardQueued([target.customId])) log(`📭 Dropped queued upload of ${label}`);
+      // Where it was found or synced to first; "already gone" means gone from all of them
+      let result;
+      for (const containerTag of new Set([target.containerTag || CONFIG.CONTAINER_TAG, ...containers])) {
+        result = await apiCallWithRetry(
+          async ({ signal }) => client.delete({ customId: target.customId, id: target.id, containerTag }, { signal }),
+          `${label} delete`
+        );
+        if (result?.deleted !== false) break;
+      }
+      if (result?.deleted === false) {
+        log(`➖ ${label} was already gone`);
+        missing++;
+      } else {
+        log(`🗑️ Forgot ${label}`);
+        deleted++;
+      }
+      if (target.customId) done.push(target.customId);
+    } catch (err) {
+      log(`❌ Failed to delete ${label}: ${scrubSensitiveData(err.message)}`);
+      failed++;
+    }
+  }
+
+  if (done.length) await rememberForgotten(done);
+  if (deleted) createCache({ file: CONFIG.RECALL_CACHE_PATH, ttlMs: CONFIG.RECALL_CACHE_TTL_MS }).clear();
+  return { deleted, missing, failed };
+}
+
+module.exports = { findForgetTargets, describeTarget, forgetDocuments };
@@ -0,0 +1,47 @@
+'use strict';
+
+// ============================================================================
+// LOGGING with sensitive data scrubbing
+// ============================================================================
+
+/**
+ * Patterns to scrub from log messages to prevent API key leakage
+ */
+const SENSITIVE_PATTERNS = [
+  { regex: /sm_[a-zA-Z0-9_]+/g, replacement: '[REDACTED_API_KEY]' },
+  { regex: /api[_-]?key[:\s=]+["']?[^\s"']+["']?/gi, replacement: 'api_key=[REDACTED]' },
+  { regex: /authorization[:\s=]+["']?[^\s"']+["']?/gi, replacement: 'authorization=[REDACTED]' },
+  { regex: /bearer\s+[a-zA-Z0-9_\.\-]+/gi, replacement: 'Bearer [REDACTED]' },
+];
+
+/**
+ * Scrub sensitive data from message
+ * @param {string} msg - message to scrub
+ * @returns {string} scrubbed message
+ */
+function scrubSensitiveData(msg) {
+  if (typeof msg !== 'string') return msg;
+  let scrubbed = msg;
+  for (const pattern of SENSITIVE_PATTERNS) {
+    scrubbed = scrubbed.replace(pattern.regex, pattern.replacement);
+  }
+  return scrubbed;
+}
+
+// Logs go to stderr so that stdout stays clean for command output (recall).
+// The daemon redirects both streams into sm-daemon.log.
+let sink = line => console.error(line);
+
+/**
+ * Replace the log sink (e.g. to route logs into a host application's logger)
+ * @param {Function} fn - receives the formatted, scrubbed log line
+ */
+function setLogger(fn) {
+  sink = fn;
+}
+
+function log(msg) {
+  sink(`[${new Date().toISOString()}] ${scrubSensitiveData(msg)}`);
+}
+
+module.exports = { SENSITIVE_PATTERNS, scrubSensitiveData, setLogger, log };
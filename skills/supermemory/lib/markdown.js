@@ -0,0 +1,124 @@
+'use strict';
+
+// ============================================================================
+// MARKDOWN SECTIONS
+// ============================================================================
+//
+// Splits a markdown document at ATX headings (# … ######) into sections that
+// remember the path of headings above them. Lines inside ``` / ~~~ fences
+// are never headings. Setext headings (underlined with === / ---) are not
+// recognised; MEMORY.md files use # headings.
+//
+// Front-matter: the YAML subset notes actually use (key: scalar, inline
+// [a, b] lists and "- item" block lists). Nested maps are skipped.
+
+const HEADING = /^ {0,3}(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * Split markdown into sections at headings
+ * @param {string} markdown
+ * @returns {Array<{headings: string[], headingLines: string[], body: string}>} in document order;
+ *   text before the first heading has no headings. headingLines are the
+ *   markdown heading lines of the whole path, body is the text under the
+ *   section's own heading (trimmed, may be empty)
+ */
+function splitSections(markdown) {
+  const sections = [];
+  const stack = [];
+  let current = { stack: [], lines: [] };
+  let fence = null;
+
+  for (const line of String(markdown).split(/\r?\n/)) {
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) fence = marker;
+      else if (marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+      current.lines.push(line);
+      continue;
+    }
+    const heading = !fence && line.match(HEADING);
+    if (!heading) {
+      current.lines.push(line);
+      continue;
+    }
+    sections.push(current);
+    const level = heading[1].length;
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, title: heading[2].trim() });
+    current = { stack: [...stack], lines: [] };
+  }
+  sections.push(current);
+
+  return sections.map(s => ({
+    headings: s.stack.map(h => h.title),
+    headingLines: s.stack.map(h => `${'#'.repeat(h.level)} ${h.title}`),
+    body: s.lines.join('\n').trim(),
+  }));
+}
+
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  const quoted = value.match(/^(["'])(.*)\1$/);
+  if (quoted) return quoted[1] === '"' ? quoted[2].replace(/\\"/g, '"') : quoted[2].replace(/''/g, "'");
+  const plain = value.replace(/\s+#.*$/, '');
+  if (plain === '' || plain === '~' || plain === 'null') return null;
+  if (plain === 'true' || plain === 'false') return plain === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+function parseValue(raw) {
+  const list = raw.trim().match(/^\[(.*)\]$/);
+  if (!list) return parseScalar(raw);
+  return list[1].split(',').map(parseScalar).filter(v => v !== null);
+}
+
+/**
+ * Parse the YAML subset front-matter uses (see above)
+ * @param {string} text
+ * @returns {Object} values are strings, numbers, booleans or arrays of those
+ */
+function parseYaml(text) {
+  const data = {};
+  let listKey = null;
+  for (const line of String(text).split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const item = listKey && line.match(/^\s*-\s+(.*)$/);
+    if (item) {
+      const value = parseScalar(item[1]);
+      if (value !== null) data[listKey].push(value);
+      continue;
+    }
+    const pair = line.match(/^([A-Za-z0-9_][\w.-]*)\s*:(?:\s+(.*))?$/);
+    listKey = null;
+    if (!pair) continue;
+    if (pair[2] === undefined || pair[2].trim() === '') {
+      data[pair[1]] = [];
+      listKey = pair[1];
+    } else {
+      const value = parseValue(pair[2]);
+      if (value !== null) data[pair[1]] = value;
+    }
+  }
+  // A key with neither a value nor list items held a nested map
+  for (const [key, value] of Object.entries(data)) if (Array.isArray(value) && !value.length) delete data[key];
+  return data;
+}
+
+/**
+ * Split YAML front-matter off a document
+ * @param {string} text
+ * @returns {{data: Object, body: string}} data is {} when there is no front-matter;
+ *   values are strings, numbers, booleans or arrays of those
+ */
+function parseFrontMatter(text) {
+  const match = String(text).match(FRONT_MATTER);
+  if (!match) return { data: {}, body: String(text) };
+  return { data: parseYaml(match[1]), body: String(text).slice(match[0].length) };
+}
+
+module.exports = { splitSections, parseYaml, parseFrontMatter };
@@ -0,0 +1,189 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+const { tokenize } = require('./text');
+const { redactContent } = require('./redact');
+const { matchesFilter } = require('./backends/local');
+const { listAgents } = require('./agents');
+const { sessionRule } = require('./rules');
+const { loadState, readSessionsMeta, getSessionFiles, readMessages, messageFingerprint } = require('./sessions');
+const { loadSources, sourceFiles } = require('./sources');
+const { loadManifest, dailyNotes, reservedFiles, fileDocuments, sourceDocuments, isForgotten } = require('./files');
+
+// ============================================================================
+// OFFLINE FALLBACK SEARCH
+// ============================================================================
+//
+// BM25 over what is on disk: every message of every agent's session files
+// and every paragraph of MEMORY.md, memory/YYYY-MM-DD.md and the files of
+// the sources in SM_FILES_CONFIG (see sm-sync-files.js), minus what was
+// forgotten with sm-forget.js. Used when the API is unreachable, so recall
+// degrades to keyword search instead of failing. Results mimic the search
+// response shape and are always marked as a fallback by the caller.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Crude stemming: word forms share their first letters ("выручка", "выручку")
+const STEM_LENGTH = 5;
+
+function terms(text) {
+  return tokenize(text).map(t => t.substring(0, STEM_LENGTH));
+}
+
+function dateOf(timestamp) {
+  const date = timestamp ? new Date(timestamp) : null;
+  return date && !isNaN(date) ? date.toISOString().split('T')[0] : null;
+}
+
+/**
+ * Passages from the session JSONL files of every agent, one per message;
+ * what the rules keep out of memory and forgotten messages stay out of the
+ * fallback too
+ * @returns {Promise<Array<{text: string, metadata: Object}>>}
+ */
+async function sessionPassages() {
+  const state = loadState();
+  const passages = [];
+  for (const agent of listAgents()) {
+    for (const session of getSessionFiles(readSessionsMeta(agent))) {
+      if (sessionRule(session.key)?.action === 'exclude') continue;
+      const forgotten = new Set(state.agents[agent.id]?.sessions[session.key]?.forgotten || []);
+      const { messages } = await readMessages(session.file, 0, 0, session.key);
+      for (const m of messages) {
+        if (forgotten.has(messageFingerprint(m))) continue;
+        passages.push({
+          text: `[${m.role}]: ${m.text}`,
+          metadata: {
+            type: 'conversation', agent_id: agent.id, session_key: session.key, session_id: session.id,
+            session_date: dateOf(m.timestamp), line_start: String(m.lineNum), line_end: String(m.lineNum),
+            ...(m.tools?.length ? { has_tools: 'true', tool_names: m.tools.join(',') } : {}),
+          },
+        });
+      }
+    }
+  }
+  return passages;
+}
+
+/**
+ * Non-empty paragraphs of a text as passages
+ * @param {string} text
+ * @param {Object} metadata - shared by every paragraph
+ * @returns {Array<{text: string, metadata: Object}>}
+ */
+function paragraphs(text, metadata) {
+  return text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).map(p => ({ text: p, metadata }));
+}
+
+/**
+ * Passages from MEMORY.md and daily notes, one per paragraph of the
+ * documents they upload as; forgotten documents are left out
+ * @param {Object} manifest - from loadManifest
+ * @returns {Array<{text: string, metadata: Object}>}
+ */
+function memoryPassages(manifest) {
+  const files = [...(fs.existsSync(path.join(CONFIG.WORKSPACE, 'MEMORY.md')) ? ['MEMORY.md'] : []), ...dailyNotes()];
+  return files
+    .flatMap(fileDocuments)
+    .filter(doc => !isForgotten(manifest, doc))
+    .flatMap(doc => paragraphs(doc.content, doc.metadata));
+}
+
+/**
+ * Passages from the files of the configured sources, one per paragraph, with
+ * the metadata they are uploaded with; a broken sources config or an
+ * unreadable file only leaves those files out, and so does forgetting
+ * @param {Object} manifest - from loadManifest
+ * @returns {Array<{text: string, metadata: Object}>}
+ */
+function sourcePassages(manifest) {
+  let sources;
+  try {
+    sources = loadSources();
+  } catch (err) {
+    log(`⚠️ Offline search skips file sources: ${scrubSensitiveData(err.message)}`);
+    return [];
+  }
+  const passages = [];
+  for (const { source, file } of sourceFiles(sources, reservedFiles())) {
+    let docs;
+    try {
+      docs = sourceDocuments(source, file);
+    } catch {
+      continue;
+    }
+    for (const doc of docs) {
+      if (!isForgotten(manifest, doc)) passages.push(...paragraphs(doc.content, doc.metadata));
+    }
+  }
+  return passages;
+}
+
+/**
+ * Rank passages against a query with BM25
+ * @param {Array<{text: string}>} passages
+ * @param {string} q
+ * @returns {Array<{passage: Object, score: number, coverage: number}>} matches, best first
+ */
+function rankBm25(passages, q) {
+  const queryTerms = [...new Set(terms(q))];
+  if (!queryTerms.length || !passages.length) return [];
+
+  const docs = passages.map(passage => {
+    const counts = new Map();
+    const list = terms(passage.text);
+    for (const t of list) counts.set(t, (counts.get(t) || 0) + 1);
+    return { passage, counts, length: list.length };
+  });
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / docs.length || 1;
+  const idf = new Map(queryTerms.map(t => {
+    const df = docs.filter(d => d.counts.has(t)).length;
+    return [t, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  return docs
+    .map(d => {
+      let score = 0;
+      let matched = 0;
+      for (const t of queryTerms) {
+        const tf = d.counts.get(t) || 0;
+        if (!tf) continue;
+        matched++;
+        score += idf.get(t) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * d.length / avgLength));
+      }
+      return { passage: d.passage, score, coverage: matched / queryTerms.length };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Keyword search over local sessions, memory files and source files
+ * @param {string} q
+ * @param {Object} [options] - recall options (limit, threshold, filters, since/until)
+ * @param {Object} [options.filters] - metadata filter (see buildSearchFilters)
+ * @param {(result: Object) => boolean} [options.accept] - extra per-result check (date range)
+ * @returns {Promise<{results: Array, total: number, timing: number}>} search-shaped response;
+ *   similarity is the share of query terms a passage contains
+ */
+async function offlineSearch(q, { limit = 10, threshold = 0, filters, accept = () => true } = {}) {
+  const started = Date.now();
+  const manifest = loadManifest();
+  const passages = [...await sessionPassages(), ...memoryPassages(manifest), ...sourcePassages(manifest)]
+    .filter(p => matchesFilter(filters, p.metadata));
+  const results = rankBm25(passages, q)
+    .map(({ passage, score, coverage }) => ({
+      chunk: redactContent(passage.text).text,
+      metadata: passage.metadata,
+      similarity: Number(coverage.toFixed(4)),
+      score: Number(score.toFixed(4)),
+    }))
+    .filter(r => r.similarity >= threshold && accept(r))
+    .slice(0, limit);
+  return { results, total: results.length, timing: Date.now() - started };
+}
+
+module.exports = { rankBm25, offlineSearch };
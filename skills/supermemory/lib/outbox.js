@@ -0,0 +1,346 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { CONFIG } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+const { writeJsonAtomic } = require('./atomic');
+const { apiCallWithRetry, errorStatus } = require('./api');
+
+// ============================================================================
+// OUTBOX AND DEAD LETTERS
+// ============================================================================
+//
+// Uploads that cannot be delivered right now are not lost: the payload goes
+// to an on-disk outbox (OUTBOX_PATH) and the sync cursor moves on. While
+// anything is pending, new uploads queue up behind it, so the backend sees
+// them in the original order once it is back. Uploads that run side by side
+// (see runInOrder) are settled in order by createUploadOrder: one that went
+// out while an earlier one was queued is queued too, so the replay sends it
+// again after the earlier one. After BREAKER_THRESHOLD
+// failed deliveries in a row the circuit opens and nothing is sent for
+// BREAKER_COOLDOWN_MS; then a single replay decides whether it closes again.
+// Payloads the API rejects for good (4xx other than auth, timeout and rate
+// limit) are moved to a dead-letter file (DEAD_LETTERS_PATH) with the error,
+// where sm-outbox.js can show, retry or drop them. Both files are written
+// atomically and re-read before every change, so the daemon and the
+// one-shot scripts can share them.
+
+const OUTBOX_VERSION = 1;
+// Not a problem with the payload: the same upload may well succeed later
+const TRANSIENT_4XX = [401, 403, 408, 429];
+
+function emptyOutbox() {
+  return { version: OUTBOX_VERSION, pending: [], breaker: { failures: 0, openUntil: 0 } };
+}
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    // Never start over silently: that would drop every queued upload
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
+
+/**
+ * @typedef {Object} QueuedUpload
+ * @property {string} id - changes whenever the payload is replaced
+ * @property {string} customId
+ * @property {string} containerTag
+ * @property {string} content
+ * @property {Object} metadata
+ * @property {string} label - for logs
+ * @property {string} [agent] - agent whose key uploads it (shared key without)
+ * @property {string} queuedAt - ISO time
+ * @property {number} attempts - failed deliveries so far
+ * @property {string} [lastError]
+ */
+
+/**
+ * Load the outbox
+ * @returns {{version: number, pending: QueuedUpload[], breaker: {failures: number, openUntil: number}}}
+ * @throws {Error} on an unreadable file
+ */
+function loadOutbox() {
+  const outbox = readJson(CONFIG.OUTBOX_PATH, emptyOutbox());
+  return { ...emptyOutbox(), ...outbox, breaker: { ...emptyOutbox().breaker, ...outbox.breaker } };
+}
+
+/**
+ * Load, change and save the outbox in one synchronous step
+ * @param {(outbox: Object) => *} change
+ * @returns {*} what `change` returned
+ */
+function updateOutbox(change) {
+  const outbox = loadOutbox();
+  const result = change(outbox);
+  writeJsonAtomic(CONFIG.OUTBOX_PATH, outbox, { indent: 2 });
+  return result;
+}
+
+/**
+ * Load the dead letters
+ * @returns {{version: number, letters: Array<QueuedUpload & {status: number|null, error: string, failedAt: string}>}}
+ * @throws {Error} on an unreadable file
+ */
+function loadDeadLetters() {
+  const dead = readJson(CONFIG.DEAD_LETTERS_PATH, { version: OUTBOX_VERSION, letters: [] });
+  return { ...dead, letters: dead.letters || [] };
+}
+
+function updateDeadLetters(change) {
+  const dead = loadDeadLetters();
+  const result = change(dead);
+  writeJsonAtomic(CONFIG.DEAD_LETTERS_PATH, dead, { indent: 2 });
+  return result;
+}
+
+const sameDocument = (a, b) => a.customId === b.customId && a.containerTag === b.containerTag;
+
+/**
+ * Check whether an upload error means the payload itself was rejected
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isPermanentFailure(err) {
+  const status = errorStatus(err);
+  return status >= 400 && status < 500 && !TRANSIENT_4XX.includes(status);
+}
+
+/**
+ * Check the circuit breaker
+ * @param {Object} outbox
+ * @param {number} [now]
+ * @returns {boolean} true while uploads are paused
+ */
+function breakerOpen(outbox, now = Date.now()) {
+  return outbox.breaker.openUntil > now;
+}
+
+function recordFailure(outbox) {
+  const { breaker } = outbox;
+  breaker.failures++;
+  if (breaker.failures >= CONFIG.BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + CONFIG.BREAKER_COOLDOWN_MS;
+    log(`🔌 ${breaker.failures} failed uploads in a row, pausing uploads for ${Math.round(CONFIG.BREAKER_COOLDOWN_MS / 1000)}s`
+      + ` (${outbox.pending.length} queued)`);
+  }
+}
+
+function recordSuccess(outbox) {
+  if (outbox.breaker.failures >= CONFIG.BREAKER_THRESHOLD) log('🔌 Uploads work again, circuit closed');
+  outbox.breaker = { failures: 0, openUntil: 0 };
+}
+
+/**
+ * Add an upload to the end of the queue; a queued upload of the same
+ * document is replaced in place, so only the newest content is sent
+ * @param {Object} outbox - mutated
+ * @param {Object} payload - client.add() params
+ * @param {{label?: string, agent?: string}} [options]
+ * @param {string} [error] - why it could not be sent now
+ */
+function enqueue(outbox, { content, containerTag, customId, metadata = {} }, { label = customId, agent } = {}, error) {
+  const item = {
+    id: crypto.randomUUID(), customId, containerTag, content, metadata, label,
+    ...(agent ? { agent } : {}), queuedAt: new Date().toISOString(), attempts: error ? 1 : 0,
+    ...(error ? { lastError: error } : {}),
+  };
+  const at = outbox.pending.findIndex(p => sameDocument(p, item));
+  if (at === -1) outbox.pending.push(item);
+  else outbox.pending[at] = item;
+}
+
+function addDeadLetter(item, err) {
+  const letter = {
+    ...item, status: errorStatus(err) ?? null, error: scrubSensitiveData(err.message), failedAt: new Date().toISOString(),
+  };
+  updateDeadLetters(dead => {
+    dead.letters = dead.letters.filter(l => !sameDocument(l, letter));
+    dead.letters.push(letter);
+  });
+  log(`☠️ ${item.label} rejected (HTTP ${letter.status}), moved to dead letters: ${letter.error}`);
+}
+
+function toPayload({ content, containerTag, customId, metadata }) {
+  return { content, containerTag, customId, metadata };
+}
+
+/**
+ * Upload a document, or queue it when that is not possible now. Uploads
+ * queue up behind pending ones and while the circuit is open, so the
+ * outbox keeps them in order.
+ * @param {Object} client - storage backend (see createClient)
+ * @param {{content: string, containerTag: string, customId: string, metadata?: Object}} payload - client.add() params
+ * @param {{label?: string, agent?: string}} [options] - log label, agent whose key uploads it
+ * @returns {Promise<'sent'|'queued'|'dead'>} dead: rejected by the API and moved to dead letters
+ * @throws {Error} only when the outbox or dead-letter file cannot be written
+ */
+async function deliver(client, payload, options = {}) {
+  const label = options.label || payload.customId;
+  const waiting = updateOutbox(outbox => {
+    if (!outbox.pending.length && !breakerOpen(outbox)) return false;
+    enqueue(outbox, payload, options);
+    return outbox.pending.length;
+  });
+  if (waiting) {
+    log(`📮 ${label} queued (${waiting} pending)`);
+    return 'queued';
+  }
+
+  try {
+    await apiCallWithRetry(async ({ signal }) => client.add(toPayload(payload), { signal }), `${label} upload`);
+  } catch (err) {
+    if (isPermanentFailure(err)) {
+      addDeadLetter({ ...toPayload(payload), label, ...(options.agent ? { agent: options.agent } : {}) }, err);
+      return 'dead';
+    }
+    const reason = scrubSensitiveData(err.message);
+    updateOutbox(outbox => {
+      enqueue(outbox, payload, options, reason);
+      recordFailure(outbox);
+    });
+    log(`📮 ${label} queued for replay: ${reason}`);
+    return 'queued';
+  }
+  if (loadOutbox().breaker.failures) updateOutbox(recordSuccess);
+  return 'sent';
+}
+
+/**
+ * Ordering barrier for one run of concurrent uploads (see runInOrder). An
+ * upload in flight does not wait for the ones before it, so it may reach the
+ * backend while an earlier one fails and is queued; settled in commit order,
+ * such an upload is queued as well and the replay sends both in order
+ * (uploads are idempotent by customId).
+ * @returns {(upload: {status: string, payload?: Object, options?: Object}) => string}
+ *   call in commit order with what deliver returned and its arguments; returns the final status
+ * @throws {Error} only when the outbox file cannot be written
+ */
+function createUploadOrder() {
+  let blocked = false;
+  return ({ status, payload, options = {} }) => {
+    if (status === 'queued') blocked = true;
+    if (status !== 'sent' || !blocked) return status;
+    const waiting = updateOutbox(outbox => {
+      enqueue(outbox, payload, options);
+      return outbox.pending.length;
+    });
+    log(`📮 ${options.label || payload.customId} queued again behind an earlier upload (${waiting} pending)`);
+    return 'queued';
+  };
+}
+
+/**
+ * Replay queued uploads in order until the queue is empty, a delivery
+ * fails or the circuit is open
+ * @param {Object} client - storage backend (see createClient)
+ * @param {Object} [options]
+ * @param {(agentId?: string) => Object} [options.clientFor] - backend for an agent's uploads (`client` by default)
+ * @returns {Promise<{sent: number, dead: number, pending: number, paused: boolean}>}
+ *   paused: stopped by the circuit breaker
+ */
+async function flushOutbox(client, { clientFor = () => client } = {}) {
+  let sent = 0;
+  let dead = 0;
+  let paused = false;
+
+  for (;;) {
+    const outbox = loadOutbox();
+    const item = outbox.pending[0];
+    if (!item) break;
+    if (breakerOpen(outbox)) {
+      paused = true;
+      break;
+    }
+    try {
+      await apiCallWithRetry(async ({ signal }) => clientFor(item.agent).add(toPayload(item), { signal }), `${item.label} replay`);
+      sent++;
+      updateOutbox(o => {
+        o.pending = o.pending.filter(p => p.id !== item.id);
+        recordSuccess(o);
+      });
+    } catch (err) {
+      if (isPermanentFailure(err)) {
+        updateOutbox(o => { o.pending = o.pending.filter(p => p.id !== item.id); });
+        addDeadLetter(item, err);
+        dead++;
+        continue;
+      }
+      const reason = scrubSensitiveData(err.message);
+      log(`⚠️ Replay of ${item.label} failed: ${reason}`);
+      updateOutbox(o => {
+        const queued = o.pending.find(p => p.id === item.id);
+        if (queued) {
+          queued.attempts++;
+          queued.lastError = reason;
+        }
+        recordFailure(o);
+      });
+      break;
+    }
+  }
+
+  const pending = loadOutbox().pending.length;
+  if (sent) log(`📬 Replayed ${sent} queued upload(s)${pending ? `, ${pending} still pending` : ''}`);
+  return { sent, dead, pending, paused };
+}
+
+/**
+ * Put dead letters back into the outbox (at its end)
+ * @param {string[]|'all'} customIds
+ * @returns {number} letters moved
+ */
+function retryDeadLetters(customIds) {
+  const picked = updateDeadLetters(dead => {
+    const take = dead.letters.filter(l => customIds === 'all' || customIds.includes(l.customId));
+    dead.letters = dead.letters.filter(l => !take.includes(l));
+    return take;
+  });
+  if (picked.length) {
+    updateOutbox(outbox => {
+      for (const letter of picked) enqueue(outbox, letter, letter);
+    });
+  }
+  return picked.length;
+}
+
+/**
+ * Delete dead letters for good
+ * @param {string[]|'all'} customIds
+ * @returns {number} letters dropped
+ */
+function dropDeadLetters(customIds) {
+  return updateDeadLetters(dead => {
+    const before = dead.letters.length;
+    dead.letters = dead.letters.filter(l => customIds !== 'all' && !customIds.includes(l.customId));
+    return before - dead.letters.length;
+  });
+}
+
+/**
+ * Forget queued and dead uploads of documents (sm-forget.js), so a replay
+ * never brings them back
+ * @param {string[]} customIds
+ * @returns {number} uploads dropped
+ */
+function discardQueued(customIds) {
+  const drop = p => customIds.includes(p.customId);
+  let dropped = 0;
+  if (fs.existsSync(CONFIG.OUTBOX_PATH) && loadOutbox().pending.some(drop)) {
+    dropped += updateOutbox(outbox => {
+      const before = outbox.pending.length;
+      outbox.pending = outbox.pending.filter(p => !drop(p));
+      return before - outbox.pending.length;
+    });
+  }
+  if (fs.existsSync(CONFIG.DEAD_LETTERS_PATH) && loadDeadLetters().letters.some(drop)) dropped += dropDeadLetters(customIds);
+  return dropped;
+}
+
+module.exports = {
+  loadOutbox, loadDeadLetters, isPermanentFailure, breakerOpen, deliver, createUploadOrder, flushOutbox,
+  retryDeadLetters, dropDeadLetters, discardQueued,
+};
@@ -0,0 +1,230 @@
+'use strict';
+
+const { scrubSensitiveData } = require('./log');
+const { errorStatus, classifyError } = require('./api');
+const { documentDate } = require('./recall');
+
+// ============================================================================
+// RECALL OUTPUT
+// ============================================================================
+//
+// Renders recall results for humans (text, markdown) and for programs
+// (json, ndjson). Exit codes let wrappers tell failures apart without
+// parsing messages.
+
+const OUTPUT_FORMATS = ['text', 'markdown', 'json', 'ndjson'];
+
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  AUTH: 3,
+  NETWORK: 4,
+  NO_RESULTS: 5,
+};
+
+/**
+ * Exit code for an error type
+ * @param {string} type - from classifyError, or 'usage'
+ * @returns {number}
+ */
+function exitCodeFor(type) {
+  return { auth: EXIT_CODES.AUTH, network: EXIT_CODES.NETWORK, usage: EXIT_CODES.USAGE }[type] ?? EXIT_CODES.ERROR;
+}
+
+/**
+ * Structured, scrubbed description of an error
+ * @param {Error} err
+ * @param {string} [type] - override classifyError (e.g. 'usage')
+ * @returns {{type: string, message: string, status?: number, exitCode: number}}
+ */
+function describeError(err, type = classifyError(err)) {
+  const status = errorStatus(err);
+  return {
+    type,
+    message: scrubSensitiveData(err?.message || String(err)),
+    ...(status ? { status } : {}),
+    exitCode: exitCodeFor(type),
+  };
+}
+
+/**
+ * Normalize a recall response into a stable, backend-independent shape
+ * @param {string} query
+ * @param {Object} options - recall options used
+ * @param {{profile: Object|null, search: Object}} response - from recall()
+ * @returns {Object} {query, options, source, cachedAt?, fallback?, profile, results, total, timing}
+ */
+function recallToJson(query, options, { profile, search, source = 'live', cachedAt, fallback }) {
+  const results = (search.results || []).map((r, i) => ({
+    rank: i + 1,
+    similarity: r.similarity,
+    content: r.memory || r.chunk || r.content || '',
+    customId: r.customId ?? r.metadata?.customId ?? r.documents?.[0]?.customId ?? null,
+    id: r.id ?? null,
+    date: documentDate(r.metadata),
+    metadata: r.metadata || {},
+    updatedAt: r.updatedAt ?? null,
+  }));
+  return {
+    query,
+    options,
+    source,
+    ...(cachedAt ? { cachedAt } : {}),
+    ...(fallback ? { fallback } : {}),
+    profile: profile ? {
+      static: profile.profile?.static || [],
+      dynamic: profile.profile?.dynamic || [],
+    } : null,
+    results,
+    total: search.total ?? results.length,
+    timing: search.timing ?? null,
+  };
+}
+
+function fallbackNotice(data) {
+  return `OFFLINE FALLBACK: Supermemory unreachable (${data.fallback.reason}). `
+    + 'Keyword search over local sessions and memory files; results may be incomplete.';
+}
+
+function renderText(data) {
+  const lines = [];
+  if (data.fallback) lines.push(`⚠️ ${fallbackNotice(data)}`, '');
+  if (data.profile) {
+    lines.push('=== PROFILE ===');
+    if (data.profile.static.length > 0) {
+      lines.push('📌 Static:');
+      data.profile.static.forEach(f => lines.push(`  - ${f}`));
+    }
+    if (data.profile.dynamic.length > 0) {
+      lines.push('🔄 Dynamic:');
+      data.profile.dynamic.forEach(f => lines.push(`  - ${f}`));
+    }
+    lines.push('');
+  }
+
+  lines.push(`=== SEARCH (${data.timing}ms, ${data.total} total${data.cachedAt ? `, cached ${data.cachedAt}` : ''}) ===`);
+  if (data.results.length > 0) {
+    data.results.forEach(r => {
+      lines.push(`${r.rank}. [${(r.similarity * 100).toFixed(0)}%] ${r.content || '(no content)'}`);
+      if (r.date) lines.push(`   📅 ${r.date}`);
+    });
+  } else {
+    lines.push('Nothing found.');
+  }
+  return lines.join('\n');
+}
+
+function renderMarkdown(data) {
+  const lines = [];
+  if (data.fallback) lines.push(`> ⚠️ **${fallbackNotice(data)}**`, '');
+  if (data.profile) {
+    lines.push('## Profile', '');
+    if (data.profile.static.length) lines.push('**Static**', '', ...data.profile.static.map(f => `- ${f}`), '');
+    if (data.profile.dynamic.length) lines.push('**Dynamic**', '', ...data.profile.dynamic.map(f => `- ${f}`), '');
+  }
+  lines.push(`## Results for "${data.query}" (${data.results.length} of ${data.total}, ${data.timing}ms)`, '');
+  if (!data.results.length) lines.push('_Nothing found._');
+  for (const r of data.results) {
+    const meta = [`**${(r.similarity * 100).toFixed(0)}%**`, r.date, r.customId && `\`${r.customId}\``].filter(Boolean);
+    lines.push(`${r.rank}. ${meta.join(' · ')}`, '');
+    lines.push(...(r.content || '(no content)').split('\n').map(l => `   > ${l}`), '');
+  }
+  return lines.join('\n').trimEnd();
+}
+
+function renderNdjson(data) {
+  const records = [];
+  if (data.fallback) records.push({ type: 'fallback', ...data.fallback });
+  if (data.profile) records.push({ type: 'profile', ...data.profile });
+  for (const r of data.results) records.push({ type: 'result', ...r });
+  records.push({ type: 'summary', query: data.query, returned: data.results.length, total: data.total, timing: data.timing, source: data.source });
+  return records.map(r => JSON.stringify(r)).join('\n');
+}
+
+/**
+ * Render recall results
+ * @param {Object} data - from recallToJson
+ * @param {string} format - one of OUTPUT_FORMATS
+ * @returns {string}
+ */
+function formatRecall(data, format) {
+  switch (format) {
+    case 'json': return JSON.stringify(data, null, 2);
+    case 'ndjson': return renderNdjson(data);
+    case 'markdown': return renderMarkdown(data);
+    default: return renderText(data);
+  }
+}
+
+/**
+ * Render a context pack: the bare block for text/markdown (ready to paste
+ * into a prompt), the block plus item details for json/ndjson
+ * @param {string} query
+ * @param {number} maxTokens
+ * @param {Object} pack - from buildContext
+ * @param {string} format - one of OUTPUT_FORMATS
+ * @returns {string}
+ */
+function formatContext(query, maxTokens, pack, format) {
+  const data = {
+    query, maxTokens, source: pack.source, tokens: pack.tokens, block: pack.block, items: pack.items, facts: pack.facts,
+  };
+  if (format === 'json') return JSON.stringify(data, null, 2);
+  if (format === 'ndjson') return JSON.stringify({ type: 'context', ...data });
+  return pack.block;
+}
+
+function formatMessage(m) {
+  const ts = m.timestamp ? new Date(m.timestamp).toISOString() : 'unknown';
+  return `[${ts}] [${m.role}] (line ${m.lineNum}): ${m.text}`;
+}
+
+/**
+ * Render the messages around a hit (from expandHit)
+ * @param {Object} result - from expandHit
+ * @param {string} format - one of OUTPUT_FORMATS
+ * @returns {string}
+ */
+function formatExpansion(result, format) {
+  if (format === 'json') return JSON.stringify(result, null, 2);
+  if (format === 'ndjson') {
+    const { messages, ...head } = result;
+    return [{ type: 'session', ...head }, ...messages.map(m => ({ type: 'message', ...m }))]
+      .map(r => JSON.stringify(r)).join('\n');
+  }
+
+  const { session, target, range } = result;
+  const hitLabel = `lines ${target.start}-${target.end}${target.batch ? `, batch ${target.batch}` : ''}`;
+  const labels = { before: '--- before ---', hit: `--- hit: ${hitLabel} ---`, after: '--- after ---' };
+  const heading = format === 'markdown' ? '##' : '===';
+  const lines = [`${heading} ${session.key || session.id} (${session.id}) · lines ${range.start}-${range.end}${format === 'markdown' ? '' : ' ==='}`];
+  let position = null;
+  for (const m of result.messages) {
+    if (m.position !== position) {
+      position = m.position;
+      lines.push('', format === 'markdown' ? `### ${labels[position].replace(/^--- | ---$/g, '')}` : labels[position]);
+    }
+    lines.push('', formatMessage(m));
+  }
+  if (!result.messages.length) lines.push('', 'No messages in this range.');
+  return lines.join('\n');
+}
+
+/**
+ * Render an error in the requested format
+ * @param {Object} error - from describeError
+ * @param {string} format - one of OUTPUT_FORMATS
+ * @returns {string}
+ */
+function formatError(error, format) {
+  if (format === 'json') return JSON.stringify({ error }, null, 2);
+  if (format === 'ndjson') return JSON.stringify({ type: 'error', ...error });
+  const label = { auth: 'Auth error: ', network: 'Network error: ' }[error.type] || '';
+  return `❌ ${label}${error.message}`;
+}
+
+module.exports = {
+  OUTPUT_FORMATS, EXIT_CODES, describeError, recallToJson, formatRecall, formatContext, formatExpansion,
+  formatError,
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+// ============================================================================
+// UPLOAD POOL
+// ============================================================================
+//
+// Uploads run UPLOAD_CONCURRENCY at a time (the rate limit in api.js still
+// applies to each call), but their results are committed strictly in order:
+// a sync cursor may only pass a batch once every batch before it is done, so
+// a crash or error mid-way never leaves a gap behind the cursor.
+
+/**
+ * Run `work` over items with bounded concurrency and hand each result to
+ * `commit` in item order, as soon as every earlier item is committed. After
+ * a failure no new work starts and nothing more is committed; work already
+ * in flight still finishes (uploads are idempotent by customId, so the next
+ * run simply sends those again).
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T, index: number) => Promise<R>} work
+ * @param {(result: R, item: T, index: number) => void} commit - synchronous
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - items in flight at once
+ * @returns {Promise<number>} items committed
+ * @throws {Error} the first error of work or commit, once nothing is in flight
+ */
+async function runInOrder(items, work, commit, { concurrency = 1 } = {}) {
+  const results = new Array(items.length);
+  const done = new Array(items.length).fill(false);
+  let next = 0;
+  let committed = 0;
+  let failure = null;
+
+  async function worker() {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await work(items[index], index);
+        done[index] = true;
+        while (!failure && committed < items.length && done[committed]) {
+          commit(results[committed], items[committed], committed);
+          committed++;
+        }
+      } catch (err) {
+        failure = failure || { err };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+  if (failure) throw failure.err;
+  return committed;
+}
+
+module.exports = { runInOrder };
@@ -0,0 +1,201 @@
+'use strict';
+
+const { CONFIG } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+const { apiCallWithRetry, classifyError } = require('./api');
+const { cacheKey, createCache } = require('./cache');
+const { agentContainerTag } = require('./agents');
+const { offlineSearch } = require('./offline');
+
+// ============================================================================
+// RECALL
+// ============================================================================
+
+const SEARCH_MODES = ['hybrid', 'memories'];
+const MEMORY_TYPES = ['conversation', 'long_term_memory', 'daily_memory'];
+
+const RECALL_DEFAULTS = {
+  limit: 10,
+  threshold: 0.4,
+  mode: 'hybrid',
+  rerank: true,
+  profile: true,
+};
+
+// Date ranges are checked on the returned metadata (the API filters cannot
+// compare dates), so ask for extra candidates, and for DATE_OVERFETCH times
+// more again while a full page leaves fewer than `limit` in range. Matches
+// ranked below the first MAX_SEARCH_LIMIT candidates are still not found.
+const DATE_OVERFETCH = 3;
+const MAX_SEARCH_LIMIT = 100;
+
+/**
+ * Build the metadata filter for a recall
+ * @param {Object} options - recall options
+ * @param {string} [options.type] - document type (conversation, long_term_memory, daily_memory or a source type)
+ * @param {string} [options.session] - session key
+ * @param {string} [options.agent] - conversations of this agent only; memory files stay in scope
+ * @param {'only'|'exclude'} [options.tools] - keep only / drop batches with tool records
+ * @returns {Object|undefined} {AND: [...]} filter, or undefined without conditions
+ */
+function buildSearchFilters({ type, session, agent, tools } = {}) {
+  const conditions = [];
+  if (type) conditions.push({ key: 'type', value: type });
+  if (session) conditions.push({ key: 'session_key', value: session });
+  if (agent) {
+    conditions.push({ OR: [{ key: 'agent_id', value: agent }, { key: 'type', value: 'conversation', negate: true }] });
+  }
+  if (tools === 'only') conditions.push({ key: 'has_tools', value: 'true' });
+  if (tools === 'exclude') conditions.push({ key: 'has_tools', value: 'true', negate: true });
+  return conditions.length ? { AND: conditions } : undefined;
+}
+
+/**
+ * Date of a document: session_date for conversations, date for daily notes
+ * @param {Object} [metadata]
+ * @returns {string|null} YYYY-MM-DD
+ */
+function documentDate(metadata) {
+  return metadata?.session_date || metadata?.date || null;
+}
+
+/**
+ * Check a result against an inclusive YYYY-MM-DD range. Results without
+ * a date (MEMORY.md) never match a range.
+ * @param {Object} result - search result
+ * @param {string} [since]
+ * @param {string} [until]
+ * @returns {boolean}
+ */
+function inDateRange(result, since, until) {
+  if (!since && !until) return true;
+  const date = documentDate(result.metadata);
+  if (!date) return false;
+  return (!since || date >= since) && (!until || date <= until);
+}
+
+/**
+ * Container a recall reads: the given one, or the agent's when scoped to one
+ * @param {Object} opts - recall options
+ * @returns {string}
+ */
+function recallContainerTag(opts) {
+  if (opts.containerTag) return opts.containerTag;
+  return opts.agent ? agentContainerTag(opts.agent) : CONFIG.CONTAINER_TAG;
+}
+
+/**
+ * Profile and search round trips against the backend
+ * @param {Object} client
+ * @param {string} q
+ * @param {Object} opts - recall options with defaults applied
+ * @returns {Promise<{profile: Object|null, search: Object}>}
+ */
+async function fetchRecall(client, q, opts) {
+  const dated = Boolean(opts.since || opts.until);
+  const containerTag = recallContainerTag(opts);
+
+  // Fetch profile with retry and timeout
+  const profile = opts.profile ? await apiCallWithRetry(
+    async ({ signal }) => client.profile({
+      containerTag,
+      q: q,
+      threshold: opts.threshold
+    }, { signal }),
+    'Profile fetch'
+  ) : null;
+
+  // Search with retry and timeout
+  const filters = buildSearchFilters(opts);
+  const searchFor = limit => apiCallWithRetry(
+    async ({ signal }) => client.search({
+      q: q,
+      containerTag,
+      searchMode: opts.mode,
+      limit,
+      threshold: opts.threshold,
+      rerank: opts.rerank,
+      ...(filters ? { filters } : {})
+    }, { signal }),
+    'Search memories'
+  );
+  if (!dated) return { profile, search: await searchFor(opts.limit) };
+
+  let limit = Math.min(opts.limit * DATE_OVERFETCH, MAX_SEARCH_LIMIT);
+  for (;;) {
+    const search = await searchFor(limit);
+    const found = search.results || [];
+    const results = found.filter(r => inDateRange(r, opts.since, opts.until)).slice(0, opts.limit);
+    // Fewer candidates than asked for means there are no more to look at
+    if (results.length >= opts.limit || found.length < limit || limit >= MAX_SEARCH_LIMIT) {
+      return { profile, search: { ...search, results, total: results.length } };
+    }
+    limit = Math.min(limit * DATE_OVERFETCH, MAX_SEARCH_LIMIT);
+  }
+}
+
+/**
+ * Fetch profile facts and search memories for a query.
+ * Fresh answers are cached for RECALL_CACHE_TTL_MS. When the backend is
+ * unreachable (network error, timeout, 429/5xx) recall falls back to BM25
+ * over local sessions and memory files; such responses say so in `source`.
+ * @param {Object} client - storage backend (see createClient)
+ * @param {string} q - natural-language query
+ * @param {Object} [options] - see RECALL_DEFAULTS; plus since/until (YYYY-MM-DD),
+ *   type, session, agent and tools (see buildSearchFilters), containerTag (instead of the
+ *   default or the agent's), cache: false and fallback: false
+ * @returns {Promise<{profile: Object|null, search: Object, source: 'live'|'cache'|'fallback',
+ *   cachedAt?: string, fallback?: {reason: string}}>} raw API responses
+ *   (profile is null with `profile: false` and in fallback mode)
+ */
+async function recall(client, q, options = {}) {
+  const opts = { ...RECALL_DEFAULTS, ...options };
+
+  // The local store is a file read already; caching it would only add staleness
+  const cache = opts.cache !== false && CONFIG.RECALL_CACHE && client.name !== 'local'
+    ? createCache({ file: CONFIG.RECALL_CACHE_PATH, ttlMs: CONFIG.RECALL_CACHE_TTL_MS })
+    : null;
+  const { limit, threshold, mode, rerank, profile, since, until, type, session, agent, tools } = opts;
+  const key = cacheKey({
+    containerTag: recallContainerTag(opts), backend: client.name, q,
+    limit, threshold, mode, rerank, profile, since, until, type, session, agent, tools,
+  });
+
+  const cached = cache?.get(key);
+  if (cached) return { ...cached.value, source: 'cache', cachedAt: new Date(cached.storedAt).toISOString() };
+
+  let response;
+  try {
+    response = await fetchRecall(client, q, opts);
+  } catch (err) {
+    if (opts.fallback === false || !CONFIG.OFFLINE_FALLBACK || classifyError(err) !== 'network') throw err;
+    const reason = scrubSensitiveData(err.message);
+    log(`📴 Recall backend unreachable (${reason}), falling back to local keyword search`);
+    const search = await offlineSearch(q, {
+      limit, filters: buildSearchFilters(opts), accept: r => inDateRange(r, since, until),
+    });
+    return { profile: null, search, source: 'fallback', fallback: { reason } };
+  }
+
+  cache?.set(key, response);
+  return { ...response, source: 'live' };
+}
+
+/**
+ * Fetch the full profile of the container
+ * @param {Object} client - storage backend (see createClient)
+ * @param {Object} [options]
+ * @param {string} [options.agent] - profile of this agent's container
+ * @returns {Promise<Object>} profile response
+ */
+async function getProfile(client, options = {}) {
+  const containerTag = recallContainerTag(options);
+  return apiCallWithRetry(
+    async ({ signal }) => client.profile({ containerTag }, { signal }),
+    'Profile fetch'
+  );
+}
+
+module.exports = {
+  SEARCH_MODES, MEMORY_TYPES, RECALL_DEFAULTS, buildSearchFilters, documentDate, inDateRange, recall, getProfile,
+};
@@ -0,0 +1,252 @@
+'use strict';
+
+const fs = require('fs');
+const { CONFIG } = require('./config');
+
+// ============================================================================
+// CONTENT REDACTION
+// ============================================================================
+//
+// Conversation text and memory files are scrubbed before upload, so secrets
+// and personal data pasted into chat never reach the memory store. Built-in
+// detectors run in order (most specific first); user rules from
+// SM_REDACT_CONFIG run after them. Unlike scrubSensitiveData (log lines only),
+// this pipeline validates matches (Luhn, IBAN checksum) to limit false positives.
+
+/**
+ * Luhn checksum (payment cards)
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 mod-97 checksum
+ * @param {string} iban - without spaces
+ * @returns {boolean}
+ */
+function ibanValid(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const value = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Built-in detectors. `validate` gets the match and returns false to keep it.
+ * `replace` (optional) builds the replacement from the match groups.
+ */
+const DETECTORS = [
+  {
+    name: 'private_key',
+    regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+    replacement: '[REDACTED_PRIVATE_KEY]',
+  },
+  {
+    name: 'jwt',
+    regex: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g,
+    replacement: '[REDACTED_JWT]',
+  },
+  {
+    name: 'api_key',
+    regex: new RegExp([
+      /\bsm_[A-Za-z0-9_]{10,}/,
+      /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/,
+      /\bAKIA[0-9A-Z]{16}\b/,
+      /\bgh[pousr]_[A-Za-z0-9]{36,}/,
+      /\bgithub_pat_[A-Za-z0-9_]{22,}/,
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}/,
+      /\bAIza[0-9A-Za-z_-]{35}/,
+    ].map(r => r.source).join('|'), 'g'),
+    replacement: '[REDACTED_API_KEY]',
+  },
+  {
+    name: 'bearer',
+    regex: /\bbearer\s+[A-Za-z0-9_.~+/=-]{8,}/gi,
+    replacement: 'Bearer [REDACTED]',
+  },
+  {
+    // key=value / key: value assignments; only the value is replaced
+    name: 'secret',
+    regex: /(?<![\p{L}\p{N}_])(password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|client[_-]?secret|пароль)(\s*[:=]\s*["']?)([^\s"',;]{4,})/giu,
+    replace: (match, key, sep) => `${key}${sep}[REDACTED_SECRET]`,
+  },
+  {
+    name: 'card',
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19
+        && /^(4|5[1-5]|2[2-7]|3[47]|35|6)/.test(digits)
+        && luhnValid(digits);
+    },
+    replacement: '[REDACTED_CARD]',
+  },
+  {
+    name: 'iban',
+    regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+    validate: match => {
+      const iban = match.replace(/ /g, '');
+      return iban.length >= 15 && iban.length <= 34 && ibanValid(iban);
+    },
+    replacement: '[REDACTED_IBAN]',
+  },
+  {
+    name: 'email',
+    regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    replacement: '[REDACTED_EMAIL]',
+  },
+  {
+    // RU: +7 / 8 followed by a 3xx/4xx/8xx/9xx code, any common separators
+    name: 'phone',
+    regex: /(?<![\w+])(?:\+7|8)[\s-]?\(?[3489]\d{2}\)?[\s-]?\d{3}[\s-]?\d{2}[\s-]?\d{2}(?!\d)/g,
+    replacement: '[REDACTED_PHONE]',
+  },
+  {
+    // International: +<country code> and 8-15 digits in total
+    name: 'phone',
+    regex: /(?<![\w+])\+[1-9][\d\s().-]{6,20}\d(?!\d)/g,
+    validate: match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 8 && digits <= 15;
+    },
+    replacement: '[REDACTED_PHONE]',
+  },
+];
+
+/**
+ * Load user-defined rules from a JSON config file.
+ *
+ * Format:
+ *   {
+ *     "disable": ["phone"],
+ *     "rules": [{ "name": "client_id", "pattern": "CL-\\d{6}", "flags": "gi", "replacement": "[CLIENT_ID]" }]
+ *   }
+ *
+ * @param {string} configPath
+ * @returns {{disable: string[], rules: Array}} parsed config (empty if the file does not exist)
+ * @throws {Error} on unreadable JSON or invalid rules - callers must not upload unredacted text
+ */
+function loadRedactionConfig(configPath) {
+  if (!configPath || !fs.existsSync(configPath)) return { disable: [], rules: [] };
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Redaction config ${configPath}: ${err.message}`);
+  }
+
+  const disable = raw.disable || [];
+  if (!Array.isArray(disable)) throw new Error(`Redaction config ${configPath}: "disable" must be an array`);
+
+  const rules = (raw.rules || []).map((rule, i) => {
+    if (!rule || typeof rule.pattern !== 'string') {
+      throw new Error(`Redaction config ${configPath}: rules[${i}].pattern must be a string`);
+    }
+    const flags = rule.flags || 'g';
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`);
+    } catch (err) {
+      throw new Error(`Redaction config ${configPath}: rules[${i}]: ${err.message}`);
+    }
+    const name = rule.name || `rule_${i + 1}`;
+    return { name, regex, replacement: rule.replacement || `[REDACTED_${name.toUpperCase()}]` };
+  });
+
+  return { disable, rules };
+}
+
+/**
+ * Build a redactor from built-in detectors plus user config
+ * @param {Object} [config] - result of loadRedactionConfig
+ * @returns {{redact: (text: string) => {text: string, findings: Array<{type: string, value: string}>}}}
+ */
+function createRedactor({ disable = [], rules = [] } = {}) {
+  const detectors = DETECTORS.filter(d => !disable.includes(d.name)).concat(rules);
+
+  function redact(text) {
+    const findings = [];
+    if (typeof text !== 'string' || !text) return { text, findings };
+
+    let result = text;
+    for (const detector of detectors) {
+      detector.regex.lastIndex = 0;
+      result = result.replace(detector.regex, (...args) => {
+        const match = args[0];
+        if (detector.validate && !detector.validate(match)) return match;
+        findings.push({ type: detector.name, value: match });
+        return detector.replace ? detector.replace(...args) : detector.replacement;
+      });
+    }
+    return { text: result, findings };
+  }
+
+  return { redact };
+}
+
+let cached = null;
+
+/**
+ * Redactor for the current CONFIG (REDACT_CONFIG is re-read when it changes)
+ * @returns {{redact: Function}}
+ */
+function getRedactor() {
+  const configPath = CONFIG.REDACT_CONFIG;
+  const mtime = configPath && fs.existsSync(configPath) ? fs.statSync(configPath).mtimeMs : 0;
+  if (!cached || cached.configPath !== configPath || cached.mtime !== mtime) {
+    cached = { configPath, mtime, redactor: createRedactor(loadRedactionConfig(configPath)) };
+  }
+  return cached.redactor;
+}
+
+/**
+ * Redact text before upload; a no-op when SM_REDACT is off
+ * @param {string} text
+ * @returns {{text: string, findings: Array<{type: string, value: string}>}}
+ */
+function redactContent(text) {
+  if (!CONFIG.REDACT) return { text, findings: [] };
+  return getRedactor().redact(text);
+}
+
+/**
+ * Count findings per detector (for logs; never includes the values)
+ * @param {Array<{type: string}>} findings
+ * @returns {string} e.g. "email×2, phone×1"
+ */
+function summarizeFindings(findings) {
+  const counts = {};
+  for (const f of findings) counts[f.type] = (counts[f.type] || 0) + 1;
+  return Object.entries(counts).map(([type, n]) => `${type}×${n}`).join(', ');
+}
+
+/**
+ * Mask a detected value for reports: keep just enough to recognise it
+ * @param {string} value
+ * @returns {string}
+ */
+function maskValue(value) {
+  if (value.length <= 6) return '*'.repeat(value.length);
+  return `${value.slice(0, 2)}${'*'.repeat(Math.min(value.length - 4, 12))}${value.slice(-2)}`;
+}
+
+module.exports = {
+  DETECTORS, luhnValid, ibanValid, loadRedactionConfig, createRedactor, getRedactor,
+  redactContent, summarizeFindings, maskValue,
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+const fs = require('fs');
+const { CONFIG } = require('./config');
+
+// ============================================================================
+// SESSION RULES
+// ============================================================================
+//
+// What gets synced and where, from RULES_CONFIG (JSON):
+//
+//   { "rules": [
+//       { "session": "agent:*:cron:*", "action": "exclude" },
+//       { "session": ["*:group:*"], "action": "exclude" },
+//       { "session": "agent:main:acme-*", "action": "route", "containerTag": "nn02-acme" },
+//       { "role": "assistant", "text": "^NO_REPLY$", "action": "exclude" }
+//   ] }
+//
+// Rules without role or text decide about whole sessions: the first one
+// whose session pattern matches the session key wins, excluding the session
+// or routing it to another container tag. Rules with role or text drop
+// single messages (any matching rule does). Session patterns are session
+// keys with `*` for any run of characters. The heartbeat rules below always
+// apply unless the file sets "defaults": false.
+
+const RULE_ACTIONS = ['exclude', 'route'];
+const RULE_ROLES = ['user', 'assistant', 'tool'];
+
+const DEFAULT_RULES = [
+  { name: 'heartbeat-ok', text: '^HEARTBEAT_OK$', action: 'exclude' },
+  { name: 'heartbeat-prompt', text: '^Read HEARTBEAT\\.md', action: 'exclude' },
+];
+
+function keyPattern(glob) {
+  return new RegExp(`^${glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+function listOf(value) {
+  return value === undefined ? [] : [].concat(value);
+}
+
+/**
+ * Validate and compile one rule
+ * @param {Object} rule - as written in the config
+ * @param {string} at - position for error messages ("rules[2]")
+ * @param {Function} fail - throws with the config path
+ * @returns {Object} compiled rule
+ */
+function compileRule(rule, at, fail) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) fail(`${at} must be an object`);
+  if (!RULE_ACTIONS.includes(rule.action)) fail(`${at}.action must be one of ${RULE_ACTIONS.join(', ')}`);
+  const name = rule.name ?? at;
+  if (typeof name !== 'string' || !name) fail(`${at}.name must be a string`);
+
+  const sessions = listOf(rule.session);
+  if (sessions.some(s => typeof s !== 'string' || !s)) fail(`${at}.session must be a session key pattern or a list of them`);
+  const roles = listOf(rule.role);
+  if (roles.some(r => !RULE_ROLES.includes(r))) fail(`${at}.role must be ${RULE_ROLES.join(', ')} or a list of them`);
+  if (rule.text !== undefined && (typeof rule.text !== 'string' || !rule.text)) fail(`${at}.text must be a regular expression`);
+  if (rule.flags !== undefined && rule.text === undefined) fail(`${at}.flags needs text`);
+  // g and y would make test() stateful across messages
+  if (rule.flags !== undefined && !/^[imsu]*$/.test(rule.flags)) fail(`${at}.flags may only use i, m, s and u`);
+  let text = null;
+  if (rule.text !== undefined) {
+    try {
+      text = new RegExp(rule.text, rule.flags ?? '');
+    } catch (err) {
+      fail(`${at}.text: ${err.message}`);
+    }
+  }
+
+  const perMessage = roles.length > 0 || text !== null;
+  if (!sessions.length && !perMessage) fail(`${at} must match on session, role or text`);
+  if (rule.action === 'route') {
+    if (perMessage) fail(`${at}: route applies to whole sessions, drop role and text`);
+    if (typeof rule.containerTag !== 'string' || rule.containerTag.trim().length < 2) {
+      fail(`${at}.containerTag must be at least 2 characters`);
+    }
+  } else if (rule.containerTag !== undefined) {
+    fail(`${at}.containerTag only applies to route`);
+  }
+
+  return {
+    name, action: rule.action, perMessage,
+    sessions: sessions.map(keyPattern), roles, text,
+    ...(rule.action === 'route' ? { containerTag: rule.containerTag.trim() } : {}),
+  };
+}
+
+/**
+ * Load and validate RULES_CONFIG
+ * @param {string} [configPath]
+ * @returns {{session: Array<Object>, message: Array<Object>}} compiled rules,
+ *   only the default ones when the file does not exist
+ * @throws {Error} naming the file and the offending rule
+ */
+function loadRules(configPath = CONFIG.RULES_CONFIG) {
+  const fail = message => { throw new Error(`Rules config ${configPath}: ${message}`); };
+  let raw = { rules: [] };
+  if (configPath && fs.existsSync(configPath)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+      fail(err.message);
+    }
+    if (!raw || !Array.isArray(raw.rules)) fail('"rules" must be an array');
+    if (raw.defaults !== undefined && typeof raw.defaults !== 'boolean') fail('"defaults" must be true or false');
+  }
+
+  const rules = [
+    ...(raw.defaults === false ? [] : DEFAULT_RULES.map(rule => compileRule(rule, rule.name, fail))),
+    ...raw.rules.map((rule, i) => compileRule(rule, `rules[${i}]`, fail)),
+  ];
+  return { session: rules.filter(r => !r.perMessage), message: rules.filter(r => r.perMessage) };
+}
+
+let cached = null;
+
+/**
+ * Rules for the current CONFIG (RULES_CONFIG is re-read when it changes)
+ * @returns {{session: Array<Object>, message: Array<Object>}}
+ */
+function getRules() {
+  const configPath = CONFIG.RULES_CONFIG;
+  const mtime = configPath && fs.existsSync(configPath) ? fs.statSync(configPath).mtimeMs : 0;
+  if (!cached || cached.configPath !== configPath || cached.mtime !== mtime) {
+    cached = { configPath, mtime, rules: loadRules(configPath) };
+  }
+  return cached.rules;
+}
+
+function matchesSession(rule, key) {
+  return !rule.sessions.length || (key != null && rule.sessions.some(re => re.test(key)));
+}
+
+/**
+ * First session rule matching a session key
+ * @param {string} key - session key
+ * @returns {{name: string, action: 'exclude'|'route', containerTag?: string}|null}
+ */
+function sessionRule(key) {
+  return getRules().session.find(rule => matchesSession(rule, key)) || null;
+}
+
+/**
+ * Check a parsed message against the message rules. Rules restricted to
+ * sessions only apply when the session key is known.
+ * @param {{role: string, text: string}} message
+ * @param {string} [key] - session key
+ * @returns {boolean} true if a rule drops the message
+ */
+function excludesMessage(message, key) {
+  return getRules().message.some(rule => matchesSession(rule, key)
+    && (!rule.roles.length || rule.roles.includes(message.role))
+    && (!rule.text || rule.text.test(message.text)));
+}
+
+module.exports = { RULE_ACTIONS, DEFAULT_RULES, loadRules, getRules, sessionRule, excludesMessage };
@@ -0,0 +1,538 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('./config');
+const { writeJsonAtomic } = require('./atomic');
+const { scrubSensitiveData, log } = require('./log');
+const { apiCallWithRetry } = require('./api');
+const { redactContent, summarizeFindings } = require('./redact');
+const { isToolCallPart, formatToolCall, formatToolResult } = require('./tools');
+const { formatUnit, planChunks } = require('./chunker');
+const { MAIN_AGENT, getAgent } = require('./agents');
+const { sessionRule, excludesMessage } = require('./rules');
+const { deliver, createUploadOrder, discardQueued } = require('./outbox');
+const { runInOrder } = require('./pool');
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+//
+// One file for all agents: { version: 2, agents: { <id>: { sessions,
+// totalSynced, lastSyncTime } } }. Version 1 files held a single agent's
+// fields at the top level and are read as the "main" agent.
+
+const STATE_VERSION = 2;
+
+function loadState() {
+  try {
+    if (fs.existsSync(CONFIG.STATE_FILE))
+      return migrateState(JSON.parse(fs.readFileSync(CONFIG.STATE_FILE, 'utf8')));
+  } catch (err) { 
+    log(`⚠️ State load failed: ${scrubSensitiveData(err.message)}`); 
+  }
+  return { version: STATE_VERSION, agents: {} };
+}
+
+/**
+ * Bring a parsed state file to the current layout
+ * @param {Object} state
+ * @returns {Object}
+ */
+function migrateState(state) {
+  if (state.agents) return state;
+  const { sessions = {}, totalSynced = 0, lastSyncTime = 0, ...rest } = state;
+  return { ...rest, version: STATE_VERSION, agents: { [MAIN_AGENT]: { sessions, totalSynced, lastSyncTime } } };
+}
+
+/**
+ * Sync state of one agent, created on first use
+ * @param {Object} state - whole sync state (mutated)
+ * @param {string} agentId
+ * @returns {{sessions: Object, totalSynced: number, lastSyncTime: number}}
+ */
+function agentState(state, agentId) {
+  state.agents = state.agents || {};
+  if (!state.agents[agentId]) state.agents[agentId] = { sessions: {}, totalSynced: 0, lastSyncTime: 0 };
+  return state.agents[agentId];
+}
+
+/**
+ * Carry what sm-forget.js recorded in the state file into a state about to
+ * be saved over it: the daemon holds its state for a whole tick and would
+ * otherwise write forgotten batches back. Forgotten fingerprints are merged;
+ * batches the file already knew (up to its batchCount, same session and
+ * generation) but no longer has stay dropped.
+ * @param {Object} state - mutated
+ * @param {Object} onDisk - current state file, migrated
+ */
+function keepForgotten(state, onDisk) {
+  for (const [agentId, own] of Object.entries(onDisk.agents)) {
+    for (const [key, saved] of Object.entries(own.sessions || {})) {
+      const ss = state.agents?.[agentId]?.sessions?.[key];
+      if (!ss || ss === saved || ss.sessionId !== saved.sessionId) continue;
+      if (saved.forgotten?.length) ss.forgotten = [...new Set([...(ss.forgotten || []), ...saved.forgotten])];
+      if ((ss.generation || 0) !== (saved.generation || 0) || !ss.batches) continue;
+      const kept = new Set((saved.batches || []).map(b => b.batch));
+      ss.batches = ss.batches.filter(b => b.batch > (saved.batchCount || 0) || kept.has(b.batch));
+    }
+  }
+}
+
+function saveState(state) {
+  try {
+    if (fs.existsSync(CONFIG.STATE_FILE)) keepForgotten(state, migrateState(JSON.parse(fs.readFileSync(CONFIG.STATE_FILE, 'utf8'))));
+  } catch {
+    // An unreadable file has nothing worth keeping
+  }
+  try {
+    // Atomic: the daemon and `forget` both read this file while the other writes it
+    writeJsonAtomic(CONFIG.STATE_FILE, state, { indent: 2 });
+  } catch (err) { 
+    log(`❌ State save failed: ${scrubSensitiveData(err.message)}`); 
+  }
+}
+
+// ============================================================================
+// SESSION HANDLING
+// ============================================================================
+
+/**
+ * Read an agent's sessions.json
+ * @param {import('./agents').Agent} [agent] - the main agent by default
+ * @returns {Object|null} session key -> entry, or null if unreadable
+ */
+function readSessionsMeta(agent = getAgent(MAIN_AGENT)) {
+  try {
+    return JSON.parse(fs.readFileSync(agent.sessionsMeta, 'utf8'));
+  } catch (err) { 
+    log(`⚠️ Sessions meta: ${scrubSensitiveData(err.message)}`); 
+    return null; 
+  }
+}
+
+function getSessionFiles(meta = readSessionsMeta()) {
+  return Object.entries(meta || {})
+    .filter(([, v]) => v.sessionFile && fs.existsSync(v.sessionFile))
+    .map(([key, v]) => ({ key, file: v.sessionFile, id: v.sessionId }));
+}
+
+/**
+ * Parse one JSONL record into an uploadable message
+ * @param {string} line - raw JSONL line
+ * @param {number} lineNum - 1-based line number (for logs and cursors)
+ * @param {string} sessionFile - file the line came from (for logs)
+ * @param {Map<string, string>} [toolNames] - tool call id -> tool name, filled as calls are seen
+ * @returns {Object|null} message ({role, text, timestamp, lineNum, tools}), or null if the line is skipped;
+ *   with tool output appended to text, ownText is the message's text without it
+ */
+function parseMessageLine(line, lineNum, sessionFile, toolNames = new Map()) {
+  if (!line.trim()) return null;
+  try {
+    const record = JSON.parse(line);
+    if (record.type !== 'message' || !record.message) return null;
+    const { role, content } = record.message;
+    const timestamp = record.message.timestamp || record.timestamp;
+
+    // OpenClaw stores tool output as a separate message
+    if (role === 'toolResult') {
+      if (!CONFIG.INCLUDE_TOOLS) return null;
+      const name = record.message.toolName || toolNames.get(record.message.toolCallId) || 'unknown';
+      const text = formatToolResult(name, content, record.message.isError);
+      return text ? { role: 'tool', text, timestamp, lineNum, tools: [name] } : null;
+    }
+    if (role !== 'user' && role !== 'assistant') return null;
+
+    let text;
+    const toolParts = [];
+    const tools = [];
+    if (typeof content === 'string') text = content;
+    else if (Array.isArray(content)) {
+      text = content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+      if (CONFIG.INCLUDE_TOOLS) {
+        for (const part of content) {
+          if (isToolCallPart(part)) {
+            if (part.id) toolNames.set(part.id, part.name);
+            const call = formatToolCall(part);
+            if (call) { toolParts.push(call.text); tools.push(call.name); }
+          } else if (part.type === 'tool_result') {
+            const name = toolNames.get(part.tool_use_id) || 'unknown';
+            const result = formatToolResult(name, part.content, part.is_error);
+            if (result) { toolParts.push(result); tools.push(name); }
+          }
+        }
+      }
+    }
+    else text = JSON.stringify(content);
+
+    if (!text.trim() && !toolParts.length) return null;
+
+    return {
+      role, text: [text.trim() ? text : '', ...toolParts].filter(Boolean).join('\n'),
+      timestamp, lineNum, tools: [...new Set(tools)],
+      ...(toolParts.length ? { ownText: text } : {})
+    };
+  } catch (e) { 
+    // Log parsing errors for debugging but continue
+    if (e instanceof SyntaxError) {
+      log(`⚠️ JSON parse error at line ${lineNum} in ${path.basename(sessionFile)}: ${e.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Read messages after the cursor. With a byte offset the file is read from
+ * that position only, so a tick costs O(new bytes) instead of O(history).
+ * Only newline-terminated lines are consumed; a line still being written
+ * is left for the next read. Messages dropped by the rules (heartbeats by
+ * default) are skipped like any other non-message line.
+ * @param {string} sessionFile - session JSONL path
+ * @param {number} offsetLines - lines already consumed (the line cursor)
+ * @param {number} [byteOffset] - byte position of that cursor; 0 = count lines from the start
+ * @param {string} [sessionKey] - enables rules restricted to sessions
+ * @returns {Promise<{messages: Array, totalLines: number, endOffset: number}>}
+ *   every message carries `lineNum` and `endOffset` (byte position after its line)
+ */
+async function readMessages(sessionFile, offsetLines, byteOffset = 0, sessionKey) {
+  const messages = [];
+  let lineNum = byteOffset ? offsetLines : 0;
+  let position = byteOffset;
+  let pending = null;
+  const toolNames = new Map();
+
+  for await (const chunk of fs.createReadStream(sessionFile, { start: byteOffset })) {
+    pending = pending ? Buffer.concat([pending, chunk]) : chunk;
+    let newline;
+    while ((newline = pending.indexOf(0x0a)) !== -1) {
+      const line = pending.subarray(0, newline).toString('utf8').replace(/\r$/, '');
+      pending = pending.subarray(newline + 1);
+      position += newline + 1;
+      lineNum++;
+      if (lineNum <= offsetLines) continue;
+      const parsed = parseMessageLine(line, lineNum, sessionFile, toolNames);
+      if (!parsed) continue;
+      const { ownText, ...message } = parsed;
+      // Rules match what was said, not the tool output appended to it
+      if (!excludesMessage({ ...message, text: ownText ?? message.text }, sessionKey)) messages.push({ ...message, endOffset: position });
+    }
+  }
+  return { messages, totalLines: lineNum, endOffset: position };
+}
+
+// ============================================================================
+// FILE IDENTITY
+// ============================================================================
+//
+// Session files are expected to only grow. To notice when OpenClaw compacts,
+// truncates or replaces one, the state keeps the file's inode and size plus
+// hashes of the bytes at the start of the file and right before the cursor.
+// For an append-only file both windows never change; any mismatch means the
+// content under the cursor is no longer what was uploaded.
+
+const IDENTITY_WINDOW = 4096;
+
+/**
+ * Hash a byte range of a file (at most IDENTITY_WINDOW bytes)
+ * @param {string} file
+ * @param {number} start
+ * @param {number} end - exclusive
+ * @returns {string|null} short hex hash, or null for an empty range
+ */
+function hashRange(file, start, end) {
+  if (end <= start) return null;
+  const buf = Buffer.alloc(end - start);
+  const fd = fs.openSync(file, 'r');
+  try {
+    const read = fs.readSync(fd, buf, 0, buf.length, start);
+    return crypto.createHash('sha256').update(buf.subarray(0, read)).digest('hex').substring(0, 16);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Identity of a session file as seen with the cursor at `byteOffset`
+ * @param {string} file
+ * @param {fs.Stats} stat
+ * @param {number} byteOffset
+ * @returns {{ino: number, size: number, headHash: string|null, cursorHash: string|null}}
+ */
+function fileIdentity(file, stat, byteOffset) {
+  return {
+    ino: stat.ino,
+    size: stat.size,
+    headHash: hashRange(file, 0, Math.min(IDENTITY_WINDOW, byteOffset)),
+    cursorHash: hashRange(file, Math.max(0, byteOffset - IDENTITY_WINDOW), byteOffset),
+  };
+}
+
+/**
+ * Compare the stored identity with the file as it is now
+ * @param {Object} ss - session state (needs identity and byteOffset)
+ * @param {string} file - session file
+ * @param {fs.Stats} stat - current file stat
+ * @returns {string|null} reason for a detected rewrite, or null
+ */
+function detectRewrite(ss, file, stat) {
+  const id = ss.identity;
+  if (!id || ss.byteOffset == null) return null;
+  if (id.ino && stat.ino && id.ino !== stat.ino) return 'file replaced';
+  if (stat.size < id.size || stat.size < ss.byteOffset) return 'file truncated';
+  const now = fileIdentity(file, stat, ss.byteOffset);
+  if (now.headHash !== id.headHash) return 'file rewritten';
+  if (now.cursorHash !== id.cursorHash) return 'content at cursor changed';
+  return null;
+}
+
+// ============================================================================
+// SYNC LOGIC
+// ============================================================================
+
+/**
+ * Metadata tags for chunks that contain tool calls/results, so recall can
+ * filter them in or out (has_tools = "true", tool_names = "exec,read")
+ * @param {Array} messages
+ * @returns {Object} empty when the chunk has no tool records
+ */
+function toolMetadata(messages) {
+  const names = [...new Set(messages.flatMap(m => m.tools || []))];
+  return names.length ? { has_tools: 'true', tool_names: names.join(',') } : {};
+}
+
+/**
+ * Drop state of sessions that are no longer listed in sessions.json
+ * @param {Object} state - sync state of the agent (mutated)
+ * @param {Object} meta - parsed sessions.json
+ */
+function pruneSessions(state, meta) {
+  for (const key of Object.keys(state.sessions)) {
+    if (!(key in meta)) {
+      log(`🧹 ${key}: removed from sessions.json, dropping state`);
+      delete state.sessions[key];
+    }
+  }
+}
+
+/**
+ * Deterministic customId for a batch: derived from the session and the
+ * line range it covers, so re-sending the same lines upserts instead of
+ * creating a duplicate under a new number
+ * @param {string} sessionId
+ * @param {number} startLine - line of the first message in the batch
+ * @param {number} endLine - line of the last message in the batch
+ * @param {number} [generation] - bumped each time the file was rewritten
+ * @param {number|null} [part] - continuation part of a split message
+ * @returns {string}
+ */
+function batchCustomId(sessionId, startLine, endLine, generation = 0, part = null) {
+  const gen = generation ? `-g${generation}` : '';
+  const suffix = part ? `-part-${part}` : '';
+  return `session-${sessionId}${gen}-lines-${startLine}-${endLine}${suffix}`;
+}
+
+/**
+ * Fingerprint of a message, stable across rewrites that move it to another
+ * line. Forgotten messages are remembered by fingerprint (`ss.forgotten`) so
+ * a re-sync never uploads them again.
+ * @param {{role: string, text: string, timestamp?: *}} message - as parsed (before redaction)
+ * @returns {string} short hex hash
+ */
+function messageFingerprint({ role, text, timestamp }) {
+  return crypto.createHash('sha256').update(`${role}\n${timestamp ?? ''}\n${text}`).digest('hex').substring(0, 16);
+}
+
+/**
+ * Delete the documents a rewrite superseded (`ss.superseded`). Ones that
+ * fail to delete stay listed and are retried on the next sync.
+ * @param {Object} client - storage backend (see createClient)
+ * @param {string} key - session key
+ * @param {Object} ss - session state (mutated)
+ * @param {string} containerTag
+ * @returns {Promise<void>}
+ */
+async function deleteSuperseded(client, key, ss, containerTag) {
+  const left = [];
+  for (const customId of ss.superseded) {
+    try {
+      // A replay of a queued upload must not bring it back
+      discardQueued([customId]);
+      await apiCallWithRetry(
+        async ({ signal }) => client.delete({ customId, containerTag }, { signal }),
+        `${customId} delete`
+      );
+    } catch (err) {
+      log(`❌ Failed to delete ${customId}: ${scrubSensitiveData(err.message)}`);
+      left.push(customId);
+    }
+  }
+  const deleted = ss.superseded.length - left.length;
+  if (deleted) log(`🗑️ ${key}: deleted ${deleted} document(s) of the rewritten content`);
+  if (left.length) ss.superseded = left;
+  else delete ss.superseded;
+}
+
+/**
+ * Upload new messages of every known session of an agent in chunks (one daemon tick).
+ * Messages are redacted before chunking, so a split never cuts through a
+ * secret. `lastLine` only ever advances past a batch once it was uploaded or
+ * safely stored in the outbox (see deliver). Batches of a session upload
+ * UPLOAD_CONCURRENCY at a time but are committed in order, each recorded in
+ * `batches` and persisted right away, so a crash mid-session resumes exactly
+ * at the first unrecorded message. A rewritten session is uploaded again
+ * under a new generation and the documents of the old one are deleted.
+ * Sessions excluded by the rules are skipped; routed ones go to the rule's
+ * container tag.
+ * @param {Object} client - storage backend (see createClient)
+ * @param {Object} state - whole sync state (mutated and persisted via saveState)
+ * @param {import('./agents').Agent} [agent] - the main agent by default
+ * @returns {Promise<void>}
+ */
+async function syncSessions(client, state, agent = getAgent(MAIN_AGENT)) {
+  const own = agentState(state, agent.id);
+  const meta = readSessionsMeta(agent);
+  if (meta) pruneSessions(own, meta);
+  const sessions = getSessionFiles(meta);
+  if (!sessions.length) { log(`⚠️ No sessions for agent ${agent.id}`); return; }
+
+  for (const session of sessions) {
+    const rule = sessionRule(session.key);
+    if (rule?.action === 'exclude') continue;
+    const containerTag = rule?.containerTag || agent.containerTag;
+
+    let ss = own.sessions[session.key];
+    if (!ss || (ss.sessionId && ss.sessionId !== session.id)) {
+      if (ss) log(`🆕 ${session.key}: new session ${session.id}, starting from line 1`);
+      ss = { sessionId: session.id, lastLine: 0, batchCount: 0 };
+    }
+    ss.sessionId = session.id;
+    ss.batches = ss.batches || [];
+
+    const stat = fs.statSync(session.file);
+    const rewrite = detectRewrite(ss, session.file, stat);
+    if (rewrite) {
+      // Re-sync from the top under a new generation so customIds of the old
+      // content are never overwritten with different lines
+      const old = ss.batches.map(b => batchCustomId(ss.sessionId, b.start, b.end, ss.generation, b.part));
+      ss.superseded = [...(ss.superseded || []), ...old];
+      ss.generation = (ss.generation || 0) + 1;
+      log(`♻️ ${session.key}: ${rewrite}, re-syncing as generation ${ss.generation}`);
+      ss.lastLine = 0;
+      ss.byteOffset = 0;
+      ss.batches = [];
+    }
+    if (ss.superseded?.length) {
+      await deleteSuperseded(client, session.key, ss, containerTag);
+      own.sessions[session.key] = ss;
+      saveState(state);
+    }
+    // State written before byte offsets existed has only lastLine: count lines once
+    const read = await readMessages(session.file, ss.lastLine, ss.byteOffset || 0, session.key);
+    const { totalLines, endOffset } = read;
+    const forgotten = new Set(ss.forgotten || []);
+    const messages = forgotten.size ? read.messages.filter(m => !forgotten.has(messageFingerprint(m))) : read.messages;
+
+    const commit = (lastLine, byteOffset) => {
+      ss.lastLine = lastLine;
+      ss.byteOffset = byteOffset;
+      ss.identity = fileIdentity(session.file, stat, byteOffset);
+      own.sessions[session.key] = ss;
+    };
+
+    // Nothing uploadable after the cursor (excluded messages, tool output, forgotten messages): skip those lines for good
+    if (!messages.length) {
+      if (totalLines > ss.lastLine || rewrite || !ss.identity) {
+        commit(totalLines, endOffset);
+        saveState(state);
+      }
+      continue;
+    }
+
+    const idleMs = Date.now() - stat.mtimeMs;
+    const idle = idleMs >= CONFIG.IDLE_FLUSH_MS;
+    const pending = messages.map(m => {
+      const redacted = redactContent(m.text);
+      return { ...m, text: redacted.text, findings: redacted.findings };
+    });
+    const chunks = planChunks(pending, idle);
+
+    if (!chunks.length) {
+      log(`📊 ${session.key}: ${messages.length} new (need ${CONFIG.MIN_NEW_MESSAGES})`);
+      if (rewrite) { commit(0, 0); saveState(state); }
+      continue;
+    }
+    if (idle && messages.length < CONFIG.MIN_NEW_MESSAGES) {
+      log(`💤 ${session.key}: idle ${Math.round(idleMs / 60000)} min, flushing ${messages.length} msgs`);
+    }
+
+    // Batches upload in parallel (see runInOrder) but commit in order
+    const firstBatch = ss.batchCount + 1;
+    const upload = async (chunk, i) => {
+      const batchIndex = firstBatch + i;
+      const { startLine, endLine, part, parts } = chunk;
+      const batch = chunk.units.map(u => u.message);
+      const content = chunk.units.map(formatUnit).join('\n\n');
+      const findings = chunk.units.filter(u => u.part === 1).flatMap(u => u.message.findings);
+      if (findings.length) log(`🔒 Redacted ${summarizeFindings(findings)} in lines ${startLine}-${endLine}`);
+
+      const firstTs = batch[0].timestamp;
+      const sessionDate = firstTs
+        ? new Date(firstTs).toISOString().split('T')[0]
+        : new Date().toISOString().split('T')[0];
+
+      const customId = batchCustomId(session.id, startLine, endLine, ss.generation, part);
+      const position = parts ? ` part ${part}/${parts}` : '';
+      log(`🔄 Batch #${batchIndex} ${session.key} lines ${startLine}-${endLine}${position} (${batch.length} msgs)...`);
+
+      const payload = {
+        content, containerTag, customId,
+        metadata: {
+          type: 'conversation', agent_id: agent.id, session_key: session.key,
+          session_id: session.id, batch_id: String(batchIndex),
+          session_date: sessionDate, message_count: String(batch.length),
+          line_start: String(startLine), line_end: String(endLine),
+          chunk_boundary: chunk.boundary,
+          ...(parts ? { chunk_part: String(part), chunk_parts: String(parts) } : {}),
+          ...toolMetadata(batch)
+        }
+      };
+      const options = { label: `Batch #${batchIndex} ${session.key}`, agent: agent.id };
+      return { status: await deliver(client, payload, options), payload, options };
+    };
+
+    const inOrder = createUploadOrder();
+    // Queued and dead-lettered batches are the outbox's business now: the cursor moves on
+    const record = (upload, chunk, i) => {
+      const status = inOrder(upload);
+      const batchIndex = firstBatch + i;
+      const { startLine, endLine, part, parts } = chunk;
+      ss.batchCount = batchIndex;
+      ss.batches.push({ batch: batchIndex, start: startLine, end: endLine, ...(parts ? { part } : {}) });
+      if (chunk.commit) commit(chunk.commit.line, chunk.commit.offset);
+      own.sessions[session.key] = ss;
+      if (status !== 'dead') own.totalSynced += chunk.messageCount;
+      saveState(state);
+      if (status === 'sent') log(`✅ Batch #${batchIndex} (${chunk.units.length} msgs)`);
+    };
+
+    try {
+      await runInOrder(chunks, upload, record, { concurrency: CONFIG.UPLOAD_CONCURRENCY });
+    } catch (err) {
+      // Only the outbox itself failing ends up here: the cursor stays before the first unrecorded batch
+      log(`❌ Outbox error: ${scrubSensitiveData(err.message)}`);
+      saveState(state);
+      return;
+    }
+
+    // Everything pending went out: also skip trailing non-message lines
+    if (ss.lastLine === messages[messages.length - 1].lineNum) commit(totalLines, endOffset);
+    own.lastSyncTime = Date.now();
+    saveState(state);
+  }
+}
+
+module.exports = {
+  loadState, saveState, agentState, readSessionsMeta, getSessionFiles, parseMessageLine, readMessages, fileIdentity, detectRewrite,
+  pruneSessions, batchCustomId, messageFingerprint, syncSessions,
+};
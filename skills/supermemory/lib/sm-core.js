@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Supermemory skill core library.
+ *
+ * Single entry point shared by sm-daemon.js, sm-recall.js, sm-sync-files.js, sm-forget.js,
+ * sm-archive.js, sm-outbox.js and sm-doctor.js, and the programmatic API for embedding the skill in other Node tooling:
+ *
+ *   const sm = require('./lib/sm-core');
+ *   const client = sm.createClient();
+ *   const state = sm.loadState();
+ *   await sm.syncSessions(client, state);
+ *   const { profile, search } = await sm.recall(client, 'query');
+ *   await sm.syncFiles(client);
+ */
+
+const config = require('./config');
+const logging = require('./log');
+const atomic = require('./atomic');
+const api = require('./api');
+const text = require('./text');
+const markdown = require('./markdown');
+const backends = require('./backends');
+const agents = require('./agents');
+const redact = require('./redact');
+const tools = require('./tools');
+const chunker = require('./chunker');
+const rules = require('./rules');
+const outbox = require('./outbox');
+const pool = require('./pool');
+const sessions = require('./sessions');
+const cache = require('./cache');
+const offline = require('./offline');
+const recall = require('./recall');
+const context = require('./context');
+const expand = require('./expand');
+const output = require('./output');
+const cli = require('./cli');
+const sources = require('./sources');
+const files = require('./files');
+const forget = require('./forget');
+const archive = require('./archive');
+const doctor = require('./doctor');
+const watch = require('./watch');
+
+module.exports = {
+  ...config,
+  ...logging,
+  ...atomic,
+  ...api,
+  ...text,
+  ...markdown,
+  ...backends,
+  ...agents,
+  ...redact,
+  ...tools,
+  ...chunker,
+  ...rules,
+  ...outbox,
+  ...pool,
+  ...sessions,
+  ...cache,
+  ...offline,
+  ...recall,
+  ...context,
+  ...expand,
+  ...output,
+  ...cli,
+  ...sources,
+  ...files,
+  ...forget,
+  ...archive,
+  ...doctor,
+  ...watch,
+};
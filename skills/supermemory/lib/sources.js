@@ -0,0 +1,210 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+
+// ============================================================================
+// FILE SYNC SOURCES
+// ============================================================================
+//
+// Extra workspace files to sync besides MEMORY.md and daily notes, from
+// FILES_CONFIG (JSON):
+//
+//   { "sources": [{
+//       "name": "decisions",
+//       "include": ["projects/*/decisions/**/*.md"],
+//       "exclude": ["**/draft-*"],
+//       "type": "decision_log",
+//       "customId": "decision-{name}",
+//       "split": "sections",
+//       "metadata": { "team": "core" }
+//   }] }
+//
+// Globs are matched against paths relative to WORKSPACE: `*` and `?` stay
+// within one directory, `**` spans directories, `{a,b}` lists alternatives.
+
+const SUPPORTED_EXTENSIONS = ['.md', '.txt', '.json'];
+const SOURCE_SPLITS = ['file', 'sections'];
+const DEFAULT_CUSTOM_ID = '{source}-{path}';
+const CUSTOM_ID_PLACEHOLDERS = ['source', 'path', 'name', 'dir', 'date', 'hash'];
+// Never descended into while looking for source files
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globSource(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i++; }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      re += `(?:${glob.slice(i + 1, end).split(',').map(globSource).join('|')})`;
+      i = end;
+    } else {
+      re += escapeRegExp(c);
+    }
+  }
+  return re;
+}
+
+/**
+ * Compile a glob into a regular expression over relative paths
+ * @param {string} glob - e.g. "notes/**\/*.{md,txt}"
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  return new RegExp(`^${globSource(glob.replace(/^\.\//, ''))}$`);
+}
+
+/**
+ * Directory a glob can only match below (its part before the first wildcard)
+ * @param {string} glob
+ * @returns {string} relative directory ('' for the workspace root)
+ */
+function globBase(glob) {
+  const parts = glob.replace(/^\.\//, '').split('/');
+  const fixed = [];
+  for (const part of parts.slice(0, -1)) {
+    if (/[*?{]/.test(part)) break;
+    fixed.push(part);
+  }
+  return fixed.join('/');
+}
+
+function listOf(value) {
+  return value === undefined ? [] : [].concat(value);
+}
+
+/**
+ * Load and validate FILES_CONFIG
+ * @param {string} [configPath]
+ * @returns {Array<Object>} normalized sources ([] when the file does not exist)
+ * @throws {Error} naming the file and the offending field
+ */
+function loadSources(configPath = CONFIG.FILES_CONFIG) {
+  if (!configPath || !fs.existsSync(configPath)) return [];
+  const fail = message => { throw new Error(`Sources config ${configPath}: ${message}`); };
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    fail(err.message);
+  }
+  if (!raw || !Array.isArray(raw.sources)) fail('"sources" must be an array');
+
+  const names = new Set();
+  return raw.sources.map((source, i) => {
+    const at = `sources[${i}]`;
+    if (!source || typeof source !== 'object') fail(`${at} must be an object`);
+    if (typeof source.name !== 'string' || !/^[a-z0-9_-]+$/i.test(source.name)) {
+      fail(`${at}.name must use letters, digits, "-" and "_" only`);
+    }
+    if (names.has(source.name)) fail(`${at}.name "${source.name}" is used twice`);
+    names.add(source.name);
+
+    const include = listOf(source.include);
+    const exclude = listOf(source.exclude);
+    if (!include.length || include.some(g => typeof g !== 'string' || !g)) fail(`${at}.include must be a glob or a list of globs`);
+    if (exclude.some(g => typeof g !== 'string' || !g)) fail(`${at}.exclude must be a glob or a list of globs`);
+    if (include.some(g => g.startsWith('/') || g.split('/').includes('..'))) fail(`${at}.include must stay inside the workspace`);
+
+    const type = source.type ?? source.name;
+    if (typeof type !== 'string' || !type) fail(`${at}.type must be a string`);
+    const split = source.split ?? 'file';
+    if (!SOURCE_SPLITS.includes(split)) fail(`${at}.split must be one of ${SOURCE_SPLITS.join(', ')}`);
+
+    const customId = source.customId ?? DEFAULT_CUSTOM_ID;
+    if (typeof customId !== 'string' || !customId) fail(`${at}.customId must be a template string`);
+    for (const [, name] of customId.matchAll(/\{(\w+)\}/g)) {
+      if (!CUSTOM_ID_PLACEHOLDERS.includes(name)) {
+        fail(`${at}.customId: unknown placeholder {${name}} (expected ${CUSTOM_ID_PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`);
+      }
+    }
+
+    const metadata = source.metadata ?? {};
+    if (typeof metadata !== 'object' || Array.isArray(metadata)
+      || Object.values(metadata).some(v => !['string', 'number', 'boolean'].includes(typeof v))) {
+      fail(`${at}.metadata must map keys to strings, numbers or booleans`);
+    }
+
+    return {
+      name: source.name, type, split, customId, metadata,
+      frontMatter: source.frontMatter !== false,
+      include: include.map(glob => ({ glob, regex: globToRegExp(glob), base: globBase(glob) })),
+      exclude: exclude.map(globToRegExp),
+    };
+  });
+}
+
+function walk(root, dir, out) {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(root, dir), { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== 'ENOENT') log(`⚠️ Cannot read ${dir || root}: ${scrubSensitiveData(err.message)}`);
+    return;
+  }
+  for (const entry of entries) {
+    const rel = dir ? `${dir}/${entry.name}` : entry.name;
+    // Symlinked directories are not followed (no cycles)
+    if (entry.isDirectory() && !SKIP_DIRS.has(entry.name)) walk(root, rel, out);
+    else if (entry.isFile()) out.add(rel);
+  }
+}
+
+/**
+ * Files matched by the sources, each assigned to the first source that matches it
+ * @param {Array<Object>} sources - from loadSources
+ * @param {Set<string>} [taken] - relative paths synced elsewhere (MEMORY.md, daily notes)
+ * @returns {Array<{source: Object, file: string}>} in source order, then path order
+ */
+function sourceFiles(sources, taken = new Set()) {
+  const matched = [];
+  const seen = new Set(taken);
+  const unsupported = new Set();
+
+  for (const source of sources) {
+    const candidates = new Set();
+    for (const base of new Set(source.include.map(i => i.base))) walk(CONFIG.WORKSPACE, base, candidates);
+    for (const file of [...candidates].sort()) {
+      if (seen.has(file) || !source.include.some(i => i.regex.test(file)) || source.exclude.some(re => re.test(file))) continue;
+      if (!SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        unsupported.add(file);
+        continue;
+      }
+      seen.add(file);
+      matched.push({ source, file });
+    }
+  }
+  if (unsupported.size) {
+    log(`⚠️ Skipping ${unsupported.size} file(s) with unsupported extensions (${SUPPORTED_EXTENSIONS.join(', ')} only)`);
+  }
+  return matched;
+}
+
+/**
+ * Document types of the configured sources (for `--type`); a broken config
+ * only means no extra types here, sync reports the error itself
+ * @returns {string[]}
+ */
+function sourceTypes() {
+  try {
+    return [...new Set(loadSources().map(s => s.type))];
+  } catch {
+    return [];
+  }
+}
+
+module.exports = { SUPPORTED_EXTENSIONS, globToRegExp, loadSources, sourceFiles, sourceTypes };
@@ -0,0 +1,36 @@
+'use strict';
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+/**
+ * Split text into lowercase terms (unicode-aware, so Cyrillic works)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(t => t.length > 1);
+}
+
+// Russian/Ukrainian letters for ASCII identifiers
+const CYRILLIC = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k',
+  л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts',
+  ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya', і: 'i', ї: 'yi', є: 'ye', ґ: 'g',
+};
+
+/**
+ * Lowercase ASCII slug: Cyrillic transliterated, accents dropped, anything
+ * else collapsed into single hyphens ("Финансы и банки" → "finansy-i-banki")
+ * @param {string} text
+ * @returns {string} may be '' when nothing transliterates (emoji, CJK)
+ */
+function slugify(text) {
+  return [...String(text).toLowerCase()].map(c => CYRILLIC[c] ?? c).join('')
+    .normalize('NFKD').replace(/\p{M}/gu, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+module.exports = { tokenize, slugify };
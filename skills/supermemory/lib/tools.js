@@ -0,0 +1,85 @@
+'use strict';
+
+const { CONFIG } = require('./config');
+
+// ============================================================================
+// TOOL CALLS AND RESULTS
+// ============================================================================
+//
+// Opt-in (SM_INCLUDE_TOOLS): tool invocations and their results are kept as
+// compact one-line summaries, so recall can answer "what command did we run"
+// or "what did the API return". Both OpenClaw's own records (`toolCall`
+// parts, `toolResult` messages) and Anthropic-style `tool_use`/`tool_result`
+// parts are understood.
+
+/**
+ * Whether a tool passes the allow/deny lists (deny wins)
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isToolAllowed(name) {
+  if (CONFIG.TOOLS_DENY.includes(name)) return false;
+  return !CONFIG.TOOLS_ALLOW.length || CONFIG.TOOLS_ALLOW.includes(name);
+}
+
+/**
+ * Cut text to a size cap, noting how much was dropped
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function capText(text, max) {
+  const oneLine = text.replace(/\s+/g, ' ').trim();
+  if (oneLine.length <= max) return oneLine;
+  return `${oneLine.substring(0, max)}… [+${oneLine.length - max} chars]`;
+}
+
+/**
+ * Text of tool result content (string or array of parts; images are skipped)
+ * @param {*} content
+ * @returns {string}
+ */
+function resultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(c => (typeof c === 'string' ? c : c.type === 'text' ? c.text : `[${c.type}]`)).join('\n');
+  }
+  return content == null ? '' : JSON.stringify(content);
+}
+
+/**
+ * Is this content part a tool invocation?
+ * @param {Object} part
+ * @returns {boolean}
+ */
+function isToolCallPart(part) {
+  return part.type === 'toolCall' || part.type === 'tool_use';
+}
+
+/**
+ * Summarize a tool invocation part: `[tool exec] {"command":"ls"}`
+ * @param {Object} part - toolCall / tool_use part
+ * @returns {{name: string, id: string, text: string}|null} null if the tool is filtered out
+ */
+function formatToolCall(part) {
+  const name = part.name || 'unknown';
+  if (!isToolAllowed(name)) return null;
+  const args = part.arguments ?? part.input ?? {};
+  const argsText = typeof args === 'string' ? args : JSON.stringify(args);
+  return { name, id: part.id, text: `[tool ${name}] ${capText(argsText, CONFIG.TOOL_INPUT_MAX_CHARS)}` };
+}
+
+/**
+ * Summarize a tool result: `[tool result exec] ...` / `[tool error exec] ...`
+ * @param {string} name - tool name
+ * @param {*} content - result content
+ * @param {boolean} isError
+ * @returns {string|null} null if the tool is filtered out
+ */
+function formatToolResult(name, content, isError) {
+  if (!isToolAllowed(name)) return null;
+  const text = capText(resultText(content), CONFIG.TOOL_RESULT_MAX_CHARS) || '(empty)';
+  return `[tool ${isError ? 'error' : 'result'} ${name}] ${text}`;
+}
+
+module.exports = { isToolAllowed, capText, isToolCallPart, formatToolCall, formatToolResult };
@@ -0,0 +1,126 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./config');
+const { scrubSensitiveData, log } = require('./log');
+const { listAgents } = require('./agents');
+
+// ============================================================================
+// CHANGE DETECTION
+// ============================================================================
+//
+// The daemon sleeps until a session file or sessions.json changes (fs.watch),
+// debounced so a burst of appends results in a single sync. CHECK_INTERVAL_MS
+// stays as the polling fallback: it bounds the wait when fs.watch is
+// unavailable or misses events (network filesystems, some containers).
+
+/**
+ * Debounced wake-up signal for the daemon loop
+ * @param {number} debounceMs - quiet period after the last notify() before waking
+ * @returns {{notify: Function, wait: (timeoutMs: number) => Promise<'change'|'poll'>, close: Function}}
+ */
+function createWakeup(debounceMs) {
+  let timer = null;
+  let pending = false;
+  let wake = null;
+
+  function notify() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      pending = true;
+      if (wake) wake('change');
+    }, debounceMs);
+  }
+
+  function wait(timeoutMs) {
+    // A change that arrived while the previous sync was running counts
+    if (pending) {
+      pending = false;
+      return Promise.resolve('change');
+    }
+    return new Promise(resolve => {
+      const timeout = setTimeout(() => done('poll'), timeoutMs);
+      function done(reason) {
+        clearTimeout(timeout);
+        wake = null;
+        pending = false;
+        resolve(reason);
+      }
+      wake = done;
+    });
+  }
+
+  function close() {
+    clearTimeout(timer);
+    if (wake) wake('poll');
+  }
+
+  return { notify, wait, close };
+}
+
+/**
+ * Watch directories, reporting changes whose file name passes `relevant`.
+ * Directories are watched rather than files so atomic replaces
+ * (write to temp + rename) keep being noticed.
+ * @param {string[]} dirs
+ * @param {(dir: string, name: string) => boolean} relevant
+ * @param {Function} onChange - called with the changed file name
+ * @returns {{active: boolean, close: Function}} active is false if nothing could be watched
+ */
+function watchDirectories(dirs, relevant, onChange) {
+  const watchers = [];
+
+  for (const dir of new Set(dirs)) {
+    try {
+      const watcher = fs.watch(dir, (event, filename) => {
+        const name = filename ? String(filename) : '';
+        // No filename (some platforms): assume it may be relevant
+        if (!name || relevant(dir, name)) onChange(name);
+      });
+      watcher.on('error', err => log(`⚠️ Watch error on ${dir}: ${scrubSensitiveData(err.message)}`));
+      watchers.push(watcher);
+    } catch (err) {
+      log(`⚠️ Cannot watch ${dir}: ${scrubSensitiveData(err.message)}`);
+    }
+  }
+
+  return {
+    active: watchers.length > 0,
+    close: () => watchers.forEach(w => w.close()),
+  };
+}
+
+/**
+ * Watch the sessions dir of every agent for *.jsonl changes and its
+ * sessions.json for updates
+ * @param {Function} onChange - called with the changed file name
+ * @param {import('./agents').Agent[]} [agents] - all agents to sync by default
+ * @returns {{active: boolean, close: Function}} active is false if nothing could be watched
+ */
+function watchSessionFiles(onChange, agents = listAgents()) {
+  const metas = new Set(agents.map(a => a.sessionsMeta));
+  return watchDirectories(
+    agents.flatMap(a => [a.sessionsDir, path.dirname(a.sessionsMeta)]),
+    (dir, name) => name.endsWith('.jsonl') || metas.has(path.join(dir, name)),
+    onChange
+  );
+}
+
+/**
+ * Watch MEMORY.md and daily notes (memory/YYYY-MM-DD.md) in WORKSPACE.
+ * State and cache files living next to the notes are ignored.
+ * @param {Function} onChange - called with the changed file name
+ * @returns {{active: boolean, close: Function}} active is false if nothing could be watched
+ */
+function watchMemoryFiles(onChange) {
+  const memoryDir = path.join(CONFIG.WORKSPACE, 'memory');
+  return watchDirectories(
+    [CONFIG.WORKSPACE, memoryDir],
+    (dir, name) => (dir === memoryDir ? /^\d{4}-\d{2}-\d{2}\.md$/.test(name) : name === 'MEMORY.md'),
+    onChange
+  );
+}
+
+module.exports = { createWakeup, watchSessionFiles, watchMemoryFiles };
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { finished } = require('stream/promises');
+const {
+  CONFIG, scrubSensitiveData, BACKENDS, createClient, CONFLICT_MODES, exportArchive, importArchive, assertValidConfig,
+} = require('../lib/sm-core');
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node sm-archive.js export [--output FILE] [--tag TAG] [--backend B]');
+  console.log('  node sm-archive.js import FILE [--tag TAG] [--backend B] [--on-conflict MODE] [--dry-run]');
+  console.log('');
+  console.log('  --output FILE          write the archive here instead of stdout');
+  console.log('  --tag TAG              container to export from / import into (default SM_CONTAINER_TAG)');
+  console.log('  --backend B            supermemory | local (default SM_BACKEND); import --backend local seeds the offline store');
+  console.log(`  --on-conflict MODE     existing customIds: ${CONFLICT_MODES.join(' | ')} (default skip)`);
+  console.log('  --dry-run              import: only count what would change');
+}
+
+let cmd, file, options;
+try {
+  const { positionals, values } = parseArgs({
+    options: {
+      output: { type: 'string', short: 'o' },
+      tag: { type: 'string' },
+      backend: { type: 'string' },
+      'on-conflict': { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+    allowPositionals: true,
+    strict: true,
+  });
+  if (values.help) {
+    printUsage();
+    process.exit(0);
+  }
+  [cmd, file] = positionals;
+  if (cmd === 'export' && positionals.length > 1) throw new Error('export takes no file argument (use --output)');
+  if (cmd === 'import' && positionals.length !== 2) throw new Error('import needs exactly one archive file');
+  if (cmd !== 'export' && cmd !== 'import') throw new Error('expected a command: export or import');
+  if (cmd === 'export' && (values['on-conflict'] || values['dry-run'])) throw new Error('--on-conflict and --dry-run apply to import');
+  if (cmd === 'import' && values.output) throw new Error('--output applies to export');
+  if (values['on-conflict'] && !CONFLICT_MODES.includes(values['on-conflict'])) {
+    throw new Error(`--on-conflict must be one of ${CONFLICT_MODES.join(', ')} (got "${values['on-conflict']}")`);
+  }
+  if (values.backend !== undefined && !Object.hasOwn(BACKENDS, values.backend)) {
+    throw new Error(`--backend must be one of ${Object.keys(BACKENDS).join(', ')} (got "${values.backend}")`);
+  }
+  if (values.tag !== undefined && values.tag.trim().length < 2) throw new Error('--tag must be at least 2 characters');
+  options = {
+    output: values.output,
+    containerTag: values.tag?.trim() || CONFIG.CONTAINER_TAG,
+    backend: values.backend,
+    onConflict: values['on-conflict'] || 'skip',
+    dryRun: Boolean(values['dry-run']),
+  };
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  if (!cmd || (cmd !== 'export' && cmd !== 'import')) printUsage();
+  process.exit(2);
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+try {
+  assertValidConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+let client;
+try {
+  client = createClient(options.backend ? { backend: options.backend } : {});
+} catch (err) {
+  console.error('❌ Auth error:', scrubSensitiveData(err.message));
+  process.exit(1);
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+async function exportCommand() {
+  if (!options.output) {
+    const { documents, withoutContent } = await exportArchive(client, process.stdout, options);
+    console.error(`✨ Exported ${documents} documents from ${options.containerTag}${withoutContent ? `, ${withoutContent} without content` : ''}`);
+    return;
+  }
+  // Written next to the target and renamed: an interrupted export never leaves a half archive under the real name
+  const tmp = `${options.output}.${process.pid}.tmp`;
+  const out = fs.createWriteStream(tmp);
+  try {
+    const { documents, withoutContent } = await exportArchive(client, out, options);
+    out.end();
+    await finished(out);
+    fs.renameSync(tmp, options.output);
+    console.log(`✨ Exported ${documents} documents from ${options.containerTag} to ${options.output}${withoutContent ? `, ${withoutContent} without content` : ''}`);
+  } catch (err) {
+    out.destroy();
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+async function importCommand() {
+  const { header, added, overwritten, skipped, empty, failed } = await importArchive(client, file, options);
+  const verb = options.dryRun ? 'Would import' : 'Imported';
+  const extra = [
+    skipped && `${skipped} skipped (already there)`, empty && `${empty} without content`, failed && `${failed} failed`,
+  ];
+  console.log(`✨ ${verb} ${added} new and ${overwritten} overwritten documents from ${header.containerTag}`
+    + ` into ${options.containerTag} (${client.name})${extra.filter(Boolean).map(e => `, ${e}`).join('')}`);
+  if (failed) process.exitCode = 1;
+}
+
+(cmd === 'export' ? exportCommand() : importCommand()).catch(err => {
+  console.error('❌', scrubSensitiveData(err.message));
+  process.exit(1);
+});
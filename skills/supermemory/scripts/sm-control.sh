@@ -174,8 +174,20 @@ case "$1" in
     fi
     ;;
     
+  outbox)
+    # Queued uploads and dead letters: status | list | show | retry | drop
+    shift
+    exec node "$(dirname "$DAEMON")/sm-outbox.js" "$@"
+    ;;
+    
+  doctor)
+    # Pass/fail report of config, auth, paths, state files and API access
+    shift
+    exec node "$(dirname "$DAEMON")/sm-doctor.js" "$@"
+    ;;
+
   *)
-    echo "Usage: $0 {start|stop|restart|status|logs|check}"
+    echo "Usage: $0 {start|stop|restart|status|logs|check|outbox|doctor}"
     echo ""
     echo "Commands:"
     echo "  start   - Start the daemon (with stale PID cleanup)"
@@ -184,6 +196,8 @@ case "$1" in
     echo "  status  - Show daemon status and state"
     echo "  logs    - Follow log output"
     echo "  check   - Silent check for heartbeat (exits 0 if running)"
+    echo "  outbox  - Queued uploads and dead letters (outbox --help for commands)"
+    echo "  doctor  - Check the setup and print a pass/fail report (--offline, --json)"
     exit 1
     ;;
 esac
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+'use strict';
+
+const { parseArgs } = require('util');
+const { scrubSensitiveData, setLogger, runDoctor } = require('../lib/sm-core');
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+function printUsage() {
+  console.log('Usage: node sm-doctor.js [--offline] [--json]');
+  console.log('');
+  console.log('Checks configuration, container tags, auth profiles, paths, sessions.json,');
+  console.log('state and outbox files, rule files and the API (or the local store).');
+  console.log('  --offline   skip the API call');
+  console.log('  --json      print the checks as JSON');
+  console.log('Exits 1 when a check failed; warnings do not fail.');
+}
+
+let offline, json;
+try {
+  const { values } = parseArgs({
+    options: {
+      offline: { type: 'boolean' },
+      json: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+    strict: true,
+  });
+  if (values.help) {
+    printUsage();
+    process.exit(0);
+  }
+  offline = Boolean(values.offline);
+  json = Boolean(values.json);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  printUsage();
+  process.exit(2);
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+const ICONS = { pass: '✅', warn: '⚠️', fail: '❌', skip: '⏭️' };
+
+async function main() {
+  // Retry logs of the API check would only repeat what the report says
+  setLogger(() => {});
+  const { ok, checks } = await runDoctor({ offline });
+  if (json) {
+    console.log(JSON.stringify({ ok, checks }, null, 2));
+  } else {
+    console.log('🩺 Supermemory doctor\n');
+    for (const { name, status, detail } of checks) console.log(`${ICONS[status]} ${name}: ${detail}`);
+    const count = status => checks.filter(c => c.status === status).length;
+    console.log(`\n${count('pass')} passed, ${count('warn')} warning(s), ${count('fail')} failed`);
+  }
+  if (!ok) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('❌', scrubSensitiveData(err.message));
+  process.exit(1);
+});
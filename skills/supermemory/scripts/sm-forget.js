@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+'use strict';
+
+const readline = require('readline/promises');
+const {
+  CONFIG, scrubSensitiveData, createClient, FORGET_FLAGS, parseCommandLine, parseForgetOptions,
+  findForgetTargets, describeTarget, forgetDocuments, assertValidConfig,
+} = require('../lib/sm-core');
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+function printUsage() {
+  console.log('Usage: sm-forget.js [selectors] [--dry-run] [--yes]');
+  console.log('');
+  console.log('Deletes synced documents from the backend and records them in the sync');
+  console.log('state / file manifest so the daemon does not upload them again.');
+  console.log('');
+  console.log('Selectors (--id is always taken, the others narrow each other down):');
+  console.log('  --id CUSTOM_ID         this document (repeatable)');
+  console.log('  --session KEY          batches of this session (session_key or session_id)');
+  console.log('  --lines A-B            with --session: batches overlapping these lines');
+  console.log('  --since YYYY-MM-DD     documents dated on/after (session_date / date)');
+  console.log('  --until YYYY-MM-DD     documents dated on/before');
+  console.log('  --type T               conversation | long_term_memory | daily_memory | source type');
+  console.log('  --match "query"        search hits instead of every document');
+  console.log('  --limit N              hits of --match to consider (default 10)');
+  console.log('  --threshold X          minimum similarity of --match hits (default 0.4)');
+  console.log('');
+  console.log('  --dry-run              only show what would be deleted');
+  console.log('  -y, --yes              do not ask for confirmation');
+}
+
+let options;
+try {
+  const { positionals, values } = parseCommandLine(process.argv.slice(2), FORGET_FLAGS);
+  if (values.help) {
+    printUsage();
+    process.exit(0);
+  }
+  if (positionals.length) throw new Error(`unexpected argument "${positionals[0]}" (quote the query of --match)`);
+  options = parseForgetOptions(values);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(2);
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+try {
+  assertValidConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+let client;
+try {
+  client = createClient();
+} catch (err) {
+  console.error('❌ Auth error:', scrubSensitiveData(err.message));
+  process.exit(1);
+}
+
+// ============================================================================
+// FORGET
+// ============================================================================
+
+async function confirm(targets) {
+  const containers = [...new Set(targets.map(t => t.containerTag || CONFIG.CONTAINER_TAG))].join(', ');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`\nForget ${targets.length} document(s) in ${containers}? [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function main() {
+  const targets = await findForgetTargets(client, options);
+  if (!targets.length) {
+    console.log('Nothing matches, nothing to forget');
+    return;
+  }
+
+  console.log(`🗑️ ${targets.length} document(s) to forget:`);
+  targets.forEach(t => console.log(`  - ${describeTarget(t)}`));
+  if (options.dryRun) return;
+
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      console.error('\n❌ Not a terminal: pass --yes to delete without confirmation');
+      process.exit(1);
+    }
+    if (!(await confirm(targets))) {
+      console.log('Cancelled');
+      return;
+    }
+  }
+
+  const { deleted, missing, failed } = await forgetDocuments(client, targets);
+  const extra = [missing && `${missing} already gone`, failed && `${failed} failed`];
+  console.log(`\n✨ Forgot ${deleted} documents${extra.filter(Boolean).map(e => `, ${e}`).join('')}`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('❌', scrubSensitiveData(err.message));
+  process.exit(1);
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+'use strict';
+
+const { parseArgs } = require('util');
+const {
+  CONFIG, scrubSensitiveData, createClient, getAgent, createAgentClient, loadOutbox, loadDeadLetters, breakerOpen,
+  flushOutbox, retryDeadLetters, dropDeadLetters, assertValidConfig,
+} = require('../lib/sm-core');
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+const COMMANDS = ['status', 'list', 'show', 'retry', 'drop'];
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node sm-outbox.js status                      queued uploads, circuit breaker, dead letters');
+  console.log('  node sm-outbox.js list                        every queued upload and dead letter');
+  console.log('  node sm-outbox.js show CUSTOM_ID              one of them in full');
+  console.log('  node sm-outbox.js retry CUSTOM_ID... | --all  queue dead letters again and replay now');
+  console.log('  node sm-outbox.js drop CUSTOM_ID... | --all   delete dead letters for good');
+  console.log('');
+  console.log(`Outbox: ${CONFIG.OUTBOX_PATH}`);
+  console.log(`Dead letters: ${CONFIG.DEAD_LETTERS_PATH}`);
+}
+
+let cmd, ids, all;
+try {
+  const { positionals, values } = parseArgs({
+    options: {
+      all: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+    allowPositionals: true,
+    strict: true,
+  });
+  if (values.help) {
+    printUsage();
+    process.exit(0);
+  }
+  [cmd = 'status', ...ids] = positionals;
+  all = Boolean(values.all);
+  if (!COMMANDS.includes(cmd)) throw new Error(`unknown command "${cmd}" (expected ${COMMANDS.join(', ')})`);
+  const takesIds = cmd === 'retry' || cmd === 'drop';
+  if (all && !takesIds) throw new Error('--all applies to retry and drop');
+  if (takesIds && all === (ids.length > 0)) throw new Error(`${cmd} needs either customIds or --all`);
+  if (cmd === 'show' && ids.length !== 1) throw new Error('show needs exactly one customId');
+  if (!takesIds && cmd !== 'show' && ids.length) throw new Error(`${cmd} takes no arguments`);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  printUsage();
+  process.exit(2);
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+function describe(item) {
+  const when = item.failedAt || item.queuedAt;
+  const why = item.error || item.lastError;
+  return `${item.customId} → ${item.containerTag} (${item.label}, ${when}${item.attempts ? `, ${item.attempts} attempt(s)` : ''})`
+    + `${why ? `\n      ${why}` : ''}`;
+}
+
+function status() {
+  const outbox = loadOutbox();
+  const { letters } = loadDeadLetters();
+  const oldest = outbox.pending[0];
+  console.log(`📮 Queued: ${outbox.pending.length}${oldest ? ` (oldest ${oldest.queuedAt})` : ''}`);
+  if (breakerOpen(outbox)) {
+    console.log(`🔌 Circuit open until ${new Date(outbox.breaker.openUntil).toISOString()} (${outbox.breaker.failures} failures in a row)`);
+  } else {
+    console.log(`🔌 Circuit closed${outbox.breaker.failures ? ` (${outbox.breaker.failures} failure(s) in a row)` : ''}`);
+  }
+  console.log(`☠️ Dead letters: ${letters.length}`);
+}
+
+function list() {
+  const { pending } = loadOutbox();
+  const { letters } = loadDeadLetters();
+  console.log(`📮 Queued (${pending.length}):`);
+  pending.forEach(item => console.log(`  - ${describe(item)}`));
+  console.log(`☠️ Dead letters (${letters.length}):`);
+  letters.forEach(letter => console.log(`  - HTTP ${letter.status} ${describe(letter)}`));
+}
+
+function show(customId) {
+  const found = [
+    ...loadOutbox().pending.map(item => ({ where: 'queued', ...item })),
+    ...loadDeadLetters().letters.map(letter => ({ where: 'dead', ...letter })),
+  ].filter(item => item.customId === customId);
+  if (!found.length) {
+    console.error(`❌ ${customId} is neither queued nor a dead letter`);
+    process.exit(1);
+  }
+  console.log(JSON.stringify(found.length === 1 ? found[0] : found, null, 2));
+}
+
+async function retry() {
+  const moved = retryDeadLetters(all ? 'all' : ids);
+  if (!moved) {
+    console.log('No matching dead letters');
+    return;
+  }
+  console.log(`📮 ${moved} dead letter(s) queued again`);
+  let client;
+  try {
+    client = createClient();
+  } catch (err) {
+    console.error('❌ Auth error:', scrubSensitiveData(err.message));
+    console.error('The daemon replays them on its next tick');
+    process.exit(1);
+  }
+  const { sent, dead, pending, paused } = await flushOutbox(client, {
+    clientFor: agentId => (agentId ? createAgentClient(getAgent(agentId), client) : client),
+  });
+  const extra = [dead && `${dead} rejected again`, pending && `${pending} still queued`, paused && 'circuit open'];
+  console.log(`\n✨ Replayed ${sent}${extra.filter(Boolean).map(e => `, ${e}`).join('')}`);
+  if (dead || pending) process.exitCode = 1;
+}
+
+function drop() {
+  const dropped = dropDeadLetters(all ? 'all' : ids);
+  console.log(dropped ? `🗑️ Dropped ${dropped} dead letter(s)` : 'No matching dead letters');
+}
+
+async function main() {
+  assertValidConfig();
+  if (cmd === 'status') status();
+  else if (cmd === 'list') list();
+  else if (cmd === 'show') show(ids[0]);
+  else if (cmd === 'retry') await retry();
+  else drop();
+}
+
+main().catch(err => {
+  console.error('❌', scrubSensitiveData(err.message));
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  CONFIG, scrubSensitiveData, getRedactor, maskValue, loadState, MAIN_AGENT, listAgents, readSessionsMeta, getSessionFiles,
+  readMessages, sessionRule, loadSources, sourceFiles, dailyNotes, reservedFiles, EXIT_CODES, assertValidConfig,
+} = require('../lib/sm-core');
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+const COMMANDS = ['report', 'check'];
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node sm-redact.js report [--pending]   dry run: what would be redacted in sessions, memory and source files');
+  console.log('  node sm-redact.js check "text"          show the redacted form of a text');
+}
+
+let cmd, text, pending;
+try {
+  const { positionals, values } = parseArgs({
+    options: {
+      pending: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+    allowPositionals: true,
+    strict: true,
+  });
+  if (values.help) {
+    printUsage();
+    process.exit(0);
+  }
+  let rest;
+  [cmd, ...rest] = positionals;
+  pending = Boolean(values.pending);
+  if (!cmd) throw new Error(`expected a command: ${COMMANDS.join(' or ')}`);
+  if (!COMMANDS.includes(cmd)) throw new Error(`unknown command "${cmd}" (expected ${COMMANDS.join(', ')})`);
+  if (cmd === 'report' && rest.length) throw new Error('report takes no arguments');
+  if (cmd === 'check' && !rest.length) throw new Error('check needs the text to redact');
+  if (cmd === 'check' && pending) throw new Error('--pending applies to report');
+  text = rest.join(' ');
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  printUsage();
+  process.exit(EXIT_CODES.USAGE);
+}
+
+// ============================================================================
+// REPORT (dry run: nothing is uploaded or modified)
+// ============================================================================
+
+/**
+ * Collect findings of one text into the per-source report
+ * @param {Map} report - source -> findings
+ * @param {string} source - label (session key + line, or file name)
+ * @param {string} text
+ */
+function scan(report, source, text) {
+  const { findings } = getRedactor().redact(text);
+  if (findings.length) report.set(source, (report.get(source) || []).concat(findings));
+}
+
+async function report() {
+  getRedactor(); // fail early on an invalid config
+  const result = new Map();
+  const state = loadState();
+
+  for (const agent of listAgents()) {
+    for (const session of getSessionFiles(readSessionsMeta(agent))) {
+      // Excluded sessions are never uploaded
+      if (sessionRule(session.key)?.action === 'exclude') continue;
+      const ss = pending ? state.agents[agent.id]?.sessions[session.key] : null;
+      const { messages } = await readMessages(session.file, ss?.lastLine || 0, ss?.byteOffset || 0, session.key);
+      const source = agent.id === MAIN_AGENT ? session.key : `${agent.id}/${session.key}`;
+      for (const m of messages) scan(result, `${source}:${m.lineNum}`, m.text);
+    }
+  }
+
+  // The files sm-sync-files.js uploads: MEMORY.md, daily notes and the files of the sources
+  const files = [
+    ...(fs.existsSync(path.join(CONFIG.WORKSPACE, 'MEMORY.md')) ? ['MEMORY.md'] : []),
+    ...dailyNotes().sort(),
+    ...sourceFiles(loadSources(), reservedFiles()).map(({ file }) => file),
+  ];
+  for (const file of files) scan(result, file, fs.readFileSync(path.join(CONFIG.WORKSPACE, file), 'utf-8'));
+
+  const totals = {};
+  for (const findings of result.values()) {
+    for (const f of findings) totals[f.type] = (totals[f.type] || 0) + 1;
+  }
+
+  console.log(`=== REDACTION REPORT (${pending ? 'pending upload' : 'all content'}, dry run) ===`);
+  console.log(`Redaction on upload: ${CONFIG.REDACT ? 'enabled' : 'DISABLED (SM_REDACT)'}`);
+  if (!result.size) {
+    console.log('Nothing to redact.');
+    return;
+  }
+  for (const [source, findings] of result) {
+    console.log(`\n${source}`);
+    findings.forEach(f => console.log(`  - ${f.type}: ${maskValue(f.value)}`));
+  }
+  console.log('\nTotals:');
+  Object.entries(totals).forEach(([type, n]) => console.log(`  ${type}: ${n}`));
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  assertValidConfig();
+  if (cmd === 'report') {
+    await report();
+  } else {
+    const redacted = getRedactor().redact(text);
+    console.log(redacted.text);
+    redacted.findings.forEach(f => console.error(`  - ${f.type}: ${maskValue(f.value)}`));
+  }
+}
+
+main().catch(err => {
+  console.error('❌', scrubSensitiveData(err.message));
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, messageLine, writeSession, createFakeClient } = require('./helpers');
+
+/**
+ * Write a session of a non-main agent under AGENTS_ROOT and register it in its sessions.json
+ * @returns {string} session file path
+ */
+function writeAgentSession(agentId, key, texts, id = key.replace(/\W+/g, '-')) {
+  const dir = path.join(sm.CONFIG.AGENTS_ROOT, agentId, 'sessions');
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${id}.jsonl`);
+  fs.writeFileSync(file, texts.map((text, i) => messageLine(i % 2 ? 'assistant' : 'user', text)).join('\n') + '\n');
+  const metaFile = path.join(dir, 'sessions.json');
+  const meta = fs.existsSync(metaFile) ? JSON.parse(fs.readFileSync(metaFile, 'utf8')) : {};
+  meta[key] = { sessionFile: file, sessionId: id };
+  fs.writeFileSync(metaFile, JSON.stringify(meta));
+  return file;
+}
+
+test('agents are discovered under AGENTS_ROOT, main first', t => {
+  const dir = useTempConfig(t);
+  fs.mkdirSync(path.join(dir, 'agents', 'ops', 'sessions'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'agents', 'dev', 'sessions'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'agents', 'empty'), { recursive: true });
+
+  assert.deepEqual(sm.listAgents().map(a => a.id), ['dev', 'ops']);
+  writeSession(dir, 'agent:main:main', 2);
+  const agents = sm.listAgents();
+  assert.deepEqual(agents.map(a => a.id), ['main', 'dev', 'ops']);
+  assert.equal(agents[0].sessionsMeta, sm.CONFIG.SESSIONS_META);
+  assert.equal(agents[2].sessionsDir, path.join(dir, 'agents', 'ops', 'sessions'));
+  assert.equal(agents[2].authPath, path.join(dir, 'agents', 'ops', 'agent', 'auth-profiles.json'));
+
+  sm.configure({ AGENTS: ['ops'] });
+  assert.deepEqual(sm.listAgents().map(a => a.id), ['ops']);
+  sm.configure({ AGENTS: ['../etc'] });
+  assert.throws(() => sm.listAgents(), /Invalid agent id "\.\.\/etc"/);
+});
+
+test('AGENT_TAGS maps agents to their own or a shared container tag', t => {
+  useTempConfig(t);
+  assert.equal(sm.agentContainerTag('ops'), sm.CONFIG.CONTAINER_TAG);
+
+  sm.configure({ AGENT_TAGS: 'ops = team-ops, *=nn02-{agent}' });
+  assert.equal(sm.agentContainerTag('ops'), 'team-ops');
+  assert.equal(sm.agentContainerTag('dev'), 'nn02-dev');
+  sm.configure({ AGENT_TAGS: 'ops=team-ops' });
+  assert.equal(sm.agentContainerTag('dev'), sm.CONFIG.CONTAINER_TAG);
+
+  assert.throws(() => sm.parseAgentTags('ops:team-ops'), /SM_AGENT_TAGS: "ops:team-ops" must look like agent=tag/);
+  assert.throws(() => sm.parseAgentTags('ops=x'), /tag of "ops" must be at least 2 characters/);
+});
+
+test('each agent syncs into its container with agent_id and its own state', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, AGENT_TAGS: 'ops=team-ops' });
+  writeSession(dir, 'agent:main:main', 2, 's-main');
+  writeAgentSession('ops', 'agent:ops:main', ['деплой в пятницу', 'ок']);
+  const client = createFakeClient();
+  const state = sm.loadState();
+
+  for (const agent of sm.listAgents()) await sm.syncSessions(client, state, agent);
+
+  assert.deepEqual(client.calls.map(c => [c.customId, c.containerTag, c.metadata.agent_id]), [
+    ['session-s-main-lines-1-2', sm.CONFIG.CONTAINER_TAG, 'main'],
+    ['session-agent-ops-main-lines-1-2', 'team-ops', 'ops'],
+  ]);
+  const saved = sm.loadState();
+  assert.equal(saved.version, 2);
+  assert.deepEqual(Object.keys(saved.agents.main.sessions), ['agent:main:main']);
+  assert.deepEqual(Object.keys(saved.agents.ops.sessions), ['agent:ops:main']);
+  assert.equal(saved.agents.ops.totalSynced, 2);
+});
+
+test('a version 1 state file becomes the state of the main agent', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1 });
+  writeSession(dir, 'agent:main:main', 4, 's1');
+  const client = createFakeClient();
+  await sm.syncSessions(client, sm.loadState());
+  const { sessions, totalSynced } = sm.loadState().agents.main;
+  fs.writeFileSync(sm.CONFIG.STATE_FILE, JSON.stringify({ sessions, totalSynced, lastSyncTime: 1 }));
+
+  const state = sm.loadState();
+  assert.deepEqual(state, { version: 2, agents: { main: { sessions, totalSynced: 4, lastSyncTime: 1 } } });
+  await sm.syncSessions(client, state);
+  assert.equal(client.calls.length, 1, 'already synced lines are not uploaded again');
+});
+
+test('recall --agent searches the agent container for its conversations and shared memory files', async t => {
+  useTempConfig(t, { AGENT_TAGS: 'ops=team-ops' });
+  assert.equal(sm.parseRecallOptions({ agent: 'ops' }).agent, 'ops');
+  assert.throws(() => sm.parseRecallOptions({ agent: 'a/b' }), /--agent: Invalid agent id "a\/b"/);
+
+  const searches = [];
+  const fake = { ...createFakeClient(), async search(params) { searches.push(params); return { results: [] }; } };
+  await sm.recall(fake, 'деплой', { agent: 'ops', profile: false, cache: false });
+  assert.equal(searches[0].containerTag, 'team-ops');
+  assert.deepEqual(searches[0].filters, {
+    AND: [{ OR: [{ key: 'agent_id', value: 'ops' }, { key: 'type', value: 'conversation', negate: true }] }],
+  });
+
+  sm.configure({ AGENT_TAGS: '' });
+  const local = sm.createClient({ backend: 'local' });
+  const tag = sm.CONFIG.CONTAINER_TAG;
+  await local.add({ content: 'деплой в пятницу', containerTag: tag, customId: 'a', metadata: { type: 'conversation', agent_id: 'ops' } });
+  await local.add({ content: 'деплой отменён', containerTag: tag, customId: 'b', metadata: { type: 'conversation', agent_id: 'main' } });
+  await local.add({ content: 'деплой только по вторникам', containerTag: tag, customId: 'c', metadata: { type: 'long_term_memory' } });
+  const { search } = await sm.recall(local, 'деплой', { agent: 'ops', profile: false, threshold: 0 });
+  assert.deepEqual(search.results.map(r => r.metadata.customId).sort(), ['a', 'c']);
+});
+
+test('show finds sessions of any agent', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1 });
+  writeSession(dir, 'agent:main:main', 2, 's-main');
+  writeAgentSession('ops', 'agent:ops:main', ['деплой в пятницу', 'ок']);
+  const state = sm.loadState();
+  for (const agent of sm.listAgents()) await sm.syncSessions(createFakeClient(), state, agent);
+
+  const byKey = await sm.expandHit({ session: 'agent:ops:main', batch: 1 }, state);
+  assert.deepEqual(byKey.messages.map(m => m.text), ['деплой в пятницу', 'ок']);
+  const byId = await sm.expandHit({ session: 'agent-ops-main', lines: { start: 1, end: 1 } }, state);
+  assert.equal(byId.session.key, 'agent:ops:main');
+});
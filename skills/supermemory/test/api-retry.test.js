@@ -0,0 +1,175 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, httpError } = require('./helpers');
+
+function setup(t) {
+  useTempConfig(t, { API_RETRY_ATTEMPTS: 3, API_RETRY_BASE_DELAY_MS: 1 });
+  // No jitter: keeps retries fast and delays predictable
+  t.mock.method(Math, 'random', () => 0);
+}
+
+test('getRetryDelay doubles per attempt and caps at 30s', t => {
+  setup(t);
+  sm.configure({ API_RETRY_BASE_DELAY_MS: 1000 });
+  assert.equal(sm.getRetryDelay(0), 1000);
+  assert.equal(sm.getRetryDelay(1), 2000);
+  assert.equal(sm.getRetryDelay(2), 4000);
+  assert.equal(sm.getRetryDelay(10), 30000);
+});
+
+test('apiCallWithRetry returns the first successful result', async t => {
+  setup(t);
+  let calls = 0;
+  const result = await sm.apiCallWithRetry(async () => {
+    calls++;
+    if (calls < 3) throw httpError(502);
+    return 'ok';
+  }, 'test');
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+});
+
+test('apiCallWithRetry passes an abort signal to the call', async t => {
+  setup(t);
+  let received;
+  await sm.apiCallWithRetry(async ({ signal }) => { received = signal; }, 'test');
+  assert.ok(received instanceof AbortSignal);
+});
+
+test('apiCallWithRetry does not retry 4xx client errors', async t => {
+  setup(t);
+  for (const status of [400, 401, 403, 404, 422]) {
+    let calls = 0;
+    await assert.rejects(
+      sm.apiCallWithRetry(async () => { calls++; throw httpError(status); }, 'test'),
+      { statusCode: status }
+    );
+    assert.equal(calls, 1, `status ${status} must not be retried`);
+  }
+});
+
+test('apiCallWithRetry retries 429 and 5xx until attempts run out', async t => {
+  setup(t);
+  for (const status of [429, 500, 503]) {
+    let calls = 0;
+    await assert.rejects(
+      sm.apiCallWithRetry(async () => { calls++; throw httpError(status); }, 'test'),
+      { statusCode: status }
+    );
+    assert.equal(calls, 3, `status ${status} must use all attempts`);
+  }
+});
+
+test('apiCallWithRetry retries network errors without a status code', async t => {
+  setup(t);
+  let calls = 0;
+  await assert.rejects(
+    sm.apiCallWithRetry(async () => { calls++; throw new Error('ECONNRESET'); }, 'test'),
+    /ECONNRESET/
+  );
+  assert.equal(calls, 3);
+});
+
+test('apiCallWithRetry does not retry aborts', async t => {
+  setup(t);
+  let calls = 0;
+  const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+  await assert.rejects(
+    sm.apiCallWithRetry(async () => { calls++; throw abort; }, 'test'),
+    { name: 'AbortError' }
+  );
+  assert.equal(calls, 1);
+});
+
+test('apiCallWithRetry logs retries with secrets scrubbed', async t => {
+  setup(t);
+  const logged = [];
+  sm.setLogger(line => logged.push(line));
+  t.after(() => sm.setLogger(() => {}));
+
+  await assert.rejects(sm.apiCallWithRetry(async () => {
+    throw new Error('bad key sm_abc123');
+  }, 'Upload'));
+  assert.equal(logged.length, 2);
+  assert.match(logged[0], /Upload failed \(attempt 1\/3\): bad key \[REDACTED_API_KEY\]/);
+});
+
+test('errors with the SDK status field are classified like statusCode', async t => {
+  setup(t);
+  let calls = 0;
+  await assert.rejects(
+    sm.apiCallWithRetry(async () => { calls++; throw Object.assign(new Error('bad request'), { status: 400 }); }, 'test'),
+    { status: 400 }
+  );
+  assert.equal(calls, 1);
+});
+
+test('Retry-After is read as seconds or an HTTP date and replaces the backoff', t => {
+  setup(t);
+  const now = Date.parse('2026-03-01T10:00:00Z');
+  const withHeader = value => Object.assign(httpError(429), { headers: new Headers({ 'retry-after': value }) });
+  assert.equal(sm.retryAfterMs(withHeader('7'), now), 7000);
+  assert.equal(sm.retryAfterMs(withHeader('Sun, 01 Mar 2026 10:00:30 GMT'), now), 30000);
+  assert.equal(sm.retryAfterMs(withHeader('99999'), now), 300000, 'capped');
+  assert.equal(sm.retryAfterMs(withHeader('soon'), now), null);
+  assert.equal(sm.retryAfterMs({ headers: { 'retry-after': '2' } }, now), 2000);
+  assert.equal(sm.retryAfterMs(httpError(429), now), null);
+
+  sm.configure({ API_RETRY_BASE_DELAY_MS: 1000 });
+  assert.equal(sm.getRetryDelay(0, withHeader('3')), 3000);
+  assert.equal(sm.getRetryDelay(0, httpError(503)), 1000);
+});
+
+test('a timeout aborts the request and is retried', async t => {
+  setup(t);
+  sm.configure({ API_TIMEOUT_MS: 20, API_RETRY_ATTEMPTS: 2 });
+  const signals = [];
+  const hang = ({ signal }) => {
+    signals.push(signal);
+    return new Promise(() => {});
+  };
+  await assert.rejects(sm.apiCallWithRetry(hang, 'Upload'), { name: 'TimeoutError', message: /Upload timed out after 20ms/ });
+  assert.equal(signals.length, 2);
+  assert.ok(signals.every(s => s.aborted), 'the backend sees every timed out request cancelled');
+  assert.equal(sm.classifyError(signals[0].reason), 'network');
+});
+
+test('the token bucket spaces calls out and slows down after a 429', async () => {
+  let clock = 0;
+  const waits = [];
+  const bucket = sm.createRateLimiter({
+    rate: 2, burst: 2, now: () => clock, wait: async ms => { waits.push(ms); clock += ms; },
+  });
+
+  for (let i = 0; i < 4; i++) await bucket.acquire();
+  assert.deepEqual(waits, [500, 500], 'the burst goes out at once, then 2 calls/s');
+
+  bucket.throttle(3000);
+  assert.equal(bucket.rate, 1);
+  waits.length = 0;
+  await bucket.acquire();
+  assert.deepEqual(waits, [3000, 1000], 'paused for Retry-After, then at the halved rate');
+
+  for (let i = 0; i < 20; i++) bucket.recover();
+  assert.equal(bucket.rate, 2, 'successes bring the configured rate back');
+  for (let i = 0; i < 10; i++) bucket.throttle(0);
+  assert.equal(bucket.rate, 2 / 16, 'never slower than a sixteenth');
+});
+
+test('a 429 holds back other calls through the shared bucket', async t => {
+  setup(t);
+  sm.configure({ API_RETRY_ATTEMPTS: 2 });
+  let calls = 0;
+  const limited = async () => {
+    if (++calls === 1) throw Object.assign(httpError(429), { headers: new Headers({ 'retry-after': '0.2' }) });
+    return 'ok';
+  };
+  const started = Date.now();
+  await sm.apiCallWithRetry(limited, 'first');
+  assert.ok(Date.now() - started >= 180, 'the retry waited for Retry-After');
+  const again = Date.now();
+  await sm.apiCallWithRetry(async () => 'ok', 'second');
+  assert.ok(Date.now() - again < 100, 'the pause is over for later calls');
+});
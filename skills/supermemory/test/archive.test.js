@@ -0,0 +1,133 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig } = require('./helpers');
+
+async function exportTo(client, file, options) {
+  const out = fs.createWriteStream(file);
+  const result = await sm.exportArchive(client, out, options);
+  out.end();
+  await new Promise(resolve => out.on('finish', resolve));
+  return result;
+}
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+async function seededLocal(t) {
+  const dir = useTempConfig(t);
+  const client = sm.createClient({ backend: 'local' });
+  await client.add({ content: 'Созвон с бухгалтером', containerTag: 'src', customId: 'daily-2026-03-01', metadata: { type: 'daily_memory', date: '2026-03-01' } });
+  await client.add({ content: 'Банк: Тинькофф', containerTag: 'src', customId: 'memory-md-finansy', metadata: { type: 'long_term_memory' } });
+  await client.add({ content: 'чужой контейнер', containerTag: 'other', customId: 'x' });
+  return { dir, client };
+}
+
+async function customIds(client, containerTag) {
+  const ids = [];
+  for await (const doc of sm.listDocuments(client, containerTag)) ids.push(doc.customId);
+  return ids;
+}
+
+test('export writes a header, every document of the container and a footer', async t => {
+  const { dir, client } = await seededLocal(t);
+  const file = path.join(dir, 'backup.jsonl');
+
+  assert.deepEqual(await exportTo(client, file, { containerTag: 'src' }), { documents: 2, withoutContent: 0 });
+  const [header, ...rest] = readLines(file);
+  assert.equal(header.format, sm.ARCHIVE_FORMAT);
+  assert.equal(header.containerTag, 'src');
+  assert.deepEqual(rest.pop(), { type: 'footer', documents: 2 });
+  assert.deepEqual(rest.map(r => [r.customId, r.content, r.metadata.type]), [
+    ['daily-2026-03-01', 'Созвон с бухгалтером', 'daily_memory'],
+    ['memory-md-finansy', 'Банк: Тинькофф', 'long_term_memory'],
+  ]);
+});
+
+test('export fetches the content when the listing leaves it out', async t => {
+  const { dir, client } = await seededLocal(t);
+  const fetched = [];
+  const slim = {
+    ...client,
+    list: async params => {
+      const page = await client.list(params);
+      return { ...page, documents: page.documents.map(({ content, ...doc }) => doc) };
+    },
+    get: async params => { fetched.push(params.id); return client.get(params); },
+  };
+  const file = path.join(dir, 'backup.jsonl');
+
+  await exportTo(slim, file, { containerTag: 'src' });
+  assert.equal(fetched.length, 2);
+  assert.equal(readLines(file)[1].content, 'Созвон с бухгалтером');
+});
+
+test('import restores an archive into another container, dry run changes nothing', async t => {
+  const { dir, client } = await seededLocal(t);
+  const file = path.join(dir, 'backup.jsonl');
+  await exportTo(client, file, { containerTag: 'src' });
+
+  const dry = await sm.importArchive(client, file, { containerTag: 'dst', dryRun: true });
+  assert.deepEqual({ ...dry, header: undefined }, { header: undefined, added: 2, overwritten: 0, skipped: 0, empty: 0, failed: 0 });
+  assert.deepEqual(await customIds(client, 'dst'), []);
+
+  const result = await sm.importArchive(client, file, { containerTag: 'dst' });
+  assert.equal(result.header.containerTag, 'src');
+  assert.equal(result.added, 2);
+  assert.deepEqual(await customIds(client, 'dst'), ['daily-2026-03-01', 'memory-md-finansy']);
+  const { results } = await client.search({ q: 'созвон', containerTag: 'dst' });
+  assert.equal(results[0].metadata.date, '2026-03-01');
+});
+
+test('import conflict modes skip, overwrite or keep the newer document', async t => {
+  const { dir, client } = await seededLocal(t);
+  const file = path.join(dir, 'backup.jsonl');
+  await exportTo(client, file, { containerTag: 'src' });
+  await client.add({ content: 'Созвон перенесли', containerTag: 'src', customId: 'daily-2026-03-01' });
+
+  assert.equal((await sm.importArchive(client, file, { containerTag: 'src' })).skipped, 2);
+  assert.equal((await sm.importArchive(client, file, { containerTag: 'src', onConflict: 'newer' })).skipped, 2);
+  const overwrite = await sm.importArchive(client, file, { containerTag: 'src', onConflict: 'overwrite' });
+  assert.equal(overwrite.overwritten, 2);
+  const { documents } = await client.list({ containerTag: 'src' });
+  assert.equal(documents.find(d => d.customId === 'daily-2026-03-01').content, 'Созвон с бухгалтером');
+
+  await assert.rejects(sm.importArchive(client, file, { onConflict: 'merge' }), /Unknown conflict mode "merge"/);
+});
+
+test('import seeds a local store from an archive and names documents without customId', async t => {
+  const dir = useTempConfig(t);
+  const file = path.join(dir, 'cloud.jsonl');
+  fs.writeFileSync(file, [
+    { type: 'header', format: sm.ARCHIVE_FORMAT, version: 1, containerTag: 'cloud' },
+    { type: 'document', id: 'abc', customId: null, content: 'заметка из веба', metadata: null },
+    { type: 'document', id: 'def', customId: 'still-processing', content: null, metadata: {} },
+    { type: 'footer', documents: 2 },
+  ].map(r => JSON.stringify(r)).join('\n') + '\n');
+  const client = sm.createClient({ backend: 'local' });
+
+  const result = await sm.importArchive(client, file);
+  assert.equal(result.added, 1);
+  assert.equal(result.empty, 1);
+  assert.deepEqual(await customIds(client, sm.CONFIG.CONTAINER_TAG), ['import-abc']);
+  assert.equal((await sm.importArchive(client, file)).skipped, 1);
+});
+
+test('broken or truncated archives are rejected before anything is imported', async t => {
+  const { dir, client } = await seededLocal(t);
+  const file = path.join(dir, 'backup.jsonl');
+  await exportTo(client, file, { containerTag: 'src' });
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+
+  fs.writeFileSync(file, lines.slice(0, -1).join('\n') + '\n');
+  await assert.rejects(sm.importArchive(client, file, { containerTag: 'dst' }), /no footer, the archive is truncated/);
+  fs.writeFileSync(file, [lines[0], '{"type":"document"', ...lines.slice(1)].join('\n'));
+  await assert.rejects(sm.importArchive(client, file, { containerTag: 'dst' }), /backup\.jsonl:2: /);
+  fs.writeFileSync(file, lines.slice(1).join('\n'));
+  await assert.rejects(sm.inspectArchive(file), /not a supermemory archive/);
+  assert.deepEqual(await customIds(client, 'dst'), []);
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig } = require('./helpers');
+
+test('JSON files are written in place of the old one, with their directory created', t => {
+  const dir = useTempConfig(t);
+  const file = path.join(dir, 'deep', 'er', 'data.json');
+
+  sm.writeJsonAtomic(file, { a: 1 });
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"a":1}');
+  sm.writeJsonAtomic(file, { a: 2 }, { indent: 2 });
+  assert.equal(fs.readFileSync(file, 'utf8'), '{\n  "a": 2\n}');
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['data.json'], 'no temp file is left');
+});
+
+test('a failed write keeps the old file and leaves no temp file behind', t => {
+  const dir = useTempConfig(t);
+  const target = path.join(dir, 'taken');
+  fs.mkdirSync(path.join(target, 'child'), { recursive: true });
+
+  assert.throws(() => sm.writeJsonAtomic(target, { a: 1 }));
+  assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('taken')), ['taken']);
+  assert.ok(fs.statSync(target).isDirectory());
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, createFakeClient } = require('./helpers');
+
+function countingClient() {
+  const client = createFakeClient();
+  client.searchCount = 0;
+  client.search = async () => {
+    client.searchCount++;
+    return { results: [{ chunk: `answer ${client.searchCount}`, similarity: 0.9, metadata: {} }], timing: 1, total: 1 };
+  };
+  return client;
+}
+
+test('cache keys ignore object key order', () => {
+  assert.equal(sm.cacheKey({ q: 'a', limit: 5 }), sm.cacheKey({ limit: 5, q: 'a' }));
+  assert.notEqual(sm.cacheKey({ q: 'a', limit: 5 }), sm.cacheKey({ q: 'a', limit: 6 }));
+});
+
+test('cache entries expire after the TTL and are pruned on write', t => {
+  const dir = useTempConfig(t);
+  const file = path.join(dir, 'cache.json');
+  let clock = 1000;
+  const cache = sm.createCache({ file, ttlMs: 100, now: () => clock });
+
+  cache.set('a', { n: 1 });
+  assert.deepEqual(cache.get('a'), { storedAt: 1000, value: { n: 1 } });
+
+  clock = 1101;
+  assert.equal(cache.get('a'), null);
+  cache.set('b', { n: 2 });
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).entries), ['b']);
+});
+
+test('an unreadable cache file is ignored', t => {
+  const dir = useTempConfig(t);
+  const file = path.join(dir, 'cache.json');
+  fs.writeFileSync(file, '{not json');
+  const cache = sm.createCache({ file, ttlMs: 100 });
+
+  assert.equal(cache.get('a'), null);
+  cache.set('a', 1);
+  assert.equal(cache.get('a').value, 1);
+});
+
+test('recall serves repeated queries from the cache and marks them', async t => {
+  useTempConfig(t);
+  const client = countingClient();
+
+  const first = await sm.recall(client, 'релиз', { profile: false });
+  const second = await sm.recall(client, 'релиз', { profile: false });
+  const other = await sm.recall(client, 'релиз', { profile: false, limit: 3 });
+
+  assert.equal(client.searchCount, 2);
+  assert.equal(first.source, 'live');
+  assert.equal(second.source, 'cache');
+  assert.ok(second.cachedAt);
+  assert.deepEqual(second.search, first.search);
+  assert.equal(other.source, 'live');
+});
+
+test('recall bypasses the cache with cache: false or SM_RECALL_CACHE=false', async t => {
+  useTempConfig(t);
+  const client = countingClient();
+
+  await sm.recall(client, 'релиз', { profile: false });
+  const bypassed = await sm.recall(client, 'релиз', { profile: false, cache: false });
+  assert.equal(bypassed.source, 'live');
+
+  useTempConfig(t, { RECALL_CACHE: false });
+  await sm.recall(client, 'релиз', { profile: false });
+  await sm.recall(client, 'релиз', { profile: false });
+  assert.equal(client.searchCount, 4);
+});
+
+test('--no-cache and --no-fallback become recall options', () => {
+  const { values } = sm.parseCommandLine(['recall', 'q', '--no-cache', '--no-fallback'], sm.RECALL_FLAGS);
+  const options = sm.parseRecallOptions(values);
+  assert.equal(options.cache, false);
+  assert.equal(options.fallback, false);
+});
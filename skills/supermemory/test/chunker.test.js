@@ -0,0 +1,146 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { sm, useTempConfig, messageLine, createFakeClient, httpError } = require('./helpers');
+
+const T0 = Date.UTC(2026, 1, 14, 10);
+const MINUTE = 60000;
+
+function msg(lineNum, role, text, minutes = lineNum) {
+  return { role, text, timestamp: T0 + minutes * MINUTE, lineNum, endOffset: lineNum * 100, tools: [] };
+}
+
+function writeLongSession(dir, lines) {
+  const file = path.join(dir, 'sessions', 'long.jsonl');
+  fs.writeFileSync(file, lines.map(l => l + '\n').join(''));
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, JSON.stringify({ 'agent:main:main': { sessionId: 'long', sessionFile: file } }));
+  return file;
+}
+
+test('splitText is lossless and prefers paragraph, sentence and word boundaries', () => {
+  const text = 'First paragraph here.\n\nSecond one is a bit longer. It has two sentences and more words.';
+  const pieces = sm.splitText(text, 40);
+
+  assert.equal(pieces.join(''), text);
+  assert.ok(pieces.every(p => p.length <= 40));
+  assert.equal(pieces[0], 'First paragraph here.\n\n');
+  assert.equal(pieces[1], 'Second one is a bit longer. ');
+});
+
+test('splitText hard-cuts text without separators but keeps surrogate pairs intact', () => {
+  const text = 'x'.repeat(9) + '😀' + 'y'.repeat(10);
+  const pieces = sm.splitText(text, 10);
+
+  assert.equal(pieces.join(''), text);
+  assert.equal(pieces[0], 'x'.repeat(9));
+  assert.ok(pieces[1].startsWith('😀'));
+});
+
+test('planChunks keeps each document within the char budget', t => {
+  useTempConfig(t, { CHUNK_MAX_CHARS: 300, CHUNK_MIN_CHARS: 300, MIN_NEW_MESSAGES: 1 });
+  const messages = Array.from({ length: 8 }, (_, i) => msg(i + 1, i % 2 ? 'assistant' : 'user', 'word '.repeat(20)));
+
+  const chunks = sm.planChunks(messages, true);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.units.map(sm.formatUnit).join('\n\n').length <= 300);
+  }
+  assert.deepEqual(chunks.flatMap(c => c.units.map(u => u.message.lineNum)), [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.ok(chunks.slice(0, -1).every(c => c.boundary === 'size'));
+  assert.equal(chunks[chunks.length - 1].boundary, 'end');
+});
+
+test('planChunks breaks at a time gap once the minimum size is reached', t => {
+  useTempConfig(t, { CHUNK_MIN_CHARS: 50, CHUNK_TIME_GAP_MS: 30 * MINUTE, MIN_NEW_MESSAGES: 1 });
+  const messages = [
+    msg(1, 'user', 'deploy status of the billing service'),
+    msg(2, 'assistant', 'billing service deployed to production'),
+    msg(3, 'user', 'billing service logs look clean', 120),
+    msg(4, 'assistant', 'billing service is healthy', 121),
+  ];
+
+  const chunks = sm.planChunks(messages, true);
+
+  assert.deepEqual(chunks.map(c => [c.startLine, c.endLine, c.boundary]), [[1, 2, 'time_gap'], [3, 4, 'end']]);
+});
+
+test('planChunks breaks at a topic shift but not within one topic', t => {
+  useTempConfig(t, { CHUNK_MIN_CHARS: 50, MIN_NEW_MESSAGES: 1 });
+  const messages = [
+    msg(1, 'user', 'Какая выручка за март по отчёту?'),
+    msg(2, 'assistant', 'Выручка за март по отчёту — 1.2M.'),
+    msg(3, 'user', 'А выручка за апрель по отчёту?'),
+    msg(4, 'assistant', 'Выручка за апрель — 1.4M.'),
+    msg(5, 'user', 'Напомни рецепт борща для ужина'),
+    msg(6, 'assistant', 'Свекла, капуста, картофель, говядина.'),
+  ];
+
+  const chunks = sm.planChunks(messages, true);
+
+  assert.deepEqual(chunks.map(c => [c.startLine, c.endLine, c.boundary]), [[1, 4, 'topic_shift'], [5, 6, 'end']]);
+});
+
+test('planChunks splits an oversized message into continuation parts', t => {
+  useTempConfig(t, { CHUNK_MAX_CHARS: 200, MIN_NEW_MESSAGES: 1 });
+  const long = 'sentence number one is here. '.repeat(20).trim();
+  const messages = [msg(1, 'user', 'short question'), msg(2, 'assistant', long), msg(3, 'user', 'thanks')];
+
+  const chunks = sm.planChunks(messages, true);
+  const parts = chunks.filter(c => c.parts);
+
+  assert.ok(parts.length > 1);
+  assert.deepEqual(parts.map(c => c.part), parts.map((_, i) => i + 1));
+  assert.ok(parts.every(c => c.parts === parts.length && c.startLine === 2 && c.endLine === 2));
+  assert.equal(parts.map(c => c.units[0].text).join(''), long);
+  // Only the last part lets the cursor pass the message
+  assert.ok(parts.slice(0, -1).every(c => c.commit === null && c.messageCount === 0));
+  assert.deepEqual(parts[parts.length - 1].commit, { line: 2, offset: 200 });
+  assert.deepEqual([chunks[0].endLine, chunks[chunks.length - 1].startLine], [1, 3]);
+});
+
+test('syncSessions uploads an oversized message as continuation documents', async t => {
+  const dir = useTempConfig(t, { CHUNK_MAX_CHARS: 300, MIN_NEW_MESSAGES: 1 });
+  const long = 'x'.repeat(700);
+  writeLongSession(dir, [messageLine('user', 'show the log'), messageLine('assistant', long)]);
+  const client = createFakeClient();
+  const state = { version: 2, agents: {} };
+
+  await sm.syncSessions(client, state);
+
+  assert.deepEqual(client.calls.map(c => c.customId), [
+    'session-long-lines-1-1',
+    'session-long-lines-2-2-part-1',
+    'session-long-lines-2-2-part-2',
+    'session-long-lines-2-2-part-3',
+  ]);
+  const parts = client.calls.slice(1);
+  assert.deepEqual(parts.map(c => [c.metadata.chunk_part, c.metadata.chunk_parts]), [['1', '3'], ['2', '3'], ['3', '3']]);
+  assert.match(parts[1].content, /\[assistant\] \(part 2\/3\): x+$/);
+  assert.equal(parts.map(c => c.content.replace(/^.*?: /, '')).join(''), long);
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 2);
+  assert.equal(state.agents.main.totalSynced, 2);
+});
+
+test('continuation parts after a failure are queued and replayed in order', async t => {
+  const dir = useTempConfig(t, { CHUNK_MAX_CHARS: 300, MIN_NEW_MESSAGES: 1, API_RETRY_ATTEMPTS: 1 });
+  writeLongSession(dir, [messageLine('user', 'show the log'), messageLine('assistant', 'y'.repeat(700))]);
+  const state = { version: 2, agents: {} };
+
+  let failing = true;
+  const client = createFakeClient({ failWith: p => (failing && p.customId.endsWith('part-2') ? httpError(503) : undefined) });
+  await sm.syncSessions(client, state);
+  assert.deepEqual(sm.loadOutbox().pending.map(p => p.customId), ['session-long-lines-2-2-part-2', 'session-long-lines-2-2-part-3']);
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 2);
+
+  failing = false;
+  await sm.flushOutbox(client);
+  assert.deepEqual(client.calls.slice(1).map(c => c.customId), [
+    'session-long-lines-2-2-part-1',
+    'session-long-lines-2-2-part-2',
+    'session-long-lines-2-2-part-3',
+  ]);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig } = require('./helpers');
+
+// Only the given files, never the real .env or workspace config
+const env = (values = {}) => ({ SM_ENV_FILE: '', SM_CONFIG: '', SM_CONTAINER_TAG: 'unit', ...values });
+
+test('.env files take KEY=value lines with export, quotes and comments', () => {
+  const { values, errors } = sm.parseEnvFile([
+    '# comment',
+    'SM_CONTAINER_TAG=nn02  # trailing comment',
+    'export SM_BACKEND=local',
+    'SM_AGENT_TAGS="ops=nn02-ops # not a comment"',
+    "SM_WORKSPACE='/tmp/my ws'",
+    '',
+    'not a setting',
+    'SM_AUTH_PATH="/tmp/open',
+  ].join('\n'));
+
+  assert.deepEqual(values, {
+    SM_CONTAINER_TAG: 'nn02', SM_BACKEND: 'local', SM_AGENT_TAGS: 'ops=nn02-ops # not a comment', SM_WORKSPACE: '/tmp/my ws',
+  });
+  assert.deepEqual(errors, ['line 7: expected KEY=value', 'line 8: unterminated quote in SM_AUTH_PATH']);
+});
+
+test('environment beats .env, which beats the config file, which beats defaults', t => {
+  const dir = useTempConfig(t);
+  fs.writeFileSync(path.join(dir, '.env'), 'SM_BATCH_SIZE=30\nSM_BACKEND=local\n');
+  fs.writeFileSync(path.join(dir, 'sm-config.yaml'), [
+    'SM_BATCH_SIZE: 40',
+    'SM_MIN_NEW_MESSAGES: 7',
+    'SM_INCLUDE_TOOLS: yes',
+    'SM_TOOLS_DENY:',
+    '  - read',
+    '  - write',
+  ].join('\n'));
+
+  const { config, errors, sources } = sm.loadConfig(env({
+    SM_ENV_FILE: path.join(dir, '.env'), SM_CONFIG: path.join(dir, 'sm-config.yaml'), SM_BACKEND: 'supermemory',
+  }));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(sources, { envFile: path.join(dir, '.env'), configFile: path.join(dir, 'sm-config.yaml') });
+  assert.equal(config.BACKEND, 'supermemory');
+  assert.equal(config.BATCH_SIZE, 30);
+  assert.equal(config.MIN_NEW_MESSAGES, 7);
+  assert.equal(config.INCLUDE_TOOLS, true);
+  assert.deepEqual(config.TOOLS_DENY, ['read', 'write']);
+  assert.equal(config.CHUNK_MAX_CHARS, 12000);
+});
+
+test('the .env file may point at the config file', t => {
+  const dir = useTempConfig(t);
+  fs.writeFileSync(path.join(dir, 'sm.json'), JSON.stringify({ SM_API_RATE_LIMIT: 0, SM_AGENTS: ['main', 'ops'] }));
+  fs.writeFileSync(path.join(dir, '.env'), `SM_CONFIG=${path.join(dir, 'sm.json')}\n`);
+
+  const { config, errors } = sm.loadConfig({ SM_ENV_FILE: path.join(dir, '.env'), SM_CONTAINER_TAG: 'unit' });
+  assert.deepEqual(errors, []);
+  assert.equal(config.API_RATE_LIMIT, 0);
+  assert.deepEqual(config.AGENTS, ['main', 'ops']);
+});
+
+test('invalid values are reported with their source instead of falling back silently', t => {
+  const dir = useTempConfig(t);
+  fs.writeFileSync(path.join(dir, '.env'), 'SM_BATCH_SIZE=20x\nSM_TYPO=1\nSM_WATCH=maybe\n');
+  fs.writeFileSync(path.join(dir, 'sm.json'), JSON.stringify({
+    SM_CHUNK_TOPIC_SIMILARITY: 1.5, SM_BACKEND: 'cloud', SM_REDACT: { on: true }, SM_BATCH_SIZE: [1], SM_UNKNOWN: 1,
+  }));
+
+  const { config, errors } = sm.loadConfig(env({
+    SM_ENV_FILE: path.join(dir, '.env'), SM_CONFIG: path.join(dir, 'sm.json'), SM_API_TIMEOUT_MS: '0', SM_CONTAINER_TAG: 'your-name',
+  }));
+  assert.deepEqual(errors, [
+    `Env file ${dir}/.env: unknown setting SM_TYPO`,
+    `Config ${dir}/sm.json: SM_REDACT must be a single value, not an object`,
+    `Config ${dir}/sm.json: SM_BATCH_SIZE must be a single value, not a list`,
+    `Config ${dir}/sm.json: unknown setting SM_UNKNOWN`,
+    'Environment: SM_CONTAINER_TAG="your-name" is a placeholder value, set a unique identifier',
+    `Config ${dir}/sm.json: SM_BACKEND="cloud" must be one of supermemory, local`,
+    `Env file ${dir}/.env: SM_BATCH_SIZE="20x" must be a whole number ≥ 1`,
+    `Config ${dir}/sm.json: SM_CHUNK_TOPIC_SIMILARITY="1.5" must be a number from 0 to 1`,
+    `Env file ${dir}/.env: SM_WATCH="maybe" must be true or false`,
+    'Environment: SM_API_TIMEOUT_MS="0" must be a whole number ≥ 1',
+  ]);
+  assert.equal(config.BATCH_SIZE, 20, 'an invalid value keeps the default');
+});
+
+test('explicit config paths must exist and broken files are errors', t => {
+  const dir = useTempConfig(t);
+  fs.writeFileSync(path.join(dir, 'sm.json'), '{"SM_BATCH_SIZE": ');
+
+  const { errors, sources } = sm.loadConfig(env({ SM_ENV_FILE: path.join(dir, 'missing.env'), SM_CONFIG: path.join(dir, 'sm.json') }));
+  assert.equal(errors.length, 2);
+  assert.equal(errors[0], `Env file ${dir}/missing.env: not found`);
+  assert.match(errors[1], new RegExp(`^Config ${dir}/sm.json: `));
+  assert.deepEqual(sources, { envFile: null, configFile: null });
+});
+
+test('an unset container tag falls back to "default" with a warning', () => {
+  const { config, errors, warnings } = sm.loadConfig({ SM_ENV_FILE: '', SM_CONFIG: '' });
+  assert.equal(config.CONTAINER_TAG, 'default');
+  assert.deepEqual(errors, []);
+  assert.match(warnings[0], /SM_CONTAINER_TAG not set/);
+});
+
+test('loading the library prints nothing; assertValidConfig logs the warnings through the logger', () => {
+  const core = path.join(__dirname, '..', 'lib', 'sm-core');
+  const script = `
+    const sm = require(${JSON.stringify(core)});
+    const lines = [];
+    sm.setLogger(line => lines.push(line));
+    sm.assertValidConfig();
+    sm.assertValidConfig();
+    process.stdout.write(JSON.stringify(lines));
+  `;
+  const { SM_CONTAINER_TAG, ...rest } = process.env;
+  const result = require('child_process').spawnSync(process.execPath, ['-e', script], {
+    env: { ...rest, SM_ENV_FILE: '', SM_CONFIG: '' }, encoding: 'utf8', timeout: 30000,
+  });
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stderr, '');
+  const lines = JSON.parse(result.stdout);
+  assert.equal(lines.length, 1);
+  assert.match(lines[0], /⚠️ SM_CONTAINER_TAG not set/);
+});
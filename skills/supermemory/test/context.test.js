@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig } = require('./helpers');
+
+const NOW = Date.UTC(2026, 2, 1);
+
+function hit(similarity, text, metadata = {}) {
+  return { similarity, chunk: text, metadata };
+}
+
+function conversation(similarity, text, { batch, date, session = 's1', lines = [1, 8] }) {
+  return hit(similarity, text, {
+    type: 'conversation', session_id: session, session_key: 'agent:main:main', batch_id: String(batch),
+    session_date: date, line_start: String(lines[0]), line_end: String(lines[1]),
+  });
+}
+
+function pack(results, options = {}, profile = null) {
+  return sm.packContext('релиз', { profile, search: { results } }, { now: NOW, ...options });
+}
+
+test('context pack cites session date and batch, daily notes and MEMORY.md', () => {
+  const { block, items } = pack([
+    conversation(0.9, 'Релиз назначен на пятницу', { batch: 3, date: '2026-02-14' }),
+    hit(0.8, 'Релиз перенесли из-за багов', { type: 'daily_memory', date: '2026-02-16' }),
+    hit(0.7, 'Релизы только по вторникам', { type: 'long_term_memory', file: 'MEMORY.md' }),
+    hit(0.6, 'Ревью до четверга', { type: 'long_term_memory', file: 'MEMORY.md', heading_path: 'Работа > Релизы' }),
+  ]);
+
+  assert.deepEqual(items.map(i => i.citation), [
+    '2026-02-14, batch 3, agent:main:main', 'daily 2026-02-16', 'MEMORY.md', 'MEMORY.md > Работа > Релизы',
+  ]);
+  assert.equal(block, [
+    '<memory query="релиз">',
+    '[1] (2026-02-14, batch 3, agent:main:main) Релиз назначен на пятницу',
+    '[2] (daily 2026-02-16) Релиз перенесли из-за багов',
+    '[3] (MEMORY.md) Релизы только по вторникам',
+    '[4] (MEMORY.md > Работа > Релизы) Ревью до четверга',
+    '</memory>',
+  ].join('\n'));
+});
+
+test('context pack drops results below the relevance floor and dedupes overlaps', () => {
+  const { items } = pack([
+    conversation(0.9, 'Релиз назначен на пятницу, билд 42', { batch: 3, date: '2026-02-14', lines: [1, 8] }),
+    conversation(0.8, 'Совсем другой текст из соседнего батча', { batch: 4, date: '2026-02-14', lines: [8, 12] }),
+    hit(0.85, 'Релиз назначен на пятницу, билд 42!', { type: 'daily_memory', date: '2026-02-14' }),
+    hit(0.4, 'Слабое совпадение про релиз', { type: 'daily_memory', date: '2026-02-20' }),
+    hit(0.7, 'Отдельный факт о деплое', { type: 'daily_memory', date: '2026-02-15' }),
+  ], { threshold: 0.5 });
+
+  assert.deepEqual(items.map(i => i.text), ['Релиз назначен на пятницу, билд 42', 'Отдельный факт о деплое']);
+});
+
+test('context pack orders by relevance with a recency bonus', () => {
+  const { items } = pack([
+    hit(0.8, 'старое решение', { type: 'daily_memory', date: '2025-06-01' }),
+    hit(0.78, 'свежее решение', { type: 'daily_memory', date: '2026-02-28' }),
+    hit(0.95, 'очень точное старое', { type: 'daily_memory', date: '2025-06-01' }),
+  ]);
+
+  assert.deepEqual(items.map(i => i.text), ['очень точное старое', 'свежее решение', 'старое решение']);
+});
+
+test('context pack never exceeds the token budget and trims the last entry', () => {
+  const long = 'слово '.repeat(400).trim();
+  for (const maxTokens of [60, 120, 300, 1000]) {
+    const { block, tokens, items } = pack([
+      hit(0.9, long, { type: 'daily_memory', date: '2026-02-14' }),
+      hit(0.8, 'другое '.repeat(400).trim(), { type: 'daily_memory', date: '2026-02-13' }),
+    ], { maxTokens }, { profile: { static: ['Любит кофе'], dynamic: [] } });
+
+    assert.ok(tokens <= maxTokens, `${tokens} > ${maxTokens}`);
+    assert.equal(tokens, sm.estimateTokens(block));
+    assert.ok(items.length >= 1);
+    assert.ok(items[items.length - 1].text.endsWith('…'));
+    assert.equal(items.length, maxTokens >= 1000 ? 2 : 1);
+  }
+});
+
+test('profile facts fill leftover budget, skipping ones the results already state', () => {
+  const { block, facts } = pack(
+    [hit(0.9, 'Релиз назначен на пятницу', { type: 'daily_memory', date: '2026-02-14' })],
+    {},
+    { profile: { static: ['Любит кофе', 'релиз назначен на пятницу'], dynamic: ['Готовит запуск'] } },
+  );
+
+  assert.deepEqual(facts, ['Любит кофе', 'Готовит запуск']);
+  assert.match(block, /\nFacts:\n- Любит кофе\n- Готовит запуск\n<\/memory>$/);
+});
+
+test('an empty pack has no block even when the profile has facts', () => {
+  const result = pack([hit(0.2, 'шум', {})], {}, { profile: { static: ['Любит кофе'], dynamic: [] } });
+  assert.deepEqual(result, { block: '', tokens: 0, items: [], facts: [], source: 'live' });
+});
+
+test('context flags use the context defaults and validate --max-tokens', () => {
+  const parse = argv => sm.parseContextOptions(sm.parseCommandLine(argv, sm.CONTEXT_FLAGS).values);
+
+  assert.deepEqual(parse(['context', 'q']), sm.CONTEXT_DEFAULTS);
+  assert.equal(parse(['context', 'q', '--max-tokens', '800', '--threshold', '0.6']).maxTokens, 800);
+  assert.throws(() => parse(['context', 'q', '--max-tokens', '10']), /--max-tokens must be an integer between 50/);
+  assert.throws(() => sm.parseCommandLine(['recall', 'q', '--max-tokens', '800'], sm.RECALL_FLAGS), /Unknown option/);
+});
+
+test('buildContext recalls with the context defaults', async t => {
+  useTempConfig(t);
+  const client = sm.createClient({ backend: 'local' });
+  await client.add({ content: 'релиз назначен на пятницу', containerTag: sm.CONFIG.CONTAINER_TAG, customId: 'd1',
+    metadata: { type: 'daily_memory', date: '2026-02-14' } });
+
+  const { items, block } = await sm.buildContext(client, 'релиз', { maxTokens: 200 });
+
+  assert.deepEqual(items.map(i => i.customId), ['d1']);
+  assert.match(block, /^<memory query="релиз">\n\[1\] \(daily 2026-02-14\) релиз назначен на пятницу/);
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, writeSession, createFakeClient, httpError } = require('./helpers');
+
+const statusOf = (checks, name) => checks.filter(c => c.name === name).map(c => c.status);
+
+function writeAuth(file, apiKey = 'sm_unit_key') {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ profiles: { 'supermemory:default': { apiKey } } }));
+}
+
+test('a working setup passes, with warnings for missing session files', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1 });
+  sm.configure({ AUTH_PATH: path.join(dir, 'agent', 'auth-profiles.json') });
+  writeAuth(sm.CONFIG.AUTH_PATH);
+  fs.mkdirSync(sm.CONFIG.WORKSPACE, { recursive: true });
+  writeSession(dir, 'agent:main:main', 4, 's1');
+  fs.rmSync(writeSession(dir, 'agent:main:old', 2, 's0'));
+  await sm.syncSessions(createFakeClient(), sm.loadState());
+  const client = { async list() { return { documents: [], pagination: { totalItems: 12 } }; } };
+
+  const { ok, checks } = await sm.runDoctor({ client });
+  assert.equal(ok, true, JSON.stringify(checks.filter(c => c.status === 'fail')));
+  assert.match(checks.find(c => c.name === 'State file').detail, /1 agent\(s\), 4 message\(s\) synced/);
+  assert.deepEqual(statusOf(checks, 'Auth profile'), ['pass']);
+  assert.deepEqual(statusOf(checks, 'sessions.json (main)'), ['warn']);
+  assert.match(checks.find(c => c.name === 'sessions.json (main)').detail, /2 session\(s\), 1 session file\(s\) missing/);
+  assert.deepEqual(checks.at(-1), { name: 'Supermemory API', status: 'pass', detail: 'reachable, 12 document(s) in sm-unit' });
+});
+
+test('broken files, a missing profile and a missing workspace fail, each with its own check', async t => {
+  useTempConfig(t, { AUTH_PATH: '/nonexistent/auth-profiles.json', AGENT_TAGS: 'ops:x' });
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, '{"agent:main:main": ');
+  fs.mkdirSync(path.dirname(sm.CONFIG.STATE_FILE), { recursive: true });
+  fs.writeFileSync(sm.CONFIG.STATE_FILE, '{');
+  fs.writeFileSync(sm.CONFIG.OUTBOX_PATH, 'nope');
+  fs.writeFileSync(sm.CONFIG.RULES_CONFIG, JSON.stringify({ rules: {} }));
+  const client = { async list() { throw httpError(401, 'Unauthorized'); } };
+
+  const { ok, checks } = await sm.runDoctor({ client });
+  assert.equal(ok, false);
+  for (const name of ['Agent tags', 'Auth profile', 'Workspace', 'sessions.json (main)', 'State file', 'Outbox', 'Rules config', 'Supermemory API']) {
+    assert.deepEqual(statusOf(checks, name), ['fail'], name);
+  }
+  assert.deepEqual(statusOf(checks, 'Dead letters'), ['pass']);
+  assert.match(checks.find(c => c.name === 'Rules config').detail, /"rules" must be an array/);
+});
+
+test('the local backend needs no key and checks its store', async t => {
+  useTempConfig(t, { BACKEND: 'local', AUTH_PATH: '/nonexistent/auth-profiles.json' });
+  fs.mkdirSync(sm.CONFIG.WORKSPACE, { recursive: true });
+  await sm.createClient().add({ content: 'note', containerTag: 'sm-unit', customId: 'a' });
+
+  const { ok, checks } = await sm.runDoctor();
+  assert.equal(ok, true, JSON.stringify(checks.filter(c => c.status === 'fail')));
+  assert.deepEqual(statusOf(checks, 'Auth profile'), ['skip']);
+  assert.deepEqual(checks.at(-1), { name: 'Local store', status: 'pass', detail: `${sm.CONFIG.LOCAL_STORE_PATH}, 1 document(s) in sm-unit` });
+
+  const offline = await sm.runDoctor({ offline: true });
+  assert.equal(offline.checks.at(-1).status, 'skip');
+});
+
+test('an invalid container tag is one configuration failure, not also an unset-tag warning', async t => {
+  useTempConfig(t, { BACKEND: 'local', CONTAINER_TAG: 'default' });
+  sm.CONFIG_ERRORS.push('Environment: SM_CONTAINER_TAG="your-name" is a placeholder value, set a unique identifier');
+  t.after(() => sm.CONFIG_ERRORS.pop());
+
+  const { ok, checks } = await sm.runDoctor({ offline: true });
+  assert.equal(ok, false);
+  assert.deepEqual(statusOf(checks, 'Configuration'), ['fail']);
+  assert.deepEqual(statusOf(checks, 'Container tag'), []);
+});
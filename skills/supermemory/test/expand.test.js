@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { sm, useTempConfig, writeSession, createFakeClient } = require('./helpers');
+
+async function syncedSession(t, count = 20) {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2 });
+  writeSession(dir, 'agent:main:main', count, 's1');
+  const state = { version: 2, agents: {} };
+  await sm.syncSessions(createFakeClient(), state);
+  return { dir, state };
+}
+
+test('show expands a batch with one batch of context on each side', async t => {
+  const { state } = await syncedSession(t);
+
+  const result = await sm.expandHit({ session: 'agent:main:main', batch: 3 }, state);
+
+  assert.deepEqual(result.session.key, 'agent:main:main');
+  assert.deepEqual(result.target, { start: 9, end: 12, batch: 3 });
+  assert.deepEqual(result.range, { start: 5, end: 16 });
+  assert.deepEqual(result.messages.map(m => [m.lineNum, m.position]), [
+    [5, 'before'], [6, 'before'], [7, 'before'], [8, 'before'],
+    [9, 'hit'], [10, 'hit'], [11, 'hit'], [12, 'hit'],
+    [13, 'after'], [14, 'after'], [15, 'after'], [16, 'after'],
+  ]);
+  assert.equal(result.messages[4].text, 'message 9');
+});
+
+test('show accepts the session id and clamps context at the edges', async t => {
+  const { state } = await syncedSession(t);
+
+  const first = await sm.expandHit({ session: 's1', batch: 1, context: 2 }, state);
+  assert.deepEqual(first.range, { start: 1, end: 12 });
+
+  const none = await sm.expandHit({ session: 's1', batch: 5, context: 0 }, state);
+  assert.deepEqual(none.messages.map(m => m.lineNum), [17, 18, 19, 20]);
+});
+
+test('show with --lines uses batch ranges, or nominal batches when state has none', async t => {
+  const { state } = await syncedSession(t);
+
+  const byLines = await sm.expandHit({ session: 'agent:main:main', lines: { start: 10, end: 11 } }, state);
+  assert.deepEqual(byLines.range, { start: 5, end: 16 });
+  assert.deepEqual(byLines.messages.filter(m => m.position === 'hit').map(m => m.lineNum), [10, 11]);
+
+  // BATCH_SIZE 2 -> a nominal batch is 4 messages
+  const noState = await sm.expandHit({ session: 'agent:main:main', lines: { start: 10, end: 11 } }, { version: 2, agents: {} });
+  assert.deepEqual(noState.range, { start: 6, end: 15 });
+});
+
+test('show reports unknown batches and sessions clearly', async t => {
+  const { state } = await syncedSession(t);
+
+  await assert.rejects(sm.expandHit({ session: 'agent:main:main', batch: 99 }, state), /Batch 99 of agent:main:main is not in the sync state/);
+  await assert.rejects(sm.expandHit({ session: 'nope', batch: 1 }, state), /Session "nope" not found/);
+});
+
+test('show finds sessions dropped from sessions.json by their file name', async t => {
+  const { dir, state } = await syncedSession(t);
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, '{}');
+  assert.ok(fs.existsSync(path.join(dir, 'sessions', 's1.jsonl')));
+
+  const result = await sm.expandHit({ session: 'agent:main:main', batch: 2, context: 0 }, state);
+  assert.deepEqual(result.messages.map(m => m.lineNum), [5, 6, 7, 8]);
+});
+
+test('show text output groups messages around the hit', async t => {
+  const { state } = await syncedSession(t, 8);
+
+  const text = sm.formatExpansion(await sm.expandHit({ session: 'agent:main:main', batch: 2 }, state), 'text');
+
+  assert.match(text, /^=== agent:main:main \(s1\) · lines 1-8 ===\n\n--- before ---\n\n\[2026-02-14T10:01:00\.000Z\] \[user\] \(line 1\): message 1/);
+  assert.match(text, /--- hit: lines 5-8, batch 2 ---\n\n\[2026-02-14T10:05:00\.000Z\] \[user\] \(line 5\): message 5/);
+});
+
+test('show flags require a session and exactly one of --batch or --lines', () => {
+  const parse = argv => sm.parseShowOptions(sm.parseCommandLine(argv, sm.SHOW_FLAGS).values);
+
+  assert.deepEqual(parse(['show', '--session', 'agent:main:main', '--batch', '3']), { session: 'agent:main:main', batch: 3, context: 1 });
+  assert.deepEqual(parse(['show', '--session', 's1', '--lines', '41-80', '--context', '2']),
+    { session: 's1', lines: { start: 41, end: 80 }, context: 2 });
+  assert.throws(() => parse(['show', '--batch', '3']), /--session is required/);
+  assert.throws(() => parse(['show', '--session', 's1']), /exactly one of --batch or --lines/);
+  assert.throws(() => parse(['show', '--session', 's1', '--batch', '1', '--lines', '1-2']), /exactly one/);
+  assert.throws(() => parse(['show', '--session', 's1', '--lines', '80-41']), /--lines must look like 41-80/);
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { sm, useTempConfig, messageLine, writeSession, appendLines, createFakeClient, httpError } = require('./helpers');
+
+function freshState() {
+  return { version: 2, agents: {} };
+}
+
+async function syncedSession(t, count = 4) {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 10 });
+  const file = writeSession(dir, 'agent:main:main', count, 's1');
+  const client = createFakeClient();
+  const state = freshState();
+  await sm.syncSessions(client, state);
+  return { dir, file, client, state };
+}
+
+test('syncSessions stores the byte cursor and file identity for each session', async t => {
+  const { file, state } = await syncedSession(t);
+  const { identity } = state.agents.main.sessions['agent:main:main'];
+
+  assert.equal(state.agents.main.sessions['agent:main:main'].byteOffset, fs.statSync(file).size);
+  assert.equal(identity.ino, fs.statSync(file).ino);
+  assert.equal(identity.size, fs.statSync(file).size);
+  assert.match(identity.headHash, /^[0-9a-f]{16}$/);
+  assert.match(identity.cursorHash, /^[0-9a-f]{16}$/);
+});
+
+test('appending to a session is not treated as a rewrite', async t => {
+  const { file, client, state } = await syncedSession(t);
+  appendLines(file, [messageLine('user', 'more')]);
+
+  await sm.syncSessions(client, state);
+
+  assert.deepEqual(client.calls.map(c => c.customId), ['session-s1-lines-1-4', 'session-s1-lines-5-5']);
+  assert.equal(state.agents.main.sessions['agent:main:main'].generation, undefined);
+});
+
+test('a truncated session is re-synced from the top under a new generation', async t => {
+  const { file, client, state } = await syncedSession(t);
+  fs.writeFileSync(file, [messageLine('user', 'compacted summary'), messageLine('assistant', 'ok')].join('\n') + '\n');
+
+  await sm.syncSessions(client, state);
+
+  assert.equal(client.calls.length, 2);
+  assert.equal(client.calls[1].customId, 'session-s1-g1-lines-1-2');
+  assert.match(client.calls[1].content, /compacted summary/);
+  const ss = state.agents.main.sessions['agent:main:main'];
+  assert.equal(ss.generation, 1);
+  assert.equal(ss.lastLine, 2);
+  assert.deepEqual(ss.batches, [{ batch: 2, start: 1, end: 2 }]);
+});
+
+test('a session rewritten to the same length or longer is detected by hash', async t => {
+  const { file, client, state } = await syncedSession(t);
+  const lines = [];
+  for (let i = 1; i <= 6; i++) lines.push(messageLine('user', `rewritten ${i}`));
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+
+  await sm.syncSessions(client, state);
+
+  assert.equal(client.calls[1].customId, 'session-s1-g1-lines-1-6');
+  assert.match(client.calls[1].content, /rewritten 1/);
+});
+
+test('a replaced session file (new inode) is detected', async t => {
+  const { dir, file, client, state } = await syncedSession(t);
+  const replacement = `${dir}/replacement.jsonl`;
+  fs.writeFileSync(replacement, fs.readFileSync(file, 'utf8'));
+  fs.renameSync(replacement, file);
+
+  await sm.syncSessions(client, state);
+
+  assert.equal(state.agents.main.sessions['agent:main:main'].generation, 1);
+  assert.equal(client.calls[1].customId, 'session-s1-g1-lines-1-4');
+});
+
+test('a new sessionId under the same key starts a fresh cursor', async t => {
+  const { dir, client, state } = await syncedSession(t, 6);
+  writeSession(dir, 'agent:main:main', 2, 's2');
+
+  await sm.syncSessions(client, state);
+
+  assert.equal(client.calls[1].customId, 'session-s2-lines-1-2');
+  const ss = state.agents.main.sessions['agent:main:main'];
+  assert.equal(ss.sessionId, 's2');
+  assert.equal(ss.generation, undefined);
+});
+
+test('sessions removed from sessions.json are pruned from state', async t => {
+  const { dir, client, state } = await syncedSession(t);
+  writeSession(dir, 'agent:main:other', 2, 's2');
+  const meta = JSON.parse(fs.readFileSync(sm.CONFIG.SESSIONS_META, 'utf8'));
+  delete meta['agent:main:main'];
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, JSON.stringify(meta));
+
+  await sm.syncSessions(client, state);
+
+  assert.deepEqual(Object.keys(state.agents.main.sessions), ['agent:main:other']);
+});
+
+test('state is kept when sessions.json cannot be read', async t => {
+  const { client, state } = await syncedSession(t);
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, '{ broken');
+
+  await sm.syncSessions(client, state);
+
+  assert.deepEqual(Object.keys(state.agents.main.sessions), ['agent:main:main']);
+});
+
+test('a rewrite deletes the documents of the old generation', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2 });
+  const file = writeSession(dir, 'agent:main:main', 8, 's1');
+  const client = sm.createClient({ backend: 'local' });
+  const state = freshState();
+  await sm.syncSessions(client, state);
+  const storedIds = () => Object.values(JSON.parse(fs.readFileSync(sm.CONFIG.LOCAL_STORE_PATH, 'utf8')).documents)
+    .map(doc => doc.customId);
+  assert.deepEqual(storedIds(), ['session-s1-lines-1-4', 'session-s1-lines-5-8']);
+
+  fs.writeFileSync(file, [messageLine('user', 'compacted summary'), messageLine('assistant', 'ok')].join('\n') + '\n');
+  await sm.syncSessions(client, state);
+
+  assert.deepEqual(storedIds(), ['session-s1-g1-lines-1-2']);
+  assert.equal(state.agents.main.sessions['agent:main:main'].superseded, undefined);
+});
+
+test('old generation documents that fail to delete are retried on the next sync', async t => {
+  const { file, client, state } = await syncedSession(t);
+  let down = true;
+  client.delete = async params => {
+    if (down) throw httpError(400, 'Bad Request');
+    client.deleted.push(params);
+    return { deleted: true };
+  };
+  fs.writeFileSync(file, messageLine('user', 'compacted summary') + '\n');
+
+  await sm.syncSessions(client, state);
+  const ss = state.agents.main.sessions['agent:main:main'];
+  assert.deepEqual(ss.superseded, ['session-s1-lines-1-4']);
+  assert.equal(client.calls.at(-1).customId, 'session-s1-g1-lines-1-1');
+
+  down = false;
+  await sm.syncSessions(client, state);
+  assert.deepEqual(client.deleted.map(d => [d.customId, d.containerTag]), [['session-s1-lines-1-4', 'sm-unit']]);
+  assert.equal(ss.superseded, undefined);
+});
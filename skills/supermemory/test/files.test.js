@@ -0,0 +1,186 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, createFakeClient, httpError } = require('./helpers');
+
+function writeNote(name, text) {
+  const file = path.join(sm.CONFIG.WORKSPACE, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+function dailyNotes(count) {
+  for (let day = 1; day <= count; day++) {
+    writeNote(`memory/2026-03-${String(day).padStart(2, '0')}.md`, `note ${day}`);
+  }
+}
+
+test('only changed files are uploaded on later runs', async t => {
+  useTempConfig(t);
+  writeNote('MEMORY.md', '- Банк: Тинькофф');
+  writeNote('memory/2026-03-01.md', 'Созвон');
+  const client = createFakeClient();
+
+  assert.deepEqual(await sm.syncFiles(client), { synced: 2, unchanged: 0, deleted: 0, queued: 0, failed: 0 });
+  assert.deepEqual(await sm.syncFiles(client), { synced: 0, unchanged: 2, deleted: 0, queued: 0, failed: 0 });
+
+  writeNote('memory/2026-03-01.md', 'Созвон перенесли');
+  assert.deepEqual(await sm.syncFiles(client), { synced: 1, unchanged: 1, deleted: 0, queued: 0, failed: 0 });
+  assert.deepEqual(client.calls.map(c => c.customId), ['memory-md-main', 'daily-2026-03-01', 'daily-2026-03-01']);
+  assert.equal(client.calls[2].content, 'Созвон перенесли');
+
+  assert.equal((await sm.syncFiles(client, { force: true })).synced, 2);
+});
+
+test('the manifest records hashes by customId', async t => {
+  useTempConfig(t);
+  writeNote('memory/2026-03-01.md', 'Созвон');
+
+  await sm.syncFiles(createFakeClient());
+
+  const entry = sm.loadManifest().documents['daily-2026-03-01'];
+  assert.equal(entry.file, 'memory/2026-03-01.md');
+  assert.match(entry.hash, /^[0-9a-f]{64}$/);
+});
+
+test('daily notes are limited to the recent ones unless backfilling', async t => {
+  useTempConfig(t, { DAILY_NOTES_RECENT: 3 });
+  dailyNotes(5);
+  const client = createFakeClient();
+
+  await sm.syncFiles(client);
+  assert.deepEqual(client.calls.map(c => c.customId), ['daily-2026-03-05', 'daily-2026-03-04', 'daily-2026-03-03']);
+
+  await sm.syncFiles(client, { backfill: true });
+  assert.deepEqual(client.calls.slice(3).map(c => c.customId), ['daily-2026-03-02', 'daily-2026-03-01']);
+});
+
+test('tracked notes outside the recent window still sync their edits', async t => {
+  useTempConfig(t, { DAILY_NOTES_RECENT: 1 });
+  dailyNotes(2);
+  const client = createFakeClient();
+  await sm.syncFiles(client, { backfill: true });
+
+  writeNote('memory/2026-03-01.md', 'note 1, edited');
+  const result = await sm.syncFiles(client);
+
+  assert.equal(result.synced, 1);
+  assert.equal(client.calls.at(-1).customId, 'daily-2026-03-01');
+});
+
+test('removed and emptied notes are deleted from the backend', async t => {
+  useTempConfig(t);
+  dailyNotes(2);
+  writeNote('MEMORY.md', '- факт');
+  const client = createFakeClient();
+  await sm.syncFiles(client);
+
+  fs.rmSync(path.join(sm.CONFIG.WORKSPACE, 'memory', '2026-03-01.md'));
+  writeNote('MEMORY.md', '   \n');
+  const result = await sm.syncFiles(client);
+
+  assert.equal(result.deleted, 2);
+  assert.deepEqual(client.deleted.map(d => d.customId).sort(), ['daily-2026-03-01', 'memory-md-main']);
+  assert.deepEqual(Object.keys(sm.loadManifest().documents), ['daily-2026-03-02']);
+});
+
+test('failed uploads are queued for replay and failed deletes retried on the next run', async t => {
+  useTempConfig(t, { API_RETRY_ATTEMPTS: 1 });
+  writeNote('memory/2026-03-01.md', 'Созвон');
+  const failing = createFakeClient({ failWith: () => httpError(500) });
+
+  assert.equal((await sm.syncFiles(failing)).queued, 1);
+  assert.deepEqual(sm.loadOutbox().pending.map(p => p.customId), ['daily-2026-03-01']);
+
+  const client = createFakeClient();
+  assert.equal((await sm.syncFiles(client)).unchanged, 1, 'the queued upload is not sent twice');
+  await sm.flushOutbox(client);
+  assert.deepEqual(client.calls.map(c => c.customId), ['daily-2026-03-01']);
+
+  fs.rmSync(path.join(sm.CONFIG.WORKSPACE, 'memory', '2026-03-01.md'));
+  client.delete = async () => { throw httpError(500); };
+  assert.equal((await sm.syncFiles(client)).failed, 1);
+  assert.ok(sm.loadManifest().documents['daily-2026-03-01']);
+});
+
+test('watchMemoryFiles reports MEMORY.md and daily notes only', async t => {
+  useTempConfig(t);
+  writeNote('MEMORY.md', 'x');
+  writeNote('memory/2026-03-01.md', 'x');
+  const seen = [];
+  const watcher = sm.watchMemoryFiles(name => seen.push(name));
+  t.after(() => watcher.close());
+  assert.equal(watcher.active, true);
+
+  writeNote('memory/sm-sync-state.json', '{}');
+  writeNote('memory/2026-03-02.md', 'y');
+  writeNote('MEMORY.md', 'y');
+  await new Promise(r => setTimeout(r, 100));
+
+  assert.ok(seen.includes('2026-03-02.md'));
+  assert.ok(seen.includes('MEMORY.md'));
+  assert.ok(!seen.includes('sm-sync-state.json'));
+});
+
+test('MEMORY.md is uploaded per section with heading path metadata', async t => {
+  useTempConfig(t);
+  writeNote('MEMORY.md', 'О пользователе\n\n# Финансы\n## Банки\n- Тинькофф\n# Люди\nМаша — бухгалтер\n');
+  const client = createFakeClient();
+
+  await sm.syncFiles(client);
+
+  assert.deepEqual(client.calls.map(c => c.customId), ['memory-md-main', 'memory-md-finansy--banki', 'memory-md-lyudi']);
+  assert.equal(client.calls[1].content, '# Финансы\n## Банки\n\n- Тинькофф');
+  assert.deepEqual(client.calls[1].metadata, {
+    type: 'long_term_memory', file: 'MEMORY.md', heading_path: 'Финансы > Банки', heading: 'Банки',
+  });
+});
+
+test('only edited sections are re-uploaded and removed sections are deleted', async t => {
+  useTempConfig(t);
+  writeNote('MEMORY.md', '# Финансы\n- Тинькофф\n# Люди\nМаша\n# Проекты\nСайт\n');
+  const client = createFakeClient();
+  await sm.syncFiles(client);
+  client.calls.length = 0;
+  client.deleted.length = 0;
+
+  writeNote('MEMORY.md', '# Финансы\n- Тинькофф\n# Люди\nМаша, Петя\n');
+  const result = await sm.syncFiles(client);
+
+  assert.deepEqual(result, { synced: 1, unchanged: 1, deleted: 1, queued: 0, failed: 0 });
+  assert.deepEqual(client.calls.map(c => c.customId), ['memory-md-lyudi']);
+  assert.deepEqual(client.deleted.map(d => d.customId), ['memory-md-proekty']);
+});
+
+test('the whole-file MEMORY.md document of older versions is deleted once', async t => {
+  useTempConfig(t);
+  writeNote('MEMORY.md', '# Финансы\n- Тинькофф\n');
+  const client = createFakeClient();
+
+  await sm.syncFiles(client);
+  await sm.syncFiles(client);
+
+  assert.deepEqual(client.deleted.map(d => d.customId), ['memory-md-main']);
+});
+
+test('section customIds are unique, valid and at most 100 chars', async t => {
+  useTempConfig(t);
+  const long = 'Очень длинный заголовок раздела про всё на свете';
+  writeNote('MEMORY.md', `# Заметки\na\n# Заметки\nb\n# 🚀\nc\n# ${long}\n## ${long}\nd\n`);
+  const client = createFakeClient();
+
+  await sm.syncFiles(client);
+
+  const ids = client.calls.map(c => c.customId);
+  assert.equal(new Set(ids).size, 4);
+  assert.deepEqual(ids.slice(0, 2), ['memory-md-zametki', 'memory-md-zametki-2']);
+  for (const id of ids) {
+    assert.match(id, /^[A-Za-z0-9_-]+$/);
+    assert.ok(id.length <= 100, id);
+  }
+  assert.equal(sm.sectionCustomId([long, long]), ids[3]);
+});
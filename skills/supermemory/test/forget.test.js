@@ -0,0 +1,205 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, writeSession, messageLine, appendLines, httpError } = require('./helpers');
+
+function freshState() {
+  return { version: 2, agents: {} };
+}
+
+async function storedIds(client) {
+  const ids = [];
+  for await (const doc of sm.listDocuments(client)) ids.push(doc.customId);
+  return ids;
+}
+
+async function syncedSession(t) {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2 });
+  const file = writeSession(dir, 'agent:main:main', 8, 's1');
+  const client = sm.createClient({ backend: 'local' });
+  const state = freshState();
+  await sm.syncSessions(client, state);
+  sm.saveState(state);
+  return { client, file };
+}
+
+test('forget options need a selector and validate their flags', () => {
+  const parse = argv => sm.parseForgetOptions(sm.parseCommandLine(argv, sm.FORGET_FLAGS).values);
+
+  assert.deepEqual(parse(['--id', 'a', '--id', 'b', '--yes']), { ids: ['a', 'b'], yes: true, dryRun: false });
+  assert.deepEqual(parse(['--session', 'agent:main:main', '--lines', '5-8', '--dry-run']),
+    { ids: [], yes: false, dryRun: true, session: 'agent:main:main', lines: { start: 5, end: 8 } });
+  assert.deepEqual(parse(['--match', 'пароль', '--limit', '3']),
+    { ids: [], yes: false, dryRun: false, match: 'пароль', limit: 3, threshold: 0.4 });
+  assert.throws(() => parse([]), /select something to forget/);
+  assert.throws(() => parse(['--lines', '1-2']), /--lines needs --session/);
+  assert.throws(() => parse(['--since', '2026-03-01', '--limit', '3']), /only apply to --match/);
+  assert.throws(() => parse(['--since', '2026-03-05', '--until', '2026-03-01']), /is after/);
+});
+
+test('forgetting a line range deletes its batch and drops it from the sync state', async t => {
+  const { client } = await syncedSession(t);
+
+  const targets = await sm.findForgetTargets(client, { session: 'agent:main:main', lines: { start: 5, end: 6 } });
+  assert.deepEqual(targets.map(t => t.customId), ['session-s1-lines-5-8']);
+  assert.match(sm.describeTarget(targets[0]), /^session-s1-lines-5-8 \(conversation, 2026-02-14, agent:main:main lines 5-8\) — /);
+
+  assert.deepEqual(await sm.forgetDocuments(client, targets), { deleted: 1, missing: 0, failed: 0 });
+  assert.deepEqual(await storedIds(client), ['session-s1-lines-1-4']);
+
+  const ss = sm.loadState().agents.main.sessions['agent:main:main'];
+  assert.deepEqual(ss.batches.map(b => [b.start, b.end]), [[1, 4]]);
+  assert.equal(ss.forgotten.length, 4);
+});
+
+test('forgotten messages are not uploaded again when the session is re-synced', async t => {
+  const { client, file } = await syncedSession(t);
+  await sm.forgetDocuments(client, await sm.findForgetTargets(client, { ids: ['session-s1-lines-5-8'] }));
+
+  // A rewrite shifts every line and triggers a full re-sync under a new generation
+  fs.writeFileSync(file, JSON.stringify({ type: 'session' }) + '\n' + fs.readFileSync(file, 'utf8'));
+  const state = sm.loadState();
+  await sm.syncSessions(client, state);
+
+  const ids = await storedIds(client);
+  assert.deepEqual(ids.filter(id => id.includes('-g1-')), ['session-s1-g1-lines-2-5']);
+  const { results } = await client.search({ q: 'message 6', containerTag: sm.CONFIG.CONTAINER_TAG });
+  assert.ok(results.every(r => !/message [5-8]/.test(r.chunk)));
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 9);
+});
+
+test('forgotten files stay deleted until their content changes', async t => {
+  useTempConfig(t);
+  const note = path.join(sm.CONFIG.WORKSPACE, 'memory', '2026-03-01.md');
+  fs.mkdirSync(path.dirname(note), { recursive: true });
+  fs.writeFileSync(note, 'Пароль от роутера: hunter2');
+  fs.writeFileSync(path.join(sm.CONFIG.WORKSPACE, 'memory', '2026-03-02.md'), 'Созвон');
+  const client = sm.createClient({ backend: 'local' });
+  await sm.syncFiles(client);
+
+  const targets = await sm.findForgetTargets(client, { since: '2026-03-01', until: '2026-03-01' });
+  assert.deepEqual(targets.map(t => t.customId), ['daily-2026-03-01']);
+  await sm.forgetDocuments(client, targets);
+  assert.equal(sm.loadManifest().documents['daily-2026-03-01'].forgotten, true);
+
+  assert.deepEqual(await sm.syncFiles(client, { force: true }), { synced: 1, unchanged: 1, deleted: 0, queued: 0, failed: 0 });
+  assert.deepEqual(await storedIds(client), ['daily-2026-03-02']);
+
+  fs.writeFileSync(note, 'Пароль сменили');
+  assert.equal((await sm.syncFiles(client)).synced, 1);
+  assert.ok(!sm.loadManifest().documents['daily-2026-03-01'].forgotten);
+});
+
+test('a sync holding older state or manifest does not write forgotten documents back', async t => {
+  const { client, file } = await syncedSession(t);
+  fs.mkdirSync(path.join(sm.CONFIG.WORKSPACE, 'memory'), { recursive: true });
+  fs.writeFileSync(path.join(sm.CONFIG.WORKSPACE, 'memory', '2026-03-01.md'), 'Пароль от роутера');
+  await sm.syncFiles(client);
+  // What the daemon loaded at the start of its tick
+  const daemonState = sm.loadState();
+  const daemonManifest = sm.loadManifest();
+
+  await sm.forgetDocuments(client, await sm.findForgetTargets(client, { ids: ['session-s1-lines-5-8', 'daily-2026-03-01'] }));
+  appendLines(file, [messageLine('user', 'message 9'), messageLine('assistant', 'message 10')]);
+  await sm.syncSessions(client, daemonState);
+  sm.saveManifest(daemonManifest);
+
+  const ss = sm.loadState().agents.main.sessions['agent:main:main'];
+  assert.deepEqual(ss.batches.map(b => [b.start, b.end]), [[1, 4], [9, 10]]);
+  assert.equal(ss.forgotten.length, 4);
+  assert.equal(sm.loadManifest().documents['daily-2026-03-01'].forgotten, true);
+  assert.ok(!(await storedIds(client)).includes('session-s1-lines-5-8'));
+});
+
+test('forgotten messages and files stay out of the offline fallback', async t => {
+  const { client } = await syncedSession(t);
+  const write = (name, text) => {
+    fs.mkdirSync(path.dirname(path.join(sm.CONFIG.WORKSPACE, name)), { recursive: true });
+    fs.writeFileSync(path.join(sm.CONFIG.WORKSPACE, name), text);
+  };
+  write('memory/2026-03-01.md', 'message in a daily note');
+  write('notes/a.md', 'message in a source file');
+  fs.writeFileSync(sm.CONFIG.FILES_CONFIG, JSON.stringify({ sources: [{ name: 'notes', include: 'notes/*.md' }] }));
+  await sm.syncFiles(client);
+  const found = async () => (await sm.offlineSearch('message', { limit: 20 })).results
+    .map(r => r.metadata.line_start || r.metadata.file).sort();
+  assert.deepEqual(await found(), ['1', '2', '2026-03-01.md', '3', '4', '5', '6', '7', '8', 'notes/a.md']);
+
+  const ids = ['session-s1-lines-5-8', 'daily-2026-03-01', 'notes-notes-a'];
+  assert.equal((await sm.forgetDocuments(client, await sm.findForgetTargets(client, { ids }))).deleted, 3);
+  assert.deepEqual(await found(), ['1', '2', '3', '4']);
+
+  // Changed content is uploaded again, so it is searchable again
+  write('memory/2026-03-01.md', 'another message in a daily note');
+  assert.deepEqual(await found(), ['1', '2', '2026-03-01.md', '3', '4']);
+});
+
+test('forget by search match, and documents already gone are reported as missing', async t => {
+  useTempConfig(t);
+  const client = sm.createClient({ backend: 'local' });
+  const containerTag = sm.CONFIG.CONTAINER_TAG;
+  await client.add({ content: 'токен доступа abc', containerTag, customId: 'leak', metadata: { type: 'daily_memory' } });
+  await client.add({ content: 'погода', containerTag, customId: 'weather', metadata: { type: 'daily_memory' } });
+
+  const targets = await sm.findForgetTargets(client, { match: 'токен', threshold: 0, limit: 10, ids: ['gone'] });
+  assert.deepEqual(targets.map(t => t.customId), ['gone', 'leak']);
+  assert.deepEqual(await sm.forgetDocuments(client, targets), { deleted: 1, missing: 1, failed: 0 });
+  assert.deepEqual(await storedIds(client), ['weather']);
+});
+
+test('only deleted documents and ones gone from every container are recorded as forgotten', async t => {
+  const { client } = await syncedSession(t);
+  const batches = () => sm.loadState().agents.main.sessions['agent:main:main'].batches.map(b => [b.start, b.end]);
+
+  const failing = { ...client, async delete() { throw httpError(400, 'Bad Request'); } };
+  const first = { customId: 'session-s1-lines-1-4', containerTag: null, metadata: {} };
+  assert.deepEqual(await sm.forgetDocuments(failing, [first]), { deleted: 0, missing: 0, failed: 1 });
+  assert.deepEqual(batches(), [[1, 4], [5, 8]]);
+
+  // A stale container tag does not make a stored document look gone
+  const stale = { customId: 'session-s1-lines-5-8', containerTag: 'tester-old', metadata: {} };
+  assert.deepEqual(await sm.forgetDocuments(client, [stale]), { deleted: 1, missing: 0, failed: 0 });
+  assert.deepEqual(await storedIds(client), ['session-s1-lines-1-4']);
+  assert.deepEqual(batches(), [[1, 4]]);
+});
+
+test('forget finds and deletes documents in agent and routed containers', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2, AGENT_TAGS: 'ops=tester-ops' });
+  fs.writeFileSync(sm.CONFIG.RULES_CONFIG, JSON.stringify({
+    rules: [{ session: 'agent:main:acme', action: 'route', containerTag: 'tester-acme' }],
+  }));
+  writeSession(dir, 'agent:main:acme', 4, 'acme');
+  const opsDir = path.join(sm.CONFIG.AGENTS_ROOT, 'ops', 'sessions');
+  fs.mkdirSync(opsDir, { recursive: true });
+  const opsFile = path.join(opsDir, 'ops.jsonl');
+  fs.copyFileSync(writeSession(dir, 'agent:main:tmp', 8, 'ops'), opsFile);
+  fs.writeFileSync(path.join(opsDir, 'sessions.json'), JSON.stringify({ 'agent:ops:main': { sessionFile: opsFile, sessionId: 'ops' } }));
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, JSON.stringify({ 'agent:main:acme': { sessionFile: path.join(dir, 'sessions', 'acme.jsonl'), sessionId: 'acme' } }));
+  const client = sm.createClient({ backend: 'local' });
+  const state = freshState();
+  for (const agent of sm.listAgents()) await sm.syncSessions(client, state, agent);
+  sm.saveState(state);
+  const idsIn = async containerTag => {
+    const ids = [];
+    for await (const doc of sm.listDocuments(client, containerTag)) ids.push(doc.customId);
+    return ids;
+  };
+  assert.deepEqual(await idsIn('tester-ops'), ['session-ops-lines-1-4', 'session-ops-lines-5-8']);
+
+  const bySession = await sm.findForgetTargets(client, { session: 'agent:ops:main', lines: { start: 5, end: 6 } });
+  assert.deepEqual(bySession.map(t => [t.customId, t.containerTag]), [['session-ops-lines-5-8', 'tester-ops']]);
+  assert.match(sm.describeTarget(bySession[0]), /, in tester-ops\) — /);
+
+  const byId = await sm.findForgetTargets(client, { ids: ['session-ops-lines-1-4', 'session-acme-lines-1-4'] });
+  assert.deepEqual(byId.map(t => t.containerTag), ['tester-ops', 'tester-acme']);
+  assert.deepEqual(await sm.forgetDocuments(client, [...bySession, ...byId]), { deleted: 3, missing: 0, failed: 0 });
+  assert.deepEqual(await idsIn('tester-ops'), []);
+  assert.deepEqual(await idsIn('tester-acme'), []);
+  assert.deepEqual(sm.loadState().agents.ops.sessions['agent:ops:main'].batches, []);
+
+  const byMatch = await sm.findForgetTargets(client, { match: 'message', threshold: 0, limit: 10 });
+  assert.deepEqual(byMatch, []);
+});
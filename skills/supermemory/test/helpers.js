@@ -0,0 +1,162 @@
+'use strict';
+
+// Test helpers: isolated temp dirs, fixture sessions and a fake backend.
+// Must be required before lib/sm-core so the container tag check passes quietly
+// and no .env or config file of the machine running the tests is read.
+process.env.SM_CONTAINER_TAG = process.env.SM_CONTAINER_TAG || 'sm-unit';
+process.env.SM_ENV_FILE = '';
+process.env.SM_CONFIG = '';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sm = require('../lib/sm-core');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+sm.setLogger(() => {});
+
+/**
+ * Create a temp dir for one test and point CONFIG paths into it.
+ * Previous CONFIG values are restored when the test finishes.
+ * @param {import('node:test').TestContext} t
+ * @param {Object} [overrides] - extra CONFIG overrides for this test
+ * @returns {string} temp dir
+ */
+function useTempConfig(t, overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sm-test-'));
+  const saved = { ...sm.CONFIG };
+  sm.configure({
+    SESSIONS_DIR: path.join(dir, 'sessions'),
+    SESSIONS_META: path.join(dir, 'sessions', 'sessions.json'),
+    AGENTS_ROOT: path.join(dir, 'agents'),
+    AGENTS: [],
+    AGENT_TAGS: '',
+    STATE_FILE: path.join(dir, 'memory', 'sm-sync-state.json'),
+    WORKSPACE: path.join(dir, 'workspace'),
+    LOCAL_STORE_PATH: path.join(dir, 'memory', 'sm-local-store.json'),
+    RECALL_CACHE_PATH: path.join(dir, 'memory', 'sm-recall-cache.json'),
+    FILES_MANIFEST: path.join(dir, 'memory', 'sm-files-manifest.json'),
+    OUTBOX_PATH: path.join(dir, 'memory', 'sm-outbox.json'),
+    DEAD_LETTERS_PATH: path.join(dir, 'memory', 'sm-dead-letters.json'),
+    FILES_CONFIG: path.join(dir, 'sm-files.json'),
+    RULES_CONFIG: path.join(dir, 'sm-rules.json'),
+    API_RETRY_BASE_DELAY_MS: 1,
+    // One upload at a time keeps call order deterministic; pool tests raise it
+    UPLOAD_CONCURRENCY: 1,
+    API_RATE_LIMIT: 0,
+    ...overrides,
+  });
+  fs.mkdirSync(path.join(dir, 'sessions'), { recursive: true });
+  t.after(() => {
+    sm.configure(saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+/**
+ * Install a fixture sessions.json (relative sessionFile paths are resolved
+ * against the fixtures dir and copied into the temp sessions dir)
+ * @param {string} dir - temp dir from useTempConfig
+ * @param {string} [name] - fixture file name
+ */
+function installSessionsFixture(dir, name = 'sessions.json') {
+  const meta = JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+  for (const entry of Object.values(meta)) {
+    if (!entry.sessionFile) continue;
+    const src = path.join(FIXTURES, entry.sessionFile);
+    entry.sessionFile = path.join(dir, 'sessions', path.basename(entry.sessionFile));
+    if (fs.existsSync(src)) fs.copyFileSync(src, entry.sessionFile);
+  }
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Build a JSONL session record for a plain text message
+ * @param {string} role
+ * @param {string} text
+ * @param {number} [timestamp]
+ * @returns {string}
+ */
+function messageLine(role, text, timestamp = Date.UTC(2026, 1, 14, 10)) {
+  return JSON.stringify({ type: 'message', message: { role, content: [{ type: 'text', text }], timestamp } });
+}
+
+/**
+ * Write a generated session with `count` alternating user/assistant messages
+ * and register it in sessions.json
+ * @param {string} dir - temp dir from useTempConfig
+ * @param {string} key - session key
+ * @param {number} count - number of messages
+ * @param {string} [id] - session id
+ * @returns {string} session file path
+ */
+function writeSession(dir, key, count, id = key.replace(/\W+/g, '-')) {
+  const file = path.join(dir, 'sessions', `${id}.jsonl`);
+  const lines = [];
+  for (let i = 1; i <= count; i++) {
+    lines.push(messageLine(i % 2 ? 'user' : 'assistant', `message ${i}`, Date.UTC(2026, 1, 14, 10, i)));
+  }
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+
+  const meta = fs.existsSync(sm.CONFIG.SESSIONS_META)
+    ? JSON.parse(fs.readFileSync(sm.CONFIG.SESSIONS_META, 'utf8'))
+    : {};
+  meta[key] = { sessionFile: file, sessionId: id };
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, JSON.stringify(meta, null, 2));
+  return file;
+}
+
+/**
+ * Append raw lines to a session file
+ * @param {string} file
+ * @param {string[]} lines
+ */
+function appendLines(file, lines) {
+  if (lines.length) fs.appendFileSync(file, lines.join('\n') + '\n');
+}
+
+/**
+ * Fake backend that records add() and delete() calls
+ * @param {Object} [options]
+ * @param {(params: Object, callIndex: number) => Error|undefined} [options.failWith]
+ *   return an error to make that add() call reject
+ * @returns {Object} backend with `calls` and `deleted` arrays
+ */
+function createFakeClient({ failWith } = {}) {
+  const calls = [];
+  const deleted = [];
+  return {
+    name: 'fake',
+    calls,
+    deleted,
+    async add(params) {
+      const err = failWith && failWith(params, calls.length);
+      if (err) throw err;
+      calls.push(params);
+      return { id: `doc-${calls.length}`, status: 'queued' };
+    },
+    async delete(params) {
+      deleted.push(params);
+      return { deleted: true };
+    },
+    async search() { return { results: [], timing: 0, total: 0 }; },
+    async profile() { return { profile: { static: [], dynamic: [] } }; },
+  };
+}
+
+/**
+ * Error shaped like an HTTP error from the API
+ * @param {number} statusCode
+ * @param {string} [message]
+ * @returns {Error}
+ */
+function httpError(statusCode, message = `HTTP ${statusCode}`) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+module.exports = {
+  sm, FIXTURES, useTempConfig, installSessionsFixture, messageLine, writeSession,
+  appendLines, createFakeClient, httpError,
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig } = require('./helpers');
+
+function createLocal(t) {
+  useTempConfig(t);
+  return sm.createClient({ backend: 'local' });
+}
+
+test('local add upserts by customId within a container', async t => {
+  const client = createLocal(t);
+  const first = await client.add({ content: 'old text', containerTag: 'c1', customId: 'doc-1' });
+  const second = await client.add({ content: 'new text', containerTag: 'c1', customId: 'doc-1' });
+  await client.add({ content: 'other container', containerTag: 'c2', customId: 'doc-1' });
+
+  assert.equal(first.id, second.id);
+  const { results } = await client.search({ q: 'text', containerTag: 'c1' });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].chunk, 'new text');
+  assert.equal(results[0].metadata.customId, 'doc-1');
+});
+
+test('local delete removes a document by customId within its container', async t => {
+  const client = createLocal(t);
+  await client.add({ content: 'daily note', containerTag: 'c1', customId: 'daily-2026-03-01' });
+  await client.add({ content: 'daily note', containerTag: 'c2', customId: 'daily-2026-03-01' });
+
+  assert.deepEqual(await client.delete({ containerTag: 'c1', customId: 'daily-2026-03-01' }), { deleted: true });
+  assert.deepEqual(await client.delete({ containerTag: 'c1', customId: 'daily-2026-03-01' }), { deleted: false });
+  assert.equal((await client.search({ q: 'daily', containerTag: 'c1' })).results.length, 0);
+  assert.equal((await client.search({ q: 'daily', containerTag: 'c2' })).results.length, 1);
+});
+
+test('local delete also accepts the document id', async t => {
+  const client = createLocal(t);
+  const { id } = await client.add({ content: 'note', containerTag: 'c1', customId: 'doc-1' });
+
+  assert.deepEqual(await client.delete({ containerTag: 'c1', id }), { deleted: true });
+  assert.deepEqual(await client.delete({ containerTag: 'c1', id }), { deleted: false });
+});
+
+test('local list pages through the documents of a container', async t => {
+  const client = createLocal(t);
+  for (const n of [1, 2, 3]) await client.add({ content: `doc ${n}`, containerTag: 'c1', customId: `doc-${n}` });
+  await client.add({ content: 'other', containerTag: 'c2', customId: 'doc-x' });
+
+  const first = await client.list({ containerTag: 'c1', page: 1, limit: 2 });
+  const second = await client.list({ containerTag: 'c1', page: 2, limit: 2 });
+  assert.deepEqual(first.documents.map(d => d.customId), ['doc-1', 'doc-2']);
+  assert.deepEqual(second.documents.map(d => d.customId), ['doc-3']);
+  assert.equal(first.pagination.totalPages, 2);
+
+  const all = [];
+  for await (const doc of sm.listDocuments(client, 'c1')) all.push(doc.customId);
+  assert.deepEqual(all, ['doc-1', 'doc-2', 'doc-3']);
+});
+
+test('local search ranks by keyword coverage and honours threshold and limit', async t => {
+  const client = createLocal(t);
+  await client.add({ content: 'выручка за март выросла', containerTag: 'c', customId: 'a' });
+  await client.add({ content: 'выручка за апрель', containerTag: 'c', customId: 'b' });
+  await client.add({ content: 'погода', containerTag: 'c', customId: 'c' });
+
+  const all = await client.search({ q: 'Выручка март', containerTag: 'c' });
+  assert.deepEqual(all.results.map(r => r.metadata.customId), ['a', 'b']);
+  assert.equal(all.results[0].similarity, 1);
+
+  const strict = await client.search({ q: 'выручка март', containerTag: 'c', threshold: 0.9 });
+  assert.deepEqual(strict.results.map(r => r.metadata.customId), ['a']);
+
+  const limited = await client.search({ q: 'выручка', containerTag: 'c', limit: 1 });
+  assert.equal(limited.results.length, 1);
+});
+
+test('local search applies metadata filters', async t => {
+  const client = createLocal(t);
+  await client.add({ content: 'release notes', containerTag: 'c', customId: 'a', metadata: { type: 'conversation' } });
+  await client.add({ content: 'release plan', containerTag: 'c', customId: 'b', metadata: { type: 'daily_memory' } });
+
+  const { results } = await client.search({
+    q: 'release', containerTag: 'c',
+    filters: { AND: [{ key: 'type', value: 'daily_memory' }] },
+  });
+  assert.deepEqual(results.map(r => r.metadata.customId), ['b']);
+});
+
+test('local profile derives static facts from MEMORY.md bullets', async t => {
+  const client = createLocal(t);
+  await client.add({
+    content: '# Memory\n- Likes tea\n* Lives in Berlin\nplain line',
+    containerTag: 'c', customId: 'memory-md-main', metadata: { type: 'long_term_memory' },
+  });
+  await client.add({ content: 'Discussed the release', containerTag: 'c', customId: 'daily-2026-02-14' });
+
+  const { profile } = await client.profile({ containerTag: 'c' });
+  assert.deepEqual(profile.static, ['Likes tea', 'Lives in Berlin']);
+  assert.deepEqual(profile.dynamic, ['Discussed the release']);
+});
+
+test('createClient rejects unknown backends', () => {
+  assert.throws(() => sm.createClient({ backend: 'nope' }), /Unknown backend "nope"/);
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm } = require('./helpers');
+
+test('splitSections keeps the heading path of nested sections', () => {
+  const sections = sm.splitSections([
+    'Вводный текст',
+    '# Финансы',
+    '## Банки',
+    '- Тинькофф',
+    '## Налоги ##',
+    'УСН 6%',
+    '# Люди',
+    'Маша — бухгалтер',
+  ].join('\n'));
+
+  assert.deepEqual(sections.map(s => [s.headings, s.body]), [
+    [[], 'Вводный текст'],
+    [['Финансы'], ''],
+    [['Финансы', 'Банки'], '- Тинькофф'],
+    [['Финансы', 'Налоги'], 'УСН 6%'],
+    [['Люди'], 'Маша — бухгалтер'],
+  ]);
+  assert.deepEqual(sections[2].headingLines, ['# Финансы', '## Банки']);
+});
+
+test('splitSections ignores headings inside code fences', () => {
+  const sections = sm.splitSections('# Скрипты\n```bash\n# not a heading\n```\n~~~\n## nor this\n~~~');
+  assert.equal(sections.length, 2);
+  assert.match(sections[1].body, /# not a heading[\s\S]*## nor this/);
+});
+
+test('slugify transliterates Cyrillic and collapses punctuation', () => {
+  assert.equal(sm.slugify('Финансы и банки'), 'finansy-i-banki');
+  assert.equal(sm.slugify('  Щука, Ёж & Café! '), 'shchuka-ezh-cafe');
+  assert.equal(sm.slugify('Йод'), 'yod');
+  assert.equal(sm.slugify('🚀'), '');
+});
+
+test('parseFrontMatter reads scalars and lists and strips the block', () => {
+  const { data, body } = sm.parseFrontMatter([
+    '---',
+    'title: "Решение: Postgres"',
+    'date: 2026-03-05',
+    'tags: [db, infra]',
+    'owners:',
+    '  - маша',
+    '  - петя',
+    'priority: 2',
+    'draft: false',
+    'nested:',
+    '  key: value',
+    'status: accepted # for now',
+    '---',
+    '# Контекст',
+  ].join('\n'));
+
+  assert.deepEqual(data, {
+    title: 'Решение: Postgres', date: '2026-03-05', tags: ['db', 'infra'], owners: ['маша', 'петя'],
+    priority: 2, draft: false, status: 'accepted',
+  });
+  assert.equal(body, '# Контекст');
+  assert.deepEqual(sm.parseFrontMatter('# Без front-matter\n---\n'), { data: {}, body: '# Без front-matter\n---\n' });
+});
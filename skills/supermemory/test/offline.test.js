@@ -0,0 +1,113 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, createFakeClient, messageLine, httpError } = require('./helpers');
+
+function writeFixture(dir) {
+  const file = path.join(dir, 'sessions', 'offline.jsonl');
+  fs.writeFileSync(file, [
+    messageLine('user', 'Какая выручка была в марте?', Date.UTC(2026, 2, 2, 10)),
+    messageLine('assistant', 'Выручка за март составила 1.2 млн, рост 15%.', Date.UTC(2026, 2, 2, 10, 1)),
+    messageLine('user', 'Напомни про отпуск в августе', Date.UTC(2026, 1, 10, 9)),
+  ].join('\n') + '\n');
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, JSON.stringify({
+    'agent:main:main': { sessionFile: file, sessionId: 'offline' },
+  }));
+
+  fs.mkdirSync(path.join(sm.CONFIG.WORKSPACE, 'memory'), { recursive: true });
+  fs.writeFileSync(path.join(sm.CONFIG.WORKSPACE, 'MEMORY.md'),
+    '# Финансы\n\nПлан по выручке на квартал: 4 млн.\n\nБанк: Тинькофф.\n');
+  fs.writeFileSync(path.join(sm.CONFIG.WORKSPACE, 'memory', '2026-03-05.md'), 'Созвон с бухгалтером про налоги.\n');
+}
+
+function unreachableClient() {
+  const client = createFakeClient();
+  client.search = async () => { throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }); };
+  client.profile = client.search;
+  return client;
+}
+
+test('BM25 ranks passages by matching terms and ignores non-matches', () => {
+  const ranked = sm.rankBm25([
+    { text: 'погода в Москве' },
+    { text: 'выручка за март и выручка за февраль' },
+    { text: 'выручка' },
+  ], 'выручка март');
+
+  assert.equal(ranked.length, 2);
+  assert.equal(ranked[0].passage.text, 'выручка за март и выручка за февраль');
+  assert.equal(ranked[0].coverage, 1);
+  assert.equal(ranked[1].coverage, 0.5);
+  assert.deepEqual(sm.rankBm25([{ text: 'что-то' }], ''), []);
+});
+
+test('offline search covers session messages and memory files with their metadata', async t => {
+  const dir = useTempConfig(t);
+  writeFixture(dir);
+
+  const { results } = await sm.offlineSearch('выручка март');
+  assert.equal(results[0].metadata.type, 'conversation');
+  assert.equal(results[0].metadata.session_key, 'agent:main:main');
+  assert.equal(results[0].metadata.session_date, '2026-03-02');
+  assert.ok(results.some(r => r.metadata.type === 'long_term_memory' && /4 млн/.test(r.chunk)));
+
+  const daily = await sm.offlineSearch('бухгалтер', { filters: sm.buildSearchFilters({ type: 'daily_memory' }) });
+  assert.deepEqual(daily.results.map(r => r.metadata.date), ['2026-03-05']);
+});
+
+test('offline search covers the files of configured sources, and skips a broken sources config', async t => {
+  const dir = useTempConfig(t);
+  writeFixture(dir);
+  fs.mkdirSync(path.join(sm.CONFIG.WORKSPACE, 'decisions'), { recursive: true });
+  fs.writeFileSync(path.join(sm.CONFIG.WORKSPACE, 'decisions', 'bank.md'), '# Банк\n\nПереходим в Сбер с апреля.\n');
+  fs.writeFileSync(sm.CONFIG.FILES_CONFIG, JSON.stringify({
+    sources: [{ name: 'decisions', include: 'decisions/*.md', type: 'decision_log' }],
+  }));
+
+  const { results } = await sm.offlineSearch('Сбер');
+  assert.equal(results.length, 1);
+  assert.match(results[0].chunk, /Переходим в Сбер/);
+  assert.deepEqual([results[0].metadata.type, results[0].metadata.source, results[0].metadata.file],
+    ['decision_log', 'decisions', 'decisions/bank.md']);
+
+  fs.writeFileSync(sm.CONFIG.FILES_CONFIG, '{ broken');
+  assert.deepEqual((await sm.offlineSearch('Сбер')).results, []);
+  assert.equal((await sm.offlineSearch('бухгалтер')).results.length, 1);
+});
+
+test('recall falls back to offline search when the API is unreachable', async t => {
+  const dir = useTempConfig(t);
+  writeFixture(dir);
+
+  const response = await sm.recall(unreachableClient(), 'отпуск август', { since: '2026-02-01', until: '2026-02-28' });
+  assert.equal(response.source, 'fallback');
+  assert.match(response.fallback.reason, /fetch failed/);
+  assert.equal(response.profile, null);
+  assert.equal(response.search.results.length, 1);
+  assert.match(response.search.results[0].chunk, /отпуск/);
+
+  const data = sm.recallToJson('отпуск август', {}, response);
+  assert.equal(data.source, 'fallback');
+  assert.match(sm.formatRecall(data, 'text'), /^⚠️ OFFLINE FALLBACK/);
+  assert.match(sm.formatRecall(data, 'markdown'), /^> ⚠️ \*\*OFFLINE FALLBACK/);
+  assert.equal(JSON.parse(sm.formatRecall(data, 'ndjson').split('\n')[0]).type, 'fallback');
+
+  const pack = await sm.buildContext(unreachableClient(), 'выручка март', { threshold: 0 });
+  assert.match(pack.block, /^<memory query="выручка март" source="offline-fallback">/);
+});
+
+test('recall does not fall back on auth errors or when fallback is disabled', async t => {
+  const dir = useTempConfig(t);
+  writeFixture(dir);
+
+  const denied = createFakeClient();
+  denied.search = async () => { throw httpError(401, 'Unauthorized'); };
+  await assert.rejects(sm.recall(denied, 'выручка', { profile: false }), /Unauthorized/);
+  await assert.rejects(sm.recall(unreachableClient(), 'выручка', { fallback: false }), /fetch failed/);
+
+  useTempConfig(t, { OFFLINE_FALLBACK: false });
+  await assert.rejects(sm.recall(unreachableClient(), 'выручка'), /fetch failed/);
+});
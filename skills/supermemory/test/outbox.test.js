@@ -0,0 +1,107 @@
+'use strict';
+
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, writeSession, createFakeClient, httpError } = require('./helpers');
+
+const doc = (customId, content = customId) => ({ content, containerTag: 'nn02', customId, metadata: { type: 'test' } });
+
+test('only payload errors are permanent', () => {
+  assert.equal(sm.isPermanentFailure(httpError(400)), true);
+  assert.equal(sm.isPermanentFailure(httpError(422)), true);
+  for (const status of [401, 403, 408, 429, 500, 503]) assert.equal(sm.isPermanentFailure(httpError(status)), false, status);
+  assert.equal(sm.isPermanentFailure(new Error('socket hang up')), false);
+});
+
+test('queued uploads keep their order and only the newest content of a document', async t => {
+  useTempConfig(t, { API_RETRY_ATTEMPTS: 1 });
+  const down = createFakeClient({ failWith: () => httpError(503) });
+
+  assert.equal(await sm.deliver(down, doc('a', 'v1')), 'queued');
+  assert.equal(await sm.deliver(down, doc('b')), 'queued');
+  assert.equal(await sm.deliver(down, doc('a', 'v2')), 'queued');
+  assert.equal(down.calls.length, 0);
+  assert.deepEqual(sm.loadOutbox().pending.map(p => [p.customId, p.content]), [['a', 'v2'], ['b', 'b']]);
+
+  const client = createFakeClient();
+  assert.equal(await sm.deliver(client, doc('c')), 'queued', 'new uploads wait behind queued ones');
+  assert.deepEqual(await sm.flushOutbox(client), { sent: 3, dead: 0, pending: 0, paused: false });
+  assert.deepEqual(client.calls.map(c => [c.customId, c.content]), [['a', 'v2'], ['b', 'b'], ['c', 'c']]);
+  assert.equal(await sm.deliver(client, doc('d')), 'sent');
+});
+
+test('the circuit opens after repeated failures and a replay after the cooldown closes it', async t => {
+  useTempConfig(t, { API_RETRY_ATTEMPTS: 1, BREAKER_THRESHOLD: 2 });
+  let failing = true;
+  const client = createFakeClient({ failWith: () => (failing ? httpError(503) : undefined) });
+
+  await sm.deliver(client, doc('a'));
+  assert.deepEqual(await sm.flushOutbox(client), { sent: 0, dead: 0, pending: 1, paused: false });
+  assert.ok(sm.breakerOpen(sm.loadOutbox()));
+  assert.deepEqual(await sm.flushOutbox(client), { sent: 0, dead: 0, pending: 1, paused: true });
+  assert.equal(sm.loadOutbox().pending[0].attempts, 2, 'nothing is tried while the circuit is open');
+
+  const expire = () => {
+    const outbox = sm.loadOutbox();
+    outbox.breaker.openUntil = Date.now() - 1;
+    fs.writeFileSync(sm.CONFIG.OUTBOX_PATH, JSON.stringify(outbox));
+  };
+  expire();
+  await sm.flushOutbox(client);
+  assert.ok(sm.breakerOpen(sm.loadOutbox()), 'one failure after the cooldown opens it again');
+
+  expire();
+  failing = false;
+  assert.deepEqual(await sm.flushOutbox(client), { sent: 1, dead: 0, pending: 0, paused: false });
+  assert.deepEqual(sm.loadOutbox().breaker, { failures: 0, openUntil: 0 });
+});
+
+test('dead letters can be retried or dropped', async t => {
+  useTempConfig(t);
+  let rejecting = true;
+  const client = createFakeClient({ failWith: () => (rejecting ? httpError(400) : undefined) });
+
+  assert.equal(await sm.deliver(client, doc('a'), { label: 'note a' }), 'dead');
+  assert.equal(await sm.deliver(client, doc('b')), 'dead');
+  assert.equal(await sm.deliver(client, doc('c')), 'dead');
+  const [letter] = sm.loadDeadLetters().letters;
+  assert.deepEqual([letter.customId, letter.label, letter.status, letter.content], ['a', 'note a', 400, 'a']);
+  assert.match(letter.error, /HTTP 400/);
+
+  rejecting = false;
+  assert.equal(sm.retryDeadLetters(['a', 'x']), 1);
+  assert.deepEqual(await sm.flushOutbox(client), { sent: 1, dead: 0, pending: 0, paused: false });
+  assert.deepEqual(client.calls.map(c => c.customId), ['a']);
+
+  assert.equal(sm.dropDeadLetters(['b']), 1);
+  assert.deepEqual(sm.loadDeadLetters().letters.map(l => l.customId), ['c']);
+  assert.equal(sm.dropDeadLetters('all'), 1);
+  assert.deepEqual(sm.loadDeadLetters().letters, []);
+});
+
+test('a replay uses the client of the agent that queued the batch', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, API_RETRY_ATTEMPTS: 1 });
+  writeSession(dir, 'agent:main:main', 2, 's1');
+  await sm.syncSessions(createFakeClient({ failWith: () => httpError(503) }), sm.loadState());
+  assert.equal(sm.loadOutbox().pending[0].agent, 'main');
+
+  const shared = createFakeClient();
+  const own = createFakeClient();
+  await sm.flushOutbox(shared, { clientFor: agentId => (agentId === 'main' ? own : shared) });
+  assert.deepEqual([shared.calls.length, own.calls.length], [0, 1]);
+});
+
+test('forgetting a document drops its queued and dead uploads', async t => {
+  useTempConfig(t, { API_RETRY_ATTEMPTS: 1 });
+  await sm.deliver(createFakeClient({ failWith: () => httpError(400) }), doc('a'));
+  await sm.deliver(createFakeClient({ failWith: () => httpError(503) }), doc('b'));
+  await sm.deliver(createFakeClient(), doc('c'));
+
+  const client = createFakeClient();
+  await sm.forgetDocuments(client, [{ customId: 'a', metadata: {} }, { customId: 'b', metadata: {} }]);
+  assert.deepEqual(sm.loadDeadLetters().letters, []);
+  assert.deepEqual(sm.loadOutbox().pending.map(p => p.customId), ['c']);
+  await sm.flushOutbox(client);
+  assert.deepEqual(client.calls.map(c => c.customId), ['c']);
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, httpError } = require('./helpers');
+
+const RESPONSE = {
+  profile: { profile: { static: ['Любит кофе'], dynamic: ['Готовит релиз'] } },
+  search: {
+    timing: 42,
+    total: 7,
+    results: [
+      { id: 'm1', memory: 'Релиз в пятницу', similarity: 0.82, updatedAt: '2026-02-14T10:00:00Z',
+        metadata: { type: 'conversation', session_date: '2026-02-14', batch_id: '3', customId: 'session-s1-lines-1-8' } },
+      { id: 'm2', chunk: 'Первая строка\nвторая строка', similarity: 0.5, metadata: { type: 'daily_memory', date: '2026-02-13' } },
+    ],
+  },
+};
+
+function data() {
+  return sm.recallToJson('релиз', { limit: 10 }, RESPONSE);
+}
+
+test('recallToJson carries profile facts, content, customId, metadata and timing', () => {
+  const json = data();
+
+  assert.deepEqual(json.profile, { static: ['Любит кофе'], dynamic: ['Готовит релиз'] });
+  assert.equal(json.timing, 42);
+  assert.equal(json.total, 7);
+  assert.deepEqual(json.results[0], {
+    rank: 1, similarity: 0.82, content: 'Релиз в пятницу', customId: 'session-s1-lines-1-8', id: 'm1',
+    date: '2026-02-14', metadata: RESPONSE.search.results[0].metadata, updatedAt: '2026-02-14T10:00:00Z',
+  });
+  assert.equal(json.results[1].customId, null);
+  assert.equal(json.results[1].date, '2026-02-13');
+  assert.equal(sm.recallToJson('q', {}, { profile: null, search: { results: [] } }).profile, null);
+});
+
+test('json output round-trips and ndjson emits one record per line', () => {
+  assert.deepEqual(JSON.parse(sm.formatRecall(data(), 'json')), data());
+
+  const records = sm.formatRecall(data(), 'ndjson').split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(records.map(r => r.type), ['profile', 'result', 'result', 'summary']);
+  assert.equal(records[1].customId, 'session-s1-lines-1-8');
+  assert.deepEqual(records[3], { type: 'summary', query: 'релиз', returned: 2, total: 7, timing: 42, source: 'live' });
+});
+
+test('text output keeps the classic layout; markdown quotes content', () => {
+  const text = sm.formatRecall(data(), 'text');
+  assert.match(text, /^=== PROFILE ===\n📌 Static:\n  - Любит кофе\n🔄 Dynamic:\n  - Готовит релиз\n\n=== SEARCH \(42ms, 7 total\) ===/);
+  assert.match(text, /1\. \[82%\] Релиз в пятницу\n   📅 2026-02-14/);
+
+  const md = sm.formatRecall(data(), 'markdown');
+  assert.match(md, /## Results for "релиз" \(2 of 7, 42ms\)/);
+  assert.match(md, /1\. \*\*82%\*\* · 2026-02-14 · `session-s1-lines-1-8`/);
+  assert.match(md, / {3}> Первая строка\n {3}> вторая строка/);
+});
+
+test('errors are classified into auth, network and other failures', () => {
+  assert.equal(sm.classifyError(Object.assign(new Error('Unauthorized'), { status: 401 })), 'auth');
+  assert.equal(sm.classifyError(httpError(403)), 'auth');
+  assert.equal(sm.classifyError(httpError(503)), 'network');
+  assert.equal(sm.classifyError(httpError(429)), 'network');
+  assert.equal(sm.classifyError(httpError(400)), 'error');
+  assert.equal(sm.classifyError(Object.assign(new Error('connect'), { code: 'ECONNREFUSED' })), 'network');
+  assert.equal(sm.classifyError(new TypeError('fetch failed', { cause: { code: 'ENOTFOUND' } })), 'network');
+  assert.equal(sm.classifyError(Object.assign(new Error('aborted'), { name: 'AbortError' })), 'network');
+  assert.equal(sm.classifyError(new Error('boom')), 'error');
+});
+
+test('structured errors are scrubbed and carry distinct exit codes', () => {
+  const err = Object.assign(new Error('bad key sm_abcdefghijklmnopqrstuvwxyz123456'), { status: 401 });
+  const error = sm.describeError(err);
+
+  assert.equal(error.type, 'auth');
+  assert.equal(error.status, 401);
+  assert.equal(error.exitCode, sm.EXIT_CODES.AUTH);
+  assert.doesNotMatch(error.message, /abcdefghijklmnop/);
+  assert.deepEqual(JSON.parse(sm.formatError(error, 'json')), { error });
+  assert.deepEqual(JSON.parse(sm.formatError(error, 'ndjson')), { type: 'error', ...error });
+  assert.match(sm.formatError(error, 'text'), /^❌ Auth error: /);
+
+  const codes = Object.values(sm.EXIT_CODES);
+  assert.equal(new Set(codes).size, codes.length);
+  assert.equal(sm.describeError(new Error('x'), 'usage').exitCode, sm.EXIT_CODES.USAGE);
+  assert.equal(sm.describeError(httpError(502)).exitCode, sm.EXIT_CODES.NETWORK);
+});
+
+test('--format is validated and can be sniffed from a broken command line', () => {
+  const { values } = sm.parseCommandLine(['recall', 'q', '--format', 'ndjson'], sm.RECALL_FLAGS);
+  assert.equal(sm.parseOutputFormat(values), 'ndjson');
+  assert.equal(sm.parseOutputFormat({}), 'text');
+  assert.throws(() => sm.parseOutputFormat({ format: 'xml' }), /--format must be one of text, markdown, json, ndjson/);
+  assert.equal(sm.sniffOutputFormat(['recall', '--bogus', '--format', 'json']), 'json');
+  assert.equal(sm.sniffOutputFormat(['recall', '--format=ndjson']), 'ndjson');
+  assert.equal(sm.sniffOutputFormat(['recall', '--format', 'xml']), 'text');
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, writeSession, createFakeClient, httpError } = require('./helpers');
+
+const later = (value, ms) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+test('runInOrder bounds concurrency and commits in item order', async () => {
+  let running = 0;
+  let peak = 0;
+  const committed = [];
+  const count = await sm.runInOrder([30, 5, 20, 1, 10], async (ms, i) => {
+    running++;
+    peak = Math.max(peak, running);
+    await later(null, ms);
+    running--;
+    return i * 10;
+  }, (result, ms, i) => committed.push([i, result]), { concurrency: 3 });
+
+  assert.equal(count, 5);
+  assert.equal(peak, 3);
+  assert.deepEqual(committed, [[0, 0], [1, 10], [2, 20], [3, 30], [4, 40]]);
+});
+
+test('runInOrder stops committing and starting work at a failure', async () => {
+  const started = [];
+  const committed = [];
+  await assert.rejects(sm.runInOrder([0, 1, 2, 3], async i => {
+    started.push(i);
+    if (i === 2) throw new Error('disk full');
+    return later(i, i === 0 ? 1 : 20);
+  }, result => committed.push(result), { concurrency: 2 }), /disk full/);
+
+  assert.deepEqual(started, [0, 1, 2], 'no new work after the failure');
+  assert.deepEqual(committed, [0], 'item 1 finished after the failure and is not committed');
+});
+
+test('batches of a session upload in parallel and are recorded in order', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2, UPLOAD_CONCURRENCY: 3 });
+  writeSession(dir, 'agent:main:main', 20, 's1');
+  let inFlight = 0;
+  let peak = 0;
+  const fake = createFakeClient();
+  const client = {
+    ...fake,
+    async add(params) {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      // Later batches finish first
+      await later(null, 30 - Number(params.metadata.batch_id) * 5);
+      inFlight--;
+      return fake.add(params);
+    },
+  };
+
+  await sm.syncSessions(client, sm.loadState());
+
+  assert.equal(peak, 3);
+  const ss = sm.loadState().agents.main.sessions['agent:main:main'];
+  assert.deepEqual(ss.batches.map(b => b.batch), [1, 2, 3, 4, 5]);
+  assert.deepEqual(ss.batches.map(b => b.end), [4, 8, 12, 16, 20]);
+  assert.equal(ss.lastLine, 20);
+  assert.equal(fake.calls.length, 5);
+});
+
+test('batches sent while an earlier one of the same run failed are queued behind it', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2, UPLOAD_CONCURRENCY: 4, API_RETRY_ATTEMPTS: 1 });
+  writeSession(dir, 'agent:main:main', 16, 's1');
+  let down = true;
+  const fake = createFakeClient({ failWith: p => (down && p.metadata.batch_id === '1' ? httpError(503) : undefined) });
+  const client = {
+    ...fake,
+    async add(params) {
+      // The first batch fails last, after the others went out
+      await later(null, params.metadata.batch_id === '1' ? 30 : 1);
+      return fake.add(params);
+    },
+  };
+
+  await sm.syncSessions(client, sm.loadState());
+
+  assert.deepEqual(fake.calls.map(c => c.metadata.batch_id), ['2', '3', '4']);
+  assert.deepEqual(sm.loadOutbox().pending.map(p => p.metadata.batch_id), ['1', '2', '3', '4']);
+  assert.equal(sm.loadState().agents.main.sessions['agent:main:main'].lastLine, 16);
+
+  down = false;
+  fake.calls.length = 0;
+  assert.deepEqual(await sm.flushOutbox(client), { sent: 4, dead: 0, pending: 0, paused: false });
+  assert.deepEqual(fake.calls.map(c => c.metadata.batch_id), ['1', '2', '3', '4']);
+});
+
+test('file uploads run in parallel and count queued ones', async t => {
+  useTempConfig(t, { UPLOAD_CONCURRENCY: 4, API_RETRY_ATTEMPTS: 1 });
+  fs.mkdirSync(path.join(sm.CONFIG.WORKSPACE, 'memory'), { recursive: true });
+  for (const day of ['01', '02', '03']) fs.writeFileSync(path.join(sm.CONFIG.WORKSPACE, 'memory', `2026-03-${day}.md`), `note ${day}`);
+  const client = createFakeClient({ failWith: p => (p.customId === 'daily-2026-03-02' ? httpError(503) : undefined) });
+
+  const result = await sm.syncFiles(client);
+  // The note after 02 went out while 02 failed, so it is queued again behind it
+  assert.deepEqual(result, { synced: 1, unchanged: 0, deleted: 0, queued: 2, failed: 0 });
+  assert.equal(sm.loadOutbox().pending[0].customId, 'daily-2026-03-02');
+  assert.deepEqual(Object.keys(sm.loadManifest().documents).sort(), ['daily-2026-03-01', 'daily-2026-03-02', 'daily-2026-03-03']);
+});
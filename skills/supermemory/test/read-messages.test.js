@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { sm, FIXTURES, useTempConfig, messageLine } = require('./helpers');
+
+const BASIC = path.join(FIXTURES, 'sessions', 'basic.jsonl');
+
+test('readMessages keeps user/assistant text and skips everything else', async () => {
+  const { messages, totalLines } = await sm.readMessages(BASIC, 0);
+
+  assert.equal(totalLines, 13);
+  assert.deepEqual(messages.map(m => [m.lineNum, m.role, m.text]), [
+    [2, 'user', 'Какая выручка за март?'],
+    [3, 'assistant', 'Выручка за март — 1.2M.\nДанные из отчёта.'],
+    [10, 'user', 'Запиши это в MEMORY.md'],
+    [13, 'assistant', 'Записал.'],
+  ]);
+});
+
+test('readMessages falls back to the record timestamp', async () => {
+  const { messages } = await sm.readMessages(BASIC, 0);
+  assert.equal(messages[0].timestamp, 1771063200000);
+  assert.equal(messages[2].timestamp, 1771063620000);
+});
+
+test('readMessages skips lines up to offsetLines', async () => {
+  const { messages, totalLines } = await sm.readMessages(BASIC, 3);
+  assert.equal(totalLines, 13);
+  assert.deepEqual(messages.map(m => m.lineNum), [10, 13]);
+});
+
+test('readMessages logs malformed JSON and continues', async t => {
+  const logged = [];
+  sm.setLogger(line => logged.push(line));
+  t.after(() => sm.setLogger(() => {}));
+
+  const { messages } = await sm.readMessages(BASIC, 0);
+  assert.equal(messages.length, 4);
+  assert.equal(logged.length, 1);
+  assert.match(logged[0], /JSON parse error at line 11 in basic\.jsonl/);
+});
+
+test('readMessages keeps long messages whole (the chunker splits them)', async t => {
+  const dir = useTempConfig(t);
+  const file = path.join(dir, 'sessions', 'long.jsonl');
+  fs.writeFileSync(file, messageLine('user', 'x'.repeat(6000)) + '\n');
+
+  const { messages } = await sm.readMessages(file, 0);
+  assert.equal(messages[0].text.length, 6000);
+});
+
+test('readMessages stringifies non-string, non-array content', async t => {
+  const dir = useTempConfig(t);
+  const file = path.join(dir, 'sessions', 'object.jsonl');
+  fs.writeFileSync(file, JSON.stringify({ type: 'message', message: { role: 'user', content: { a: 1 } } }) + '\n');
+
+  const { messages } = await sm.readMessages(file, 0);
+  assert.equal(messages[0].text, '{"a":1}');
+});
+
+test('readMessages seeks to a byte offset and reports line numbers from the cursor', async () => {
+  const full = await sm.readMessages(BASIC, 0);
+  const cursor = full.messages[1];
+
+  const { messages, totalLines, endOffset } = await sm.readMessages(BASIC, cursor.lineNum, cursor.endOffset);
+  assert.deepEqual(messages.map(m => [m.lineNum, m.text]), [[10, 'Запиши это в MEMORY.md'], [13, 'Записал.']]);
+  assert.equal(totalLines, 13);
+  assert.equal(endOffset, fs.statSync(BASIC).size);
+});
+
+test('readMessages leaves a partially written last line for the next read', async t => {
+  const dir = useTempConfig(t);
+  const file = path.join(dir, 'sessions', 'partial.jsonl');
+  const complete = messageLine('user', 'done') + '\n';
+  const partial = messageLine('assistant', 'still writing');
+  fs.writeFileSync(file, complete + partial.substring(0, 20));
+
+  const first = await sm.readMessages(file, 0);
+  assert.deepEqual(first.messages.map(m => m.text), ['done']);
+  assert.equal(first.totalLines, 1);
+  assert.equal(first.endOffset, Buffer.byteLength(complete));
+
+  fs.appendFileSync(file, partial.substring(20) + '\n');
+  const second = await sm.readMessages(file, first.totalLines, first.endOffset);
+  assert.deepEqual(second.messages.map(m => [m.lineNum, m.text]), [[2, 'still writing']]);
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, createFakeClient } = require('./helpers');
+
+function parse(argv) {
+  const { positionals, values } = sm.parseCommandLine(argv, sm.RECALL_FLAGS);
+  return { positionals, options: sm.parseRecallOptions(values) };
+}
+
+function recordingClient(results = []) {
+  const client = createFakeClient();
+  client.searches = [];
+  client.profiles = [];
+  client.search = async params => { client.searches.push(params); return { results, timing: 3, total: results.length }; };
+  client.profile = async params => { client.profiles.push(params); return { profile: { static: [], dynamic: [] } }; };
+  return client;
+}
+
+test('recall flags parse into recall options with defaults for the rest', () => {
+  const { positionals, options } = parse([
+    'recall', 'выручка', 'за', 'март', '--limit', '5', '--threshold', '0.6', '--mode', 'memories',
+    '--no-rerank', '--since', '2026-02-01', '--until', '2026-02-28', '--type', 'conversation',
+    '--session', 'agent:main:main', '--no-profile',
+  ]);
+
+  assert.deepEqual(positionals, ['recall', 'выручка', 'за', 'март']);
+  assert.deepEqual(options, {
+    limit: 5, threshold: 0.6, mode: 'memories', rerank: false, profile: false,
+    since: '2026-02-01', until: '2026-02-28', type: 'conversation', session: 'agent:main:main',
+  });
+  assert.deepEqual(parse(['recall', 'q']).options, sm.RECALL_DEFAULTS);
+});
+
+test('invalid recall flags are rejected with a message naming the flag', () => {
+  assert.throws(() => parse(['recall', 'q', '--limit', '0']), /--limit must be an integer between 1 and 100/);
+  assert.throws(() => parse(['recall', 'q', '--limit', '2.5']), /--limit/);
+  assert.throws(() => parse(['recall', 'q', '--threshold', '1.5']), /--threshold must be a number between 0 and 1/);
+  assert.throws(() => parse(['recall', 'q', '--mode', 'fuzzy']), /--mode must be one of hybrid, memories/);
+  assert.throws(() => parse(['recall', 'q', '--since', '2026-02-30']), /--since must be a date as YYYY-MM-DD/);
+  assert.throws(() => parse(['recall', 'q', '--since', '2026-03-01', '--until', '2026-02-01']), /is after --until/);
+  assert.throws(() => parse(['recall', 'q', '--type', 'notes']), /--type must be one of conversation/);
+  assert.throws(() => parse(['recall', 'q', '--tools', '--no-tools']), /mutually exclusive/);
+  assert.throws(() => parse(['recall', 'q', '--bogus']), /Unknown option '--bogus'/);
+});
+
+test('recall passes search settings and metadata filters to the backend', async t => {
+  useTempConfig(t);
+  const client = recordingClient();
+
+  await sm.recall(client, 'релиз', {
+    limit: 5, threshold: 0.6, mode: 'memories', rerank: false,
+    type: 'conversation', session: 'agent:main:main', tools: 'exclude',
+  });
+
+  assert.deepEqual(client.searches, [{
+    q: 'релиз', containerTag: sm.CONFIG.CONTAINER_TAG, searchMode: 'memories', limit: 5, threshold: 0.6, rerank: false,
+    filters: { AND: [
+      { key: 'type', value: 'conversation' },
+      { key: 'session_key', value: 'agent:main:main' },
+      { key: 'has_tools', value: 'true', negate: true },
+    ] },
+  }]);
+  assert.equal(client.profiles[0].threshold, 0.6);
+});
+
+test('recall keeps the historical defaults and can skip the profile', async t => {
+  useTempConfig(t);
+  const client = recordingClient();
+
+  const { profile } = await sm.recall(client, 'q', { profile: false });
+
+  assert.equal(profile, null);
+  assert.equal(client.profiles.length, 0);
+  assert.deepEqual(client.searches[0], {
+    q: 'q', containerTag: sm.CONFIG.CONTAINER_TAG, searchMode: 'hybrid', limit: 10, threshold: 0.4, rerank: true,
+  });
+});
+
+test('since/until match session_date or date and over-fetch candidates', async t => {
+  useTempConfig(t);
+  const client = recordingClient([
+    { chunk: 'a', similarity: 0.9, metadata: { session_date: '2026-01-31' } },
+    { chunk: 'b', similarity: 0.8, metadata: { session_date: '2026-02-10' } },
+    { chunk: 'c', similarity: 0.7, metadata: { type: 'long_term_memory' } },
+    { chunk: 'd', similarity: 0.6, metadata: { date: '2026-02-28' } },
+    { chunk: 'e', similarity: 0.5, metadata: { date: '2026-03-01' } },
+    { chunk: 'f', similarity: 0.4, metadata: { date: '2026-02-01' } },
+  ]);
+
+  const { search } = await sm.recall(client, 'q', { limit: 2, since: '2026-02-01', until: '2026-02-28', profile: false });
+
+  assert.equal(client.searches[0].limit, 6);
+  assert.deepEqual(search.results.map(r => r.chunk), ['b', 'd']);
+  assert.equal(search.total, 2);
+});
+
+test('a date range widens the search while a full page leaves too few results in range', async t => {
+  useTempConfig(t);
+  const results = Array.from({ length: 40 }, (_, i) => ({
+    chunk: `r${i}`, similarity: 1 - i / 100, metadata: { session_date: i === 2 || i === 30 ? '2026-02-10' : '2026-01-10' },
+  }));
+  const client = recordingClient();
+  client.search = async params => {
+    client.searches.push(params);
+    return { results: results.slice(0, params.limit), timing: 3, total: params.limit };
+  };
+
+  const { search } = await sm.recall(client, 'q', { limit: 2, since: '2026-02-01', profile: false });
+  assert.deepEqual(client.searches.map(s => s.limit), [6, 18, 54]);
+  assert.deepEqual(search.results.map(r => r.chunk), ['r2', 'r30']);
+
+  client.searches.length = 0;
+  const none = await sm.recall(client, 'q', { limit: 2, since: '2026-03-01', profile: false });
+  assert.deepEqual(client.searches.map(s => s.limit), [6, 18, 54]);
+  assert.deepEqual(none.search.results, []);
+});
+
+test('recall filters work end to end on the local backend', async t => {
+  useTempConfig(t);
+  const client = sm.createClient({ backend: 'local' });
+  await client.add({ content: 'релиз назначен на пятницу', containerTag: sm.CONFIG.CONTAINER_TAG, customId: 'c1',
+    metadata: { type: 'conversation', session_key: 'agent:main:main', session_date: '2026-02-14' } });
+  await client.add({ content: 'релиз перенесли', containerTag: sm.CONFIG.CONTAINER_TAG, customId: 'c2',
+    metadata: { type: 'conversation', session_key: 'agent:main:cron', session_date: '2026-02-20' } });
+  await client.add({ content: 'релиз в daily', containerTag: sm.CONFIG.CONTAINER_TAG, customId: 'd1',
+    metadata: { type: 'daily_memory', date: '2026-02-21' } });
+
+  const bySession = await sm.recall(client, 'релиз', { session: 'agent:main:cron', threshold: 0, profile: false });
+  assert.deepEqual(bySession.search.results.map(r => r.metadata.customId), ['c2']);
+
+  const byType = await sm.recall(client, 'релиз', { type: 'daily_memory', threshold: 0, profile: false });
+  assert.deepEqual(byType.search.results.map(r => r.metadata.customId), ['d1']);
+
+  const byDate = await sm.recall(client, 'релиз', { until: '2026-02-15', threshold: 0, profile: false });
+  assert.deepEqual(byDate.search.results.map(r => r.metadata.customId), ['c1']);
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, FIXTURES, useTempConfig, messageLine, writeSession, appendLines, createFakeClient } = require('./helpers');
+
+const BASIC = path.join(FIXTURES, 'sessions', 'basic.jsonl');
+
+let writes = 0;
+
+function writeRules(config) {
+  fs.writeFileSync(sm.CONFIG.RULES_CONFIG, JSON.stringify(config));
+  // getRules() re-reads on mtime changes; make every write count even within one clock tick
+  const time = new Date(Date.now() + ++writes * 1000);
+  fs.utimesSync(sm.CONFIG.RULES_CONFIG, time, time);
+}
+
+test('heartbeats are dropped by the default rules unless defaults are turned off', async t => {
+  useTempConfig(t);
+  const lines = async () => (await sm.readMessages(BASIC, 0)).messages.map(m => m.lineNum);
+  assert.deepEqual(await lines(), [2, 3, 10, 13]);
+
+  writeRules({ defaults: false, rules: [] });
+  assert.deepEqual(await lines(), [2, 3, 4, 5, 10, 13]);
+
+  writeRules({ rules: [{ role: 'assistant', text: 'выручка', flags: 'i', action: 'exclude' }] });
+  assert.deepEqual(await lines(), [2, 10, 13]);
+});
+
+test('message rules match the text of a message, not the tool output appended to it', async t => {
+  const dir = useTempConfig(t, { INCLUDE_TOOLS: true });
+  const file = path.join(dir, 'sessions', 'tools.jsonl');
+  const withCall = text => JSON.stringify({ type: 'message', message: {
+    role: 'assistant', content: [{ type: 'text', text }, { type: 'toolCall', id: 'c1', name: 'exec', arguments: { command: 'uptime' } }],
+  } });
+  fs.writeFileSync(file, [withCall('HEARTBEAT_OK'), withCall('Проверю аптайм.'), messageLine('user', 'HEARTBEAT_OK')].join('\n') + '\n');
+
+  const { messages } = await sm.readMessages(file, 0);
+  assert.deepEqual(messages.map(m => [m.lineNum, m.text]), [[2, 'Проверю аптайм.\n[tool exec] {"command":"uptime"}']]);
+  assert.ok(!('ownText' in messages[0]));
+});
+
+test('invalid rules are rejected with the rule and field named', t => {
+  const dir = useTempConfig(t);
+  const file = path.join(dir, 'rules.json');
+  const load = config => {
+    fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+    return () => sm.loadRules(file);
+  };
+
+  assert.throws(load('{'), /^Error: Rules config .*rules\.json: /);
+  assert.throws(load({ rules: {} }), /"rules" must be an array/);
+  assert.throws(load({ rules: [{ session: 'a', action: 'drop' }] }), /rules\[0\]\.action must be one of exclude, route/);
+  assert.throws(load({ rules: [{ action: 'exclude' }] }), /rules\[0\] must match on session, role or text/);
+  assert.throws(load({ rules: [{ session: 'a', action: 'route' }] }), /rules\[0\]\.containerTag must be at least 2 characters/);
+  assert.throws(load({ rules: [{ text: 'x', action: 'route', containerTag: 'ab' }] }), /route applies to whole sessions/);
+  assert.throws(load({ rules: [{ session: 'a', action: 'exclude', containerTag: 'ab' }] }), /containerTag only applies to route/);
+  assert.throws(load({ rules: [{ text: '(', action: 'exclude' }] }), /rules\[0\]\.text: Invalid regular expression/);
+  assert.throws(load({ rules: [{ text: 'x', flags: 'g', action: 'exclude' }] }), /flags may only use i, m, s and u/);
+  assert.throws(load({ rules: [{ role: 'system', action: 'exclude' }] }), /role must be user, assistant, tool/);
+
+  const { session, message } = sm.loadRules(path.join(dir, 'missing.json'));
+  assert.deepEqual([session.length, message.map(r => r.name)], [0, ['heartbeat-ok', 'heartbeat-prompt']]);
+});
+
+test('sync skips excluded sessions and routes matching ones to their container tag', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1 });
+  writeSession(dir, 'agent:main:main', 2, 's-main');
+  writeSession(dir, 'agent:main:cron:daily', 2, 's-cron');
+  writeSession(dir, 'agent:main:acme-support', 2, 's-acme');
+  writeRules({
+    rules: [
+      { name: 'cron', session: 'agent:*:cron:*', action: 'exclude' },
+      { name: 'acme', session: ['agent:main:acme-*'], action: 'route', containerTag: 'client-acme' },
+      { session: 'agent:main:acme-*', role: 'assistant', action: 'exclude' },
+    ],
+  });
+  const client = createFakeClient();
+  const state = sm.loadState();
+
+  await sm.syncSessions(client, state);
+
+  assert.deepEqual(client.calls.map(c => [c.customId, c.containerTag, c.metadata.message_count]), [
+    ['session-s-main-lines-1-2', sm.CONFIG.CONTAINER_TAG, '2'],
+    ['session-s-acme-lines-1-1', 'client-acme', '1'],
+  ]);
+  assert.deepEqual(Object.keys(state.agents.main.sessions).sort(), ['agent:main:acme-support', 'agent:main:main']);
+  assert.equal(state.agents.main.sessions['agent:main:acme-support'].lastLine, 2, 'excluded messages are skipped for good');
+});
+
+test('excluded sessions and messages stay out of the offline fallback', async t => {
+  const dir = useTempConfig(t);
+  appendLines(writeSession(dir, 'agent:main:main', 0, 's-main'), [messageLine('user', 'отчёт по выручке'), messageLine('user', 'отчёт: пароль 1234')]);
+  appendLines(writeSession(dir, 'agent:main:cron:daily', 0, 's-cron'), [messageLine('user', 'отчёт cron')]);
+  writeRules({
+    rules: [
+      { session: 'agent:*:cron:*', action: 'exclude' },
+      { text: 'пароль', action: 'exclude' },
+    ],
+  });
+
+  const { results } = await sm.offlineSearch('отчёт');
+  assert.deepEqual(results.map(r => r.chunk), ['[user]: отчёт по выручке']);
+});
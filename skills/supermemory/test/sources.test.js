@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sm, useTempConfig, createFakeClient } = require('./helpers');
+
+function writeFile(name, text) {
+  const file = path.join(sm.CONFIG.WORKSPACE, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+}
+
+function writeSources(sources) {
+  fs.writeFileSync(sm.CONFIG.FILES_CONFIG, JSON.stringify({ sources }));
+}
+
+test('globs match relative paths with *, ** and {a,b}', () => {
+  const re = sm.globToRegExp('projects/**/*.{md,txt}');
+  assert.ok(re.test('projects/a.md'));
+  assert.ok(re.test('projects/x/y/b.txt'));
+  assert.ok(!re.test('projects/x/c.json'));
+  assert.ok(!re.test('other/projects/a.md'));
+  assert.ok(sm.globToRegExp('notes/*.md').test('notes/a.md'));
+  assert.ok(!sm.globToRegExp('notes/*.md').test('notes/sub/a.md'));
+  assert.ok(sm.globToRegExp('**/draft-*').test('draft-1.md'));
+});
+
+test('invalid source configs fail with the file and field named', t => {
+  useTempConfig(t);
+  const cases = [
+    [{ sources: {} }, /"sources" must be an array/],
+    [{ sources: [{ name: 'a b', include: '*.md' }] }, /sources\[0\]\.name/],
+    [{ sources: [{ name: 'a' }] }, /sources\[0\]\.include must be a glob/],
+    [{ sources: [{ name: 'a', include: '../*.md' }] }, /must stay inside the workspace/],
+    [{ sources: [{ name: 'a', include: '*.md', split: 'pages' }] }, /split must be one of file, sections/],
+    [{ sources: [{ name: 'a', include: '*.md', customId: 'x-{title}' }] }, /unknown placeholder \{title\}/],
+    [{ sources: [{ name: 'a', include: '*.md', metadata: { tags: ['x'] } }] }, /metadata must map keys/],
+    [{ sources: [{ name: 'a', include: '*.md' }, { name: 'a', include: '*.txt' }] }, /"a" is used twice/],
+  ];
+  for (const [config, error] of cases) {
+    fs.writeFileSync(sm.CONFIG.FILES_CONFIG, JSON.stringify(config));
+    assert.throws(() => sm.loadSources(), new RegExp(`Sources config .*sm-files\\.json: .*${error.source}`));
+  }
+  fs.writeFileSync(sm.CONFIG.FILES_CONFIG, '{ nope');
+  assert.throws(() => sm.loadSources(), /Sources config/);
+});
+
+test('source files are uploaded with their type, template customId and front-matter', async t => {
+  useTempConfig(t);
+  writeSources([
+    {
+      name: 'decisions', include: 'projects/*/decisions/*.md', exclude: '**/draft-*',
+      type: 'decision_log', customId: 'decision-{dir}-{name}', metadata: { team: 'core' },
+    },
+    { name: 'runbooks', include: ['runbooks/**/*.{txt,json}'] },
+  ]);
+  writeFile('projects/shop/decisions/db.md', '---\ntitle: Postgres\ndate: 2026-03-05\ntags: [db, infra]\n---\nБерём Postgres.');
+  writeFile('projects/shop/decisions/draft-cache.md', 'Ещё думаем');
+  writeFile('runbooks/deploy.txt', 'make deploy');
+  writeFile('runbooks/ops/alerts.json', '{"disk":"90%"}');
+  writeFile('runbooks/image.png', 'x');
+  const client = createFakeClient();
+
+  const result = await sm.syncFiles(client);
+
+  assert.equal(result.synced, 3);
+  const byId = Object.fromEntries(client.calls.map(c => [c.customId, c]));
+  assert.deepEqual(Object.keys(byId), [
+    'decision-projects-shop-decisions-db', 'runbooks-runbooks-deploy', 'runbooks-runbooks-ops-alerts',
+  ]);
+  const decision = byId['decision-projects-shop-decisions-db'];
+  assert.equal(decision.content, 'Берём Postgres.');
+  assert.deepEqual(decision.metadata, {
+    type: 'decision_log', team: 'core', title: 'Postgres', date: '2026-03-05', tags: 'db,infra',
+    source: 'decisions', file: 'projects/shop/decisions/db.md',
+  });
+  assert.equal(byId['runbooks-runbooks-deploy'].metadata.type, 'runbooks');
+  assert.equal(byId['runbooks-runbooks-ops-alerts'].content, '{\n  "disk": "90%"\n}');
+});
+
+test('sources can split markdown by sections and are tracked like memory files', async t => {
+  useTempConfig(t);
+  writeSources([{ name: 'wiki', include: 'wiki/*.md', split: 'sections', customId: 'wiki-{name}' }]);
+  writeFile('wiki/onboarding.md', 'Intro\n# Доступы\nVPN\n# Люди\nМаша\n');
+  const client = createFakeClient();
+  await sm.syncFiles(client);
+  assert.deepEqual(client.calls.map(c => c.customId), ['wiki-onboarding', 'wiki-onboarding-dostupy', 'wiki-onboarding-lyudi']);
+  assert.equal(client.calls[1].metadata.heading_path, 'Доступы');
+
+  writeFile('wiki/onboarding.md', 'Intro\n# Доступы\nVPN и GitLab\n');
+  const result = await sm.syncFiles(client);
+  assert.deepEqual(result, { synced: 1, unchanged: 1, deleted: 1, queued: 0, failed: 0 });
+  assert.deepEqual(client.deleted.map(d => d.customId), ['wiki-onboarding-lyudi']);
+});
+
+test('sources never pick up the built-in memory files or the skill state', async t => {
+  useTempConfig(t);
+  const memory = name => path.join(sm.CONFIG.WORKSPACE, 'memory', name);
+  sm.configure({
+    FILES_MANIFEST: memory('sm-files-manifest.json'), OUTBOX_PATH: memory('sm-outbox.json'), DEAD_LETTERS_PATH: memory('sm-dead-letters.json'),
+    RULES_CONFIG: path.join(sm.CONFIG.WORKSPACE, 'sm-rules.json'),
+  });
+  writeSources([{ name: 'all', include: '**/*.{md,json}' }]);
+  writeFile('MEMORY.md', 'факт');
+  writeFile('memory/2026-03-01.md', 'заметка');
+  writeFile('memory/sm-outbox.json', '{"pending": []}');
+  writeFile('memory/sm-dead-letters.json', '{"letters": []}');
+  writeFile('sm-rules.json', '{"rules": []}');
+  writeFile('sm-config.json', '{"SM_BATCH_SIZE": 30}');
+  writeFile('config/team.json', '{"SM_BATCH_SIZE": 30}');
+  const loadedFrom = sm.CONFIG_SOURCES.configFile;
+  sm.CONFIG_SOURCES.configFile = path.join(sm.CONFIG.WORKSPACE, 'config', 'team.json');
+  t.after(() => { sm.CONFIG_SOURCES.configFile = loadedFrom; });
+  writeFile('notes/a.md', 'a');
+  const client = createFakeClient();
+
+  await sm.syncFiles(client);
+  const second = await sm.syncFiles(client);
+
+  assert.deepEqual(client.calls.map(c => c.customId), ['memory-md-main', 'daily-2026-03-01', 'all-notes-a']);
+  assert.equal(second.synced, 0);
+});
+
+test('unreadable files keep their documents and a broken config deletes nothing', async t => {
+  useTempConfig(t);
+  writeSources([{ name: 'data', include: 'data/*.json' }]);
+  writeFile('data/a.json', '{"a":1}');
+  const client = createFakeClient();
+  await sm.syncFiles(client);
+
+  writeFile('data/a.json', '{"a":');
+  const result = await sm.syncFiles(client);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(client.deleted, []);
+
+  fs.writeFileSync(sm.CONFIG.FILES_CONFIG, '{ broken');
+  await assert.rejects(sm.syncFiles(client), /Sources config/);
+  assert.deepEqual(client.deleted, []);
+  assert.ok(sm.loadManifest().documents['data-data-a']);
+});
+
+test('--type accepts the types of configured sources', t => {
+  useTempConfig(t);
+  writeSources([{ name: 'decisions', include: '*.md', type: 'decision_log' }]);
+  const { values } = sm.parseCommandLine(['recall', 'q', '--type', 'decision_log'], sm.RECALL_FLAGS);
+  assert.equal(sm.parseRecallOptions(values).type, 'decision_log');
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const {
+  sm, useTempConfig, installSessionsFixture, messageLine, writeSession, appendLines,
+  createFakeClient, httpError,
+} = require('./helpers');
+
+function freshState() {
+  return { version: 2, agents: {} };
+}
+
+test('syncSessions uploads fixture sessions and ignores missing files', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 2 });
+  installSessionsFixture(dir);
+  const client = createFakeClient();
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+
+  assert.equal(client.calls.length, 1);
+  const [call] = client.calls;
+  assert.equal(call.customId, 'session-sess-basic-lines-2-13');
+  assert.equal(call.containerTag, sm.CONFIG.CONTAINER_TAG);
+  assert.deepEqual(call.metadata, {
+    type: 'conversation', agent_id: 'main', session_key: 'agent:main:main', session_id: 'sess-basic',
+    batch_id: '1', session_date: '2026-02-14', message_count: '4',
+    line_start: '2', line_end: '13', chunk_boundary: 'end',
+  });
+  assert.match(call.content, /^\[2026-02-14T10:00:00\.000Z\] \[user\]: Какая выручка за март\?\n\n/);
+  assert.deepEqual(Object.keys(state.agents.main.sessions), ['agent:main:main']);
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 13);
+  assert.equal(state.agents.main.totalSynced, 4);
+});
+
+test('syncSessions waits for MIN_NEW_MESSAGES', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 5 });
+  writeSession(dir, 'agent:main:main', 4);
+  const client = createFakeClient();
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+
+  assert.equal(client.calls.length, 0);
+  assert.deepEqual(state.agents.main.sessions, {});
+});
+
+test('syncSessions splits messages into BATCH_SIZE * 2 batches', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2 });
+  writeSession(dir, 'agent:main:main', 10, 's1');
+  const client = createFakeClient();
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+
+  assert.deepEqual(client.calls.map(c => [c.customId, c.metadata.message_count]), [
+    ['session-s1-lines-1-4', '4'],
+    ['session-s1-lines-5-8', '4'],
+    ['session-s1-lines-9-10', '2'],
+  ]);
+  const ss = state.agents.main.sessions['agent:main:main'];
+  assert.equal(ss.lastLine, 10);
+  assert.equal(ss.batchCount, 3);
+  assert.deepEqual(ss.batches, [
+    { batch: 1, start: 1, end: 4 }, { batch: 2, start: 5, end: 8 }, { batch: 3, start: 9, end: 10 },
+  ]);
+  assert.equal(state.agents.main.totalSynced, 10);
+});
+
+test('syncSessions resumes from lastLine and continues batch numbering', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 2, BATCH_SIZE: 5 });
+  const file = writeSession(dir, 'agent:main:main', 4, 's1');
+  const client = createFakeClient();
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+  appendLines(file, [messageLine('user', 'new question'), messageLine('assistant', 'new answer')]);
+  await sm.syncSessions(client, state);
+
+  assert.equal(client.calls.length, 2);
+  assert.equal(client.calls[1].customId, 'session-s1-lines-5-6');
+  assert.equal(client.calls[1].metadata.batch_id, '2');
+  assert.match(client.calls[1].content, /new question[\s\S]*new answer/);
+  assert.doesNotMatch(client.calls[1].content, /message 1/);
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 6);
+  assert.equal(state.agents.main.sessions['agent:main:main'].batchCount, 2);
+});
+
+test('syncSessions moves a rejected batch to dead letters and goes on', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2 });
+  writeSession(dir, 'agent:main:a', 10, 'a');
+  writeSession(dir, 'agent:main:b', 4, 'b');
+  const client = createFakeClient({ failWith: p => (p.customId === 'session-a-lines-5-8' ? httpError(400) : undefined) });
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+
+  assert.deepEqual(client.calls.map(c => c.customId), ['session-a-lines-1-4', 'session-a-lines-9-10', 'session-b-lines-1-4']);
+  assert.deepEqual(sm.loadDeadLetters().letters.map(l => [l.customId, l.status]), [['session-a-lines-5-8', 400]]);
+  assert.deepEqual(sm.loadOutbox().pending, [], 'a rejected batch is not queued for replay');
+  const saved = JSON.parse(fs.readFileSync(sm.CONFIG.STATE_FILE, 'utf8'));
+  assert.equal(saved.agents.main.totalSynced, 10);
+  assert.equal(saved.agents.main.sessions['agent:main:a'].lastLine, 10);
+  assert.equal(saved.agents.main.sessions['agent:main:b'].lastLine, 4);
+});
+
+test('syncSessions queues a failed batch and everything after it, replayed in order', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2 });
+  writeSession(dir, 'agent:main:main', 12, 's1');
+  let failing = true;
+  const client = createFakeClient({ failWith: (params, i) => (failing && i === 1 ? httpError(503) : undefined) });
+  sm.configure({ API_RETRY_ATTEMPTS: 1 });
+
+  await sm.syncSessions(client, freshState());
+  assert.deepEqual(client.calls.map(c => c.customId), ['session-s1-lines-1-4']);
+  assert.deepEqual(sm.loadOutbox().pending.map(p => [p.customId, p.attempts]), [
+    ['session-s1-lines-5-8', 1],
+    ['session-s1-lines-9-12', 0],
+  ]);
+  assert.equal(sm.loadState().agents.main.sessions['agent:main:main'].lastLine, 12, 'queued batches count as handed over');
+
+  // The daemon replays the outbox at the start of the next tick
+  failing = false;
+  assert.deepEqual(await sm.flushOutbox(client), { sent: 2, dead: 0, pending: 0, paused: false });
+  await sm.syncSessions(client, sm.loadState());
+
+  const ids = client.calls.map(c => c.customId);
+  assert.deepEqual(ids, ['session-s1-lines-1-4', 'session-s1-lines-5-8', 'session-s1-lines-9-12']);
+  assert.deepEqual(sm.loadState().agents.main.sessions['agent:main:main'].batches.map(b => b.end), [4, 8, 12]);
+});
+
+test('batchCustomId is derived from the line range only', () => {
+  assert.equal(sm.batchCustomId('abc', 41, 80), 'session-abc-lines-41-80');
+  assert.equal(sm.batchCustomId('abc', 41, 80), sm.batchCustomId('abc', 41, 80));
+});
+
+test('syncSessions uploads a trailing single message instead of dropping it', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1, BATCH_SIZE: 2 });
+  writeSession(dir, 'agent:main:main', 9, 's1');
+  const client = createFakeClient();
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+
+  assert.deepEqual(client.calls.map(c => c.metadata.message_count), ['4', '4', '1']);
+  assert.match(client.calls[2].content, /message 9/);
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 9);
+});
+
+test('syncSessions holds a small remainder until the session goes idle', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 3, BATCH_SIZE: 2, IDLE_FLUSH_MS: 60000 });
+  const file = writeSession(dir, 'agent:main:main', 9, 's1');
+  const client = createFakeClient();
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+  assert.deepEqual(client.calls.map(c => c.metadata.message_count), ['4', '4']);
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 8, 'message 9 is not marked synced');
+
+  await sm.syncSessions(client, state);
+  assert.equal(client.calls.length, 2, 'still active: keep waiting');
+
+  const past = new Date(Date.now() - 120000);
+  fs.utimesSync(file, past, past);
+  await sm.syncSessions(client, state);
+  assert.equal(client.calls.length, 3);
+  assert.match(client.calls[2].content, /message 9/);
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 9);
+});
+
+test('syncSessions flushes fewer than MIN_NEW_MESSAGES from an idle session', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 5, IDLE_FLUSH_MS: 60000 });
+  const file = writeSession(dir, 'agent:main:main', 2, 's1');
+  const past = new Date(Date.now() - 120000);
+  fs.utimesSync(file, past, past);
+  const client = createFakeClient();
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+
+  assert.equal(client.calls.length, 1);
+  assert.equal(client.calls[0].metadata.message_count, '2');
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 2);
+});
+
+test('syncSessions skips past lines without uploadable messages', async t => {
+  const dir = useTempConfig(t, { MIN_NEW_MESSAGES: 1 });
+  const file = writeSession(dir, 'agent:main:main', 0, 's1');
+  appendLines(file, [messageLine('user', 'HEARTBEAT_OK'), messageLine('system', 'prompt')]);
+  const client = createFakeClient();
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+
+  assert.equal(client.calls.length, 0);
+  assert.equal(state.agents.main.sessions['agent:main:main'].lastLine, 3);
+});
+
+test('syncSessions does nothing without sessions.json', async t => {
+  useTempConfig(t);
+  const client = createFakeClient();
+  const state = freshState();
+
+  await sm.syncSessions(client, state);
+
+  assert.equal(client.calls.length, 0);
+  assert.equal(fs.existsSync(sm.CONFIG.STATE_FILE), false);
+});
+
+test('loadState returns defaults when the state file is missing', t => {
+  useTempConfig(t);
+  assert.deepEqual(sm.loadState(), freshState());
+});
+
+test('saveState and loadState round-trip', t => {
+  useTempConfig(t);
+  const state = { version: 2, agents: { main: { sessions: { k: { lastLine: 7, batchCount: 2 } }, totalSynced: 12, lastSyncTime: 42 } } };
+  sm.saveState(state);
+  assert.deepEqual(sm.loadState(), state);
+});
+
+test('loadState falls back to defaults on a corrupt state file', t => {
+  useTempConfig(t);
+  sm.saveState(freshState());
+  fs.writeFileSync(sm.CONFIG.STATE_FILE, '{"sessions": {');
+  assert.deepEqual(sm.loadState(), freshState());
+});
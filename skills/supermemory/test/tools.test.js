@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { sm, FIXTURES, useTempConfig, writeSession, createFakeClient } = require('./helpers');
+
+const TOOLS = path.join(FIXTURES, 'sessions', 'tools.jsonl');
+
+test('tool records are dropped by default', async t => {
+  useTempConfig(t);
+  const { messages } = await sm.readMessages(TOOLS, 0);
+  assert.deepEqual(messages.map(m => m.lineNum), [1, 2, 8]);
+  assert.equal(messages[1].text, 'Проверю конфиг.');
+});
+
+test('SM_INCLUDE_TOOLS serializes tool calls and results compactly', async t => {
+  useTempConfig(t, { INCLUDE_TOOLS: true });
+  const { messages } = await sm.readMessages(TOOLS, 0);
+
+  assert.deepEqual(messages.map(m => [m.lineNum, m.role, m.text, m.tools]), [
+    [1, 'user', 'Почини nginx', []],
+    [2, 'assistant', 'Проверю конфиг.\n[tool exec] {"command":"nginx -t"}', ['exec']],
+    [3, 'tool', '[tool error exec] nginx: configuration file /etc/nginx/nginx.conf test failed', ['exec']],
+    [4, 'assistant', '[tool read] {"path":"/etc/nginx/nginx.conf"}', ['read']],
+    [5, 'tool', '[tool result read] server { listen 80; }', ['read']],
+    [6, 'assistant', '[tool web_search] {"query":"nginx test failed"}', ['web_search']],
+    [7, 'user', '[tool result web_search] Top result: check semicolons', ['web_search']],
+    [8, 'assistant', 'Исправил, не хватало точки с запятой.', []],
+  ]);
+});
+
+test('deny list drops calls and results of a tool; allow list keeps only listed tools', async t => {
+  useTempConfig(t, { INCLUDE_TOOLS: true, TOOLS_DENY: ['read'] });
+  let { messages } = await sm.readMessages(TOOLS, 0);
+  assert.ok(!messages.some(m => m.tools.includes('read')));
+  assert.deepEqual(messages.map(m => m.lineNum), [1, 2, 3, 6, 7, 8]);
+
+  sm.configure({ TOOLS_DENY: [], TOOLS_ALLOW: ['exec'] });
+  ({ messages } = await sm.readMessages(TOOLS, 0));
+  assert.deepEqual([...new Set(messages.flatMap(m => m.tools))], ['exec']);
+});
+
+test('tool input and output are capped', async t => {
+  useTempConfig(t, { INCLUDE_TOOLS: true, TOOL_INPUT_MAX_CHARS: 10, TOOL_RESULT_MAX_CHARS: 12 });
+  const { messages } = await sm.readMessages(TOOLS, 0);
+
+  assert.equal(messages[1].text, 'Проверю конфиг.\n[tool exec] {"command"… [+12 chars]');
+  assert.equal(messages[2].text, '[tool error exec] nginx: confi… [+47 chars]');
+});
+
+test('batches with tool records are tagged in metadata', async t => {
+  const dir = useTempConfig(t, { INCLUDE_TOOLS: true, MIN_NEW_MESSAGES: 1, BATCH_SIZE: 1 });
+  const file = path.join(dir, 'sessions', 'tools.jsonl');
+  fs.copyFileSync(TOOLS, file);
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, JSON.stringify({ 'agent:main:main': { sessionFile: file, sessionId: 't1' } }));
+  const client = createFakeClient();
+
+  await sm.syncSessions(client, { version: 2, agents: {} });
+
+  assert.deepEqual(client.calls.map(c => [c.metadata.has_tools, c.metadata.tool_names]), [
+    ['true', 'exec'],
+    ['true', 'exec,read'],
+    ['true', 'read,web_search'],
+    ['true', 'web_search'],
+  ]);
+  assert.match(client.calls[1].content, /\[tool\]: \[tool error exec\]/);
+});
+
+test('batches without tool records carry no tool metadata', async t => {
+  const dir = useTempConfig(t, { INCLUDE_TOOLS: true, MIN_NEW_MESSAGES: 1 });
+  writeSession(dir, 'agent:main:main', 4, 's1');
+  const client = createFakeClient();
+
+  await sm.syncSessions(client, { version: 2, agents: {} });
+
+  assert.equal(client.calls[0].metadata.has_tools, undefined);
+  assert.equal(client.calls[0].metadata.tool_names, undefined);
+});
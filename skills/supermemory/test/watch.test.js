@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { sm, useTempConfig, messageLine } = require('./helpers');
+
+test('wait() falls back to polling when nothing changes', async () => {
+  const wakeup = sm.createWakeup(5);
+  assert.equal(await wakeup.wait(20), 'poll');
+});
+
+test('a burst of notify() calls wakes the waiter once after the debounce', async () => {
+  const wakeup = sm.createWakeup(20);
+  const started = Date.now();
+  const waiting = wakeup.wait(5000);
+  for (let i = 0; i < 5; i++) wakeup.notify();
+
+  assert.equal(await waiting, 'change');
+  assert.ok(Date.now() - started >= 15);
+  assert.equal(await wakeup.wait(30), 'poll', 'the burst was consumed by one wake-up');
+});
+
+test('a change during sync is delivered to the next wait()', async () => {
+  const wakeup = sm.createWakeup(5);
+  wakeup.notify();
+  await new Promise(r => setTimeout(r, 20));
+  assert.equal(await wakeup.wait(5000), 'change');
+});
+
+test('watchSessionFiles reports session and sessions.json changes only', async t => {
+  const dir = useTempConfig(t);
+  const seen = [];
+  const watcher = sm.watchSessionFiles(name => seen.push(name));
+  t.after(() => watcher.close());
+  assert.equal(watcher.active, true);
+
+  fs.writeFileSync(path.join(dir, 'sessions', 'a.jsonl'), messageLine('user', 'hi') + '\n');
+  fs.writeFileSync(sm.CONFIG.SESSIONS_META, '{}');
+  fs.writeFileSync(path.join(dir, 'sessions', 'notes.txt'), 'ignored');
+  await new Promise(r => setTimeout(r, 100));
+
+  assert.ok(seen.includes('a.jsonl'));
+  assert.ok(seen.includes('sessions.json'));
+  assert.ok(!seen.includes('notes.txt'));
+});
+
+test('watchSessionFiles is inactive when the directories do not exist', t => {
+  useTempConfig(t, { SESSIONS_DIR: '/nonexistent/sessions', SESSIONS_META: '/nonexistent/sessions/sessions.json' });
+  const watcher = sm.watchSessionFiles(() => {});
+  assert.equal(watcher.active, false);
+});